@@ -0,0 +1,176 @@
+//
+// Functions for working with cookies - in the browser (using document.cookie),
+// or on the server (parseCookieHeader and serializeCookie work in Node too)
+//
+
+// encode a name or value, so it only uses the characters allowed in a cookie (see RFC 6265)
+const encode = value => encodeURIComponent(value).replace(/[()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// a Path or Domain attribute value: visible ASCII characters, except ';' (see RFC 6265) -
+// so no spaces, control characters or semicolons which could add attributes of their own
+const reAttributeValue = /^[\x21-\x3a\x3c-\x7e]+$/;
+
+// decode a value encoded by encode() - values which aren't valid are returned as they are
+const decode = (value) => {
+  // (values can be wrapped in double quotes)
+  const unquoted = value.length > 1 && value[0] === '"' && value[value.length - 1] === '"' ? value.slice(1, -1) : value;
+  try {
+    return decodeURIComponent(unquoted);
+  } catch (e) {
+    return unquoted;
+  }
+};
+
+// parse a JSON value, or get null if it's not valid JSON
+const parseJSON = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Parse a Cookie header (or document.cookie) into an object of names and values.
+ * If a name is used more than once, the first value is used (the one with the
+ * most specific path).
+ *
+ * Usage:
+ *
+ *    parseCookieHeader('theme=dark; cart=%7B%22items%22%3A2%7D');
+ *    // { theme: 'dark', cart: '{"items":2}' }
+ *
+ *    parseCookieHeader(req.headers.cookie, { json: true });
+ *    // { theme: null, cart: { items: 2 } }
+ *
+ * @param {string} header - The header
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - Parse the values as JSON (values which aren't valid JSON are null)
+ * @returns {Object} - The cookies, by name
+ */
+export const parseCookieHeader = (header, { json = false } = {}) => {
+  const cookies = {};
+  String(header || '').split(';').forEach((pair) => {
+    const i = pair.indexOf('=');
+    if (i < 0) return;
+    const name = decode(pair.slice(0, i).trim());
+    if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) return;
+    const value = decode(pair.slice(i + 1).trim());
+    cookies[name] = json ? parseJSON(value) : value;
+  });
+  return cookies;
+};
+
+/**
+ * Turn a cookie into a string, for a Set-Cookie header (or document.cookie).
+ * Names and values are encoded, so they can contain any characters.
+ *
+ * Usage:
+ *
+ *    serializeCookie('theme', 'dark', { maxAge: 60 * 60 * 24 * 365, path: '/', sameSite: 'lax' });
+ *    // 'theme=dark; Max-Age=31536000; Path=/; SameSite=Lax'
+ *
+ *    serializeCookie('cart', { items: 2 }, { json: true, secure: true, httpOnly: true });
+ *    // 'cart=%7B%22items%22%3A2%7D; Secure; HttpOnly'
+ *
+ * @param {string} name - The name of the cookie
+ * @param {*} value - The value of the cookie
+ * @param {Object} [options]
+ * @param {Date|number|string} [options.expires] - When the cookie expires, as a Date (or date string), or a number of days from now
+ * @param {number} [options.maxAge] - How long the cookie lasts, in seconds (takes priority over `expires`)
+ * @param {string} [options.path] - The path the cookie is used for
+ * @param {string} [options.domain] - The domain the cookie is used for (and its subdomains)
+ * @param {boolean} [options.secure] - Only send the cookie over HTTPS
+ * @param {boolean} [options.httpOnly] - Hide the cookie from JavaScript (only on the server)
+ * @param {string} [options.sameSite] - 'strict', 'lax' or 'none' (which needs `secure`)
+ * @param {boolean} [options.json] - Store the value as JSON
+ * @returns {string} - The cookie string
+ */
+export const serializeCookie = (name, value, { expires, maxAge, path, domain, secure, httpOnly, sameSite, json = false } = {}) => {
+  if (!name) throw new Error('A cookie needs a name');
+  const parts = [ `${encode(name)}=${encode(json ? JSON.stringify(value) : String(value ?? ''))}` ];
+
+  if (expires !== undefined && expires !== null) {
+    const date = typeof expires === 'number' ? new Date(Date.now() + expires * 864e5) : new Date(expires);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid cookie expiry date: ${expires}`);
+    parts.push(`Expires=${date.toUTCString()}`);
+  }
+  if (maxAge !== undefined && maxAge !== null) {
+    if (!Number.isFinite(+maxAge)) throw new Error(`Invalid cookie max age: ${maxAge}`);
+    parts.push(`Max-Age=${Math.floor(+maxAge)}`);
+  }
+  if (domain) {
+    if (!reAttributeValue.test(domain)) throw new Error(`Invalid cookie domain: ${domain}`);
+    parts.push(`Domain=${domain}`);
+  }
+  if (path) {
+    if (!reAttributeValue.test(path)) throw new Error(`Invalid cookie path: ${path}`);
+    parts.push(`Path=${path}`);
+  }
+  if (sameSite) {
+    const policy = { strict: 'Strict', lax: 'Lax', none: 'None' }[String(sameSite).toLowerCase()];
+    if (!policy) throw new Error(`Invalid SameSite policy: ${sameSite}`);
+    if (policy === 'None' && !secure) throw new Error('SameSite=None cookies must be secure');
+    parts.push(`SameSite=${policy}`);
+  }
+  if (secure) parts.push('Secure');
+  if (httpOnly) parts.push('HttpOnly');
+  return parts.join('; ');
+};
+
+// Get all the cookies (visible to this page), by name - see parseCookieHeader()
+// Usage: getAllCookies() // { theme: 'dark', ... }
+export const getAllCookies = (options = {}) => parseCookieHeader(document.cookie, options);
+
+// Get the value of a cookie, or null if there isn't one - use { json: true } to parse JSON values
+// Usage: getCookie('theme') // 'dark'
+export const getCookie = (name, options = {}) => {
+  const cookies = getAllCookies(options);
+  return Object.prototype.hasOwnProperty.call(cookies, name) ? cookies[name] : null;
+};
+
+// Set a cookie - for the whole site, unless given a path (see serializeCookie() for the options)
+// Usage: setCookie('theme', 'dark', { maxAge: 60 * 60 * 24 * 365, sameSite: 'lax' })
+export const setCookie = (name, value, options = {}) => {
+  document.cookie = serializeCookie(name, value, { path: '/', ...options });
+};
+
+/**
+ * Remove a cookie. A cookie can only be removed using the same path and domain
+ * it was set with - which can't be read back - so unless they're given, the
+ * cookie is removed from each path leading to the current page, and from the
+ * current domain and each domain above it.
+ *
+ * Usage:
+ *
+ *    removeCookie('theme');
+ *    removeCookie('session', { path: '/admin', domain: 'example.com' });
+ *
+ * @param {string} name - The name of the cookie
+ * @param {Object} [options]
+ * @param {string} [options.path] - The path the cookie was set with
+ * @param {string} [options.domain] - The domain the cookie was set with
+ * @returns {boolean} - true if the cookie was removed (or there wasn't one)
+ */
+export const removeCookie = (name, { path, domain } = {}) => {
+  const { pathname = '/', hostname = '' } = typeof location !== 'undefined' ? location : {};
+
+  // '/a/b' gives '/', '/a', '/a/', '/a/b' and '/a/b/'
+  const paths = path ? [ path ] : pathname.split('/').filter(Boolean).reduce((all, segment) => {
+    const parent = all[all.length - 1].replace(/\/$/, '');
+    return [ ...all, `${parent}/${segment}`, `${parent}/${segment}/` ];
+  }, [ '/' ]);
+
+  // 'a.example.com' gives no domain (for "host only" cookies), 'a.example.com' and 'example.com'
+  const labels = hostname.split('.');
+  const domains = domain ? [ domain ] : [ undefined, ...labels.slice(0, -1).map((label, i) => labels.slice(i).join('.')) ];
+
+  paths.forEach(p => domains.forEach((d) => {
+    document.cookie = serializeCookie(name, '', { path: p, domain: d, expires: new Date(0) });
+  }));
+  return getCookie(name) === null;
+};
+
+// Remove all the cookies (visible to this page) - see removeCookie()
+// Usage: clearCookies()
+export const clearCookies = () => Object.keys(getAllCookies()).forEach(name => removeCookie(name));
@@ -4,38 +4,1359 @@
 //
 //
 
-const isDate = v => isFn(v.getDay);
+import { isDate, isDateValid } from './types.js';
+import { timeConversion } from './numbers.js';
 
-const isDateValid = (...val) => !Number.isNaN(+new Date(...val));
+// isDate(new Date()) (defined in types.js)
+// Is it a valid date? Takes a Date, or anything `new Date()` does (defined in types.js)
+// Usage: isDateValid('2021-01-11') // true, isDateValid(new Date('foo')) // false
+export { isDate, isDateValid };
 
-const isDateRange  = r => isDate(r[0]) && isDate(r[1]);
+export const isDateRange  = r => isDate(r[0]) && isDate(r[1]);
 
 // isWeekday(new Date(2021, 0, 11));
-const isWeekday = (date) => date.getDay() % 6 !== 0;
+// The weekend is Saturday and Sunday, unless the days are given (0 is Sunday):
+// isWeekend(date, [ 5, 6 ]) for a Friday and Saturday weekend. See also createCalendar().
+export const isWeekday = (date, weekend = [ 0, 6 ]) => !weekend.includes(date.getDay());
 
-const isWeekend = (date) => date.getDay() % 6 == 0;
+export const isWeekend = (date, weekend = [ 0, 6 ]) => weekend.includes(date.getDay());
 
-const compareDates = (a, b) => a.getTime() > b.getTime();
+export const compareDates = (a, b) => a.getTime() > b.getTime();
 
-const getDateRange = r => (new Date(r[0])-new Date(r[1]))/864e5|0;
+// The functions below count calendar days in the given IANA time zone (e.g. 'Europe/London'),
+// or in the local time zone if none is given - so they're not thrown off by daylight saving.
 
-const getDayOfYear = (date) => Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 1000 / 60 / 60 / 24);
+// the number of calendar days from r[1] to r[0]
+export const getDateRange = (r, tz) => getCalendarDayDiff(r[1], r[0], tz);
 
-const getPastWeek = () => [...Array(7).keys()].map(days => new Date(Date.now() - 86400000 * days))
+// getDayOfYear(new Date(2021, 1, 1)) // returns 32
+export const getDayOfYear = (date, tz) => getCalendarDayDiff(startOf(date, 'year', tz), date, tz) + 1;
 
-const getDayDiff = (date1, date2) => Math.ceil(Math.abs(date1.getTime() - date2.getTime()) / 86400000);
+// get the same time of day, for today and each of the previous 6 days
+export const getPastWeek = (tz) => [...Array(7).keys()].map(days => addDays(new Date(), -days, tz));
 
-const getMonthDiff = (startDate, endDate) => Math.max(0, (endDate.getFullYear() - startDate.getFullYear()) * 12 - startDate.getMonth() + endDate.getMonth());
+// get the number of calendar days between two dates (always positive)
+export const getDayDiff = (date1, date2, tz) => Math.abs(getCalendarDayDiff(date1, date2, tz));
 
-const getTimeFromDate = date => date.toTimeString().slice(0, 8);
+export const getMonthDiff = (startDate, endDate, tz) => {
+  const start = toZone(startDate, tz), end = toZone(endDate, tz);
+  return Math.max(0, (end.year - start.year) * 12 - start.month + end.month);
+};
 
-const toYYYYMMDD = (date) => date.toISOString().slice(0, 10);
+export const getTimeFromDate = date => date.toTimeString().slice(0, 8);
 
-const secondsToHms = (seconds) => {
-   const date = new Date(null);
-   date.setSeconds(seconds);
-   return date.toISOString().substr(11, 8);
-}
+// get the date as 'YYYY-MM-DD', in the given time zone (or the local time zone)
+export const toYYYYMMDD = (date, tz) => {
+  const { year, month, day } = toZone(date, tz);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// secondsToHms(3661) // '01:01:01' - see formatDuration() for more options
+export const secondsToHms = (seconds) => formatDuration(seconds, { style: 'digital' });
 
 // get most recent date from an array of dates
-const mostRecentDate = dates => dates.reduce((max, d) => d > max ? d : max, dates[0]);
+export const mostRecentDate = dates => dates.reduce((max, d) => d > max ? d : max, dates[0]);
+
+
+
+//
+// Time zones
+//
+// Functions which take a `tz` (an IANA time zone name, like 'Europe/London' or
+// 'America/New_York') work with the calendar and clock of that zone. If no `tz`
+// is given, the local time zone is used.
+//
+
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY = 864e5;
+const weekdayNames = [ 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat' ];
+
+// like Date.UTC(), but doesn't treat years 0 to 99 as 1900 to 1999 - those are
+// worked out 400 years later (when the leap years are the same) and moved back
+const utc = (year, month0, day = 1, hour = 0, minute = 0, second = 0, ms = 0) => {
+  if (year < 0 || year > 99) return Date.UTC(year, month0, day, hour, minute, second, ms);
+  const d = new Date(Date.UTC(year + 400, month0, day, hour, minute, second, ms));
+  d.setUTCFullYear(d.getUTCFullYear() - 400);
+  return d.getTime();
+};
+
+const zoneFormatters = new Map();
+
+// get a (cached) formatter which gives the date and time parts in the given zone
+const zoneFormatter = (tz) => {
+  if (!zoneFormatters.has(tz)) {
+    zoneFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      era: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return zoneFormatters.get(tz);
+};
+
+// get the name of the local time zone, e.g. 'Europe/London'
+export const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Get the date and time of the given date, as seen in the given time zone.
+// Months go from 1 to 12, weekdays from 0 (Sunday) to 6, and `offset` is the
+// number of minutes the zone is ahead of UTC.
+//
+// Usage:
+//
+//    toZone(new Date('2024-06-01T12:00:00Z'), 'Europe/London');
+//    // { year: 2024, month: 6, day: 1, hour: 13, minute: 0, second: 0, millisecond: 0, weekday: 6, offset: 60, timeZone: 'Europe/London' }
+//
+export const toZone = (date, tz) => {
+  date = new Date(date);
+  if (!tz) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      millisecond: date.getMilliseconds(),
+      weekday: date.getDay(),
+      offset: -date.getTimezoneOffset(),
+      timeZone: getTimeZone(),
+    };
+  }
+
+  const parts = {};
+  for (const { type, value } of zoneFormatter(tz).formatToParts(date)) parts[type] = value;
+
+  const year = parts.era === 'B' || parts.era === 'BC' ? 1 - parts.year : +parts.year;
+  const zoned = {
+    year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    second: +parts.second,
+    millisecond: ((date.getTime() % 1000) + 1000) % 1000,
+    weekday: weekdayNames.indexOf(parts.weekday),
+  };
+  const wallTime = utc(year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second, zoned.millisecond);
+  return { ...zoned, offset: Math.round((wallTime - date.getTime()) / MS_PER_MINUTE), timeZone: tz };
+};
+
+// get the UTC offset of the given time zone at the given date, in minutes
+export const getZoneOffset = (date, tz) => toZone(date, tz).offset;
+
+// Get the Date for the given date and time in the given time zone - the opposite
+// of toZone(). Values out of range roll over, e.g. { month: 1, day: 32 } is 1st Feb.
+//
+// Around daylight saving changes: times that happen twice give the earlier
+// one, and times that are skipped are moved forward by the length of the gap.
+//
+// Usage:
+//
+//    fromZone({ year: 2024, month: 10, day: 27, hour: 9 }, 'Europe/London');   // 2024-10-27T09:00:00Z
+//
+export const fromZone = ({ year, month = 1, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, tz) => {
+  if (!tz) {
+    if (year < 0 || year > 99) return new Date(year, month - 1, day, hour, minute, second, millisecond);
+    // (the same as utc() above, for local time)
+    const date = new Date(year + 400, month - 1, day, hour, minute, second, millisecond);
+    date.setFullYear(date.getFullYear() - 400);
+    return date;
+  }
+  const wallTime = utc(year, month - 1, day, hour, minute, second, millisecond);
+
+  // the zone's offsets either side of this time - they differ if there's a change nearby
+  const offsetBefore = getZoneOffset(wallTime - MS_PER_DAY, tz);
+  const offsetAfter = getZoneOffset(wallTime + MS_PER_DAY, tz);
+
+  const candidates = [ offsetBefore, offsetAfter ]
+    .map(offset => wallTime - offset * MS_PER_MINUTE)
+    .filter(time => getZoneOffset(time, tz) * MS_PER_MINUTE === wallTime - time);
+
+  return new Date(candidates.length ? Math.min(...candidates) : wallTime - offsetBefore * MS_PER_MINUTE);
+};
+
+// get the number of days in the given month (1 to 12) of the given year
+export const daysInMonth = (year, month) => new Date(utc(year, month, 0)).getUTCDate();
+
+// Get the start of the year, quarter, month, week, day, hour, minute or second
+// that contains the given date, in the given time zone.
+// Weeks start on Monday, unless `weekStartsOn` is given (0 is Sunday).
+//
+// Usage:
+//
+//    startOf(new Date(), 'day', 'America/New_York');  // midnight in New York
+//    startOf(new Date(), 'week', undefined, { weekStartsOn: 0 });
+//
+export const startOf = (date, unit, tz, { weekStartsOn = 1 } = {}) => {
+  const { year, month, day, hour, minute, second, weekday } = toZone(date, tz);
+  switch (unit) {
+    case 'year': return fromZone({ year }, tz);
+    case 'quarter': return fromZone({ year, month: month - ((month - 1) % 3) }, tz);
+    case 'month': return fromZone({ year, month }, tz);
+    case 'week': return fromZone({ year, month, day: day - ((weekday - weekStartsOn + 7) % 7) }, tz);
+    case 'day': return fromZone({ year, month, day }, tz);
+    case 'hour': return fromZone({ year, month, day, hour }, tz);
+    case 'minute': return fromZone({ year, month, day, hour, minute }, tz);
+    case 'second': return fromZone({ year, month, day, hour, minute, second }, tz);
+    default: throw new Error(`Invalid unit: ${unit}`);
+  }
+};
+
+// Get the last millisecond of the year, quarter, month, week, day, hour, minute
+// or second that contains the given date, in the given time zone. See startOf().
+export const endOf = (date, unit, tz, options) => {
+  const next = addToDate(startOf(date, unit, tz, options), 1, unit, tz);
+  return new Date(next.getTime() - 1);
+};
+
+// Add a number of years, quarters, months, weeks, days, hours, minutes or seconds
+// to a date. Years, months and days are calendar units in the given time zone (see addDays()).
+//
+//    addToDate(new Date(), 2, 'quarter', 'Europe/London');
+//
+export const addToDate = (date, amount, unit, tz) => {
+  switch (unit) {
+    case 'year': return addYears(date, amount, tz);
+    case 'quarter': return addMonths(date, amount * 3, tz);
+    case 'month': return addMonths(date, amount, tz);
+    case 'week': return addDays(date, amount * 7, tz);
+    case 'day': return addDays(date, amount, tz);
+    case 'hour': return new Date(new Date(date).getTime() + amount * 3600000);
+    case 'minute': return new Date(new Date(date).getTime() + amount * MS_PER_MINUTE);
+    case 'second': return new Date(new Date(date).getTime() + amount * 1000);
+    default: throw new Error(`Invalid unit: ${unit}`);
+  }
+};
+
+// Add calendar days to a date, keeping the time of day the same in the given
+// time zone (even if a daylight saving change happens in between).
+//
+//    addDays(new Date('2024-03-30T12:00:00Z'), 1, 'Europe/London');  // 2024-03-31T11:00:00Z (still 12:00 local)
+//
+export const addDays = (date, days, tz) => {
+  const zoned = toZone(date, tz);
+  return fromZone({ ...zoned, day: zoned.day + days }, tz);
+};
+
+// Add months to a date, in the given time zone. If the day doesn't exist in the
+// new month, the last day of the month is used: 31st Jan + 1 month is 28th (or 29th) Feb.
+export const addMonths = (date, months, tz) => {
+  const zoned = toZone(date, tz);
+  const total = zoned.month - 1 + months;
+  const year = zoned.year + Math.floor(total / 12);
+  const month = ((total % 12) + 12) % 12 + 1;
+  return fromZone({ ...zoned, year, month, day: Math.min(zoned.day, daysInMonth(year, month)) }, tz);
+};
+
+// Add years to a date, in the given time zone. 29th Feb + 1 year is 28th Feb.
+export const addYears = (date, years, tz) => addMonths(date, years * 12, tz);
+
+// Get the number of calendar days from one date to another, in the given time
+// zone - negative if `to` is before `from`. Times of day are ignored, so 23:59
+// to 00:01 the next day is 1 day.
+export const getCalendarDayDiff = (from, to, tz) => {
+  const a = toZone(from, tz), b = toZone(to, tz);
+  return Math.round((utc(b.year, b.month - 1, b.day) - utc(a.year, a.month - 1, a.day)) / MS_PER_DAY);
+};
+
+// get the ISO week-numbering year and week of the given day - weeks start on
+// Monday, and week 1 is the week with the year's first Thursday in it
+const isoWeekOf = (year, month, day) => {
+  const time = utc(year, month - 1, day);
+  const thursday = time + (3 - (new Date(time).getUTCDay() + 6) % 7) * MS_PER_DAY;
+  const weekYear = new Date(thursday).getUTCFullYear();
+  return { year: weekYear, week: 1 + Math.floor((thursday - utc(weekYear, 0, 1)) / (7 * MS_PER_DAY)) };
+};
+
+// Get the ISO 8601 week number of a date, and the year it belongs to (which can
+// be different to the calendar year around New Year), in the given time zone.
+//
+//    getISOWeek(new Date('2021-01-01T12:00:00Z'), 'UTC');  // { year: 2020, week: 53 }
+//
+export const getISOWeek = (date, tz) => {
+  const { year, month, day } = toZone(date, tz);
+  return isoWeekOf(year, month, day);
+};
+
+
+
+//
+// Formatting and parsing
+//
+
+const namesCache = new Map();
+
+// get the (cached) names of the months, weekdays and AM/PM in the given locale
+const localeNames = (locale) => {
+  const key = String(locale || '');
+  if (!namesCache.has(key)) {
+    const names = (options, times, type) => {
+      const formatter = new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options });
+      return times.map(time => formatter.formatToParts(time).find(part => part.type === type).value);
+    };
+    // (months are formatted with a day, to get the form used in dates, like "1 января" in Russian)
+    const months = [ ...Array(12).keys() ].map(month => utc(2021, month, 15));
+    const weekdays = [ ...Array(7).keys() ].map(day => utc(2021, 0, 3 + day));
+    namesCache.set(key, {
+      months: names({ month: 'long', day: 'numeric' }, months, 'month'),
+      monthsShort: names({ month: 'short', day: 'numeric' }, months, 'month'),
+      weekdays: names({ weekday: 'long' }, weekdays, 'weekday'),
+      weekdaysShort: names({ weekday: 'short' }, weekdays, 'weekday'),
+      meridiem: names({ hour: 'numeric', hour12: true }, [ utc(2021, 0, 1, 9), utc(2021, 0, 1, 21) ], 'dayPeriod'),
+    });
+  }
+  return namesCache.get(key);
+};
+
+const pad = (n, length = 2) => (n < 0 ? '-' : '') + String(Math.abs(n)).padStart(length, '0');
+
+// format an offset in minutes like '+01:00' (or '+0100' without a separator)
+const formatOffset = (offset, separator) => {
+  const abs = Math.abs(offset);
+  return (offset < 0 ? '-' : '+') + pad(Math.floor(abs / 60)) + separator + pad(abs % 60);
+};
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// a regex that matches any of the given names, longest first
+const oneOf = names => `(${[ ...names ].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`;
+
+// get the value of each format token, from the date/time parts given by toZone()
+const formatTokens = {
+  YYYY: z => pad(z.year, 4),
+  YY: z => pad(z.year % 100),
+  Q: z => String(Math.ceil(z.month / 3)),
+  MMMM: (z, names) => names.months[z.month - 1],
+  MMM: (z, names) => names.monthsShort[z.month - 1],
+  MM: z => pad(z.month),
+  M: z => String(z.month),
+  DDDD: z => pad((utc(z.year, z.month - 1, z.day) - utc(z.year, 0, 1)) / MS_PER_DAY + 1, 3),
+  DD: z => pad(z.day),
+  D: z => String(z.day),
+  dddd: (z, names) => names.weekdays[z.weekday],
+  ddd: (z, names) => names.weekdaysShort[z.weekday],
+  d: z => String(z.weekday),
+  GGGG: z => pad(isoWeekOf(z.year, z.month, z.day).year, 4),
+  WW: z => pad(isoWeekOf(z.year, z.month, z.day).week),
+  W: z => String(isoWeekOf(z.year, z.month, z.day).week),
+  HH: z => pad(z.hour),
+  H: z => String(z.hour),
+  hh: z => pad(z.hour % 12 || 12),
+  h: z => String(z.hour % 12 || 12),
+  mm: z => pad(z.minute),
+  m: z => String(z.minute),
+  ss: z => pad(z.second),
+  s: z => String(z.second),
+  SSS: z => pad(z.millisecond, 3),
+  A: (z, names) => names.meridiem[z.hour < 12 ? 0 : 1],
+  a: (z, names) => names.meridiem[z.hour < 12 ? 0 : 1].toLowerCase(),
+  ZZ: z => formatOffset(z.offset, ''),
+  Z: z => formatOffset(z.offset, ':'),
+  X: (z, names, date) => String(Math.floor(date.getTime() / 1000)),
+  x: (z, names, date) => String(date.getTime()),
+};
+
+// matches text in [square brackets] (which is left as it is), or any token
+const reFormatTokens = new RegExp(`\\[([^\\]]*)]|${Object.keys(formatTokens).sort((a, b) => b.length - a.length).join('|')}`, 'g');
+
+/**
+ * Format a date using the given format string, in the given time zone (or the
+ * local time zone) and locale. Text in [square brackets] is left as it is.
+ *
+ *    YYYY 2024     YY 24       Q 1-4          GGGG 2024 (ISO week year)
+ *    MMMM January  MMM Jan     MM 01-12       M 1-12
+ *    DD 01-31      D 1-31      DDDD 001-366 (day of year)
+ *    dddd Monday   ddd Mon     d 0-6 (Sunday is 0)
+ *    WW 01-53      W 1-53 (ISO week)
+ *    HH 00-23      H 0-23      hh 01-12       h 1-12       A AM/PM    a am/pm
+ *    mm 00-59      m 0-59      ss 00-59       s 0-59       SSS 000-999
+ *    Z +01:00      ZZ +0100    X unix timestamp (seconds)  x unix timestamp (ms)
+ *
+ * Usage:
+ *
+ *    formatDate(new Date(), 'ddd D MMM YYYY HH:mm');                         // 'Mon 3 Jun 2024 14:05'
+ *    formatDate(new Date(), 'dddd D MMMM', { locale: 'fr', timeZone: 'Europe/Paris' });  // 'lundi 3 juin'
+ *    formatDate(new Date(), '[Week] W [of] GGGG');                           // 'Week 23 of 2024'
+ *
+ * @param {Date|number|string} date - The date to format
+ * @param {string} [format] - The format (default: 'YYYY-MM-DDTHH:mm:ssZ')
+ * @param {Object} [options]
+ * @param {string} [options.locale] - The locale of month and day names (default: the system locale)
+ * @param {string} [options.timeZone] - An IANA time zone, like 'Europe/London' (default: the local time zone)
+ * @returns {string} - The formatted date, or 'Invalid Date'
+ */
+export const formatDate = (date, format = 'YYYY-MM-DDTHH:mm:ssZ', { locale, timeZone } = {}) => {
+  date = new Date(date);
+  if (!isDateValid(date)) return 'Invalid Date';
+  const zoned = toZone(date, timeZone);
+  const names = localeNames(locale);
+  return format.replace(reFormatTokens, (token, literal) => literal !== undefined ? literal : formatTokens[token](zoned, names, date));
+};
+
+// get the regex and the setter of each token which can be parsed
+const parseTokens = {
+  YYYY: [ () => '([+-]?\\d{4,6})', (f, v) => f.year = +v ],
+  // (two digit years are 1969 to 2068)
+  YY: [ () => '(\\d{2})', (f, v) => f.year = +v + (v > 68 ? 1900 : 2000) ],
+  MMMM: [ names => oneOf(names.months), (f, v, names) => f.month = findName(names.months, v) + 1 ],
+  MMM: [ names => oneOf(names.monthsShort), (f, v, names) => f.month = findName(names.monthsShort, v) + 1 ],
+  MM: [ () => '(\\d{2})', (f, v) => f.month = +v ],
+  M: [ () => '(\\d{1,2})', (f, v) => f.month = +v ],
+  DD: [ () => '(\\d{2})', (f, v) => f.day = +v ],
+  D: [ () => '(\\d{1,2})', (f, v) => f.day = +v ],
+  dddd: [ names => oneOf(names.weekdays), (f, v, names) => f.weekday = findName(names.weekdays, v) ],
+  ddd: [ names => oneOf(names.weekdaysShort), (f, v, names) => f.weekday = findName(names.weekdaysShort, v) ],
+  d: [ () => '([0-6])', (f, v) => f.weekday = +v ],
+  HH: [ () => '(\\d{2})', (f, v) => f.hour = +v ],
+  H: [ () => '(\\d{1,2})', (f, v) => f.hour = +v ],
+  hh: [ () => '(\\d{2})', (f, v) => f.hour12 = +v ],
+  h: [ () => '(\\d{1,2})', (f, v) => f.hour12 = +v ],
+  mm: [ () => '(\\d{2})', (f, v) => f.minute = +v ],
+  m: [ () => '(\\d{1,2})', (f, v) => f.minute = +v ],
+  ss: [ () => '(\\d{2})', (f, v) => f.second = +v ],
+  s: [ () => '(\\d{1,2})', (f, v) => f.second = +v ],
+  SSS: [ () => '(\\d{3})', (f, v) => f.millisecond = +v ],
+  A: [ names => oneOf(names.meridiem), (f, v, names) => f.pm = findName(names.meridiem, v) === 1 ],
+  a: [ names => oneOf(names.meridiem), (f, v, names) => f.pm = findName(names.meridiem, v) === 1 ],
+  ZZ: [ () => '([+-]\\d{4}|Z)', (f, v) => f.offset = parseOffset(v) ],
+  Z: [ () => '([+-]\\d{2}:\\d{2}|Z)', (f, v) => f.offset = parseOffset(v) ],
+  X: [ () => '(-?\\d+(?:\\.\\d+)?)', (f, v) => f.timestamp = v * 1000 ],
+  x: [ () => '(-?\\d+)', (f, v) => f.timestamp = +v ],
+};
+
+// find a name in a list of names, ignoring case
+const findName = (names, name) => names.findIndex(n => n.toLowerCase() === name.toLowerCase());
+
+// parse an offset like 'Z', '+01', '+0100' or '+01:00' into minutes
+const parseOffset = (str) => {
+  if (/^z$/i.test(str)) return 0;
+  const [ , sign, hours, minutes = 0 ] = str.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  return (sign === '-' ? -1 : 1) * (hours * 60 + +minutes);
+};
+
+const parsers = new Map();
+
+// turn a format string into a regex, and the list of tokens matched by its groups
+const compileFormat = (format, locale) => {
+  const key = `${locale || ''}\u0000${format}`;
+  if (!parsers.has(key)) {
+    const names = localeNames(locale);
+    const tokens = [];
+    let source = '', lastIndex = 0;
+    for (const match of format.matchAll(reFormatTokens)) {
+      const [ token, literal ] = match;
+      source += escapeRegExp(format.slice(lastIndex, match.index));
+      lastIndex = match.index + token.length;
+      if (literal !== undefined) {
+        source += escapeRegExp(literal);
+      } else if (parseTokens[token]) {
+        source += parseTokens[token][0](names);
+        tokens.push(token);
+      } else {
+        throw new Error(`Can't parse the format token: ${token}`);
+      }
+    }
+    source += escapeRegExp(format.slice(lastIndex));
+    parsers.set(key, { re: new RegExp(`^${source}$`, 'iu'), tokens, names });
+  }
+  return parsers.get(key);
+};
+
+// get the Date for the given date/time fields, or an invalid date if any are out of range
+const dateFromFields = ({ year, month = 1, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0, offset }, timeZone) => {
+  const isMidnight = hour === 24 && !minute && !second && !millisecond;
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)
+    || (hour > 23 && !isMidnight) || minute > 59 || second > 59) {
+    return new Date(NaN);
+  }
+  return offset === undefined
+    ? fromZone({ year, month, day, hour, minute, second, millisecond }, timeZone)
+    : new Date(utc(year, month - 1, day, hour, minute, second, millisecond) - offset * MS_PER_MINUTE);
+};
+
+// the forms of ISO 8601 dates, and how to get the year, month and day from each
+const isoDateForms = [
+  // calendar dates: 2024, 2024-06, 2024-06-03, 20240603
+  [ /^([+-]\d{6}|\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/, (year, month = 1, day = 1) => ({ year: +year, month: +month, day: +day }) ],
+  [ /^([+-]\d{6}|\d{4})(\d{2})(\d{2})$/, (year, month, day) => ({ year: +year, month: +month, day: +day }) ],
+  // week dates: 2024-W23, 2024-W23-1, 2024W231
+  [ /^([+-]\d{6}|\d{4})-?W(\d{2})(?:-?([1-7]))?$/, (year, week, weekday = 1) => {
+    const weekStart = y => {
+      const jan4 = utc(y, 0, 4);
+      return jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * MS_PER_DAY;
+    };
+    if (week < 1 || weekStart(+year) + week * 7 * MS_PER_DAY > weekStart(+year + 1)) return null;
+    const date = new Date(weekStart(+year) + ((week - 1) * 7 + (weekday - 1)) * MS_PER_DAY);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  } ],
+  // ordinal dates: 2024-155, 2024155
+  [ /^([+-]\d{6}|\d{4})-?(\d{3})$/, (year, dayOfYear) => {
+    if (dayOfYear < 1 || dayOfYear > (daysInMonth(+year, 2) === 29 ? 366 : 365)) return null;
+    const date = new Date(utc(+year, 0, +dayOfYear));
+    return { year: +year, month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  } ],
+];
+
+// times: 14, 14:05, 14:05:30, 14:05:30.123, 140530, with an optional offset: Z, +01, +0100, +01:00
+const reISOTime = /^(\d{2})(?::?(\d{2})(?::?(\d{2})(?:[.,](\d+))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+// parse any ISO 8601 date, or date and time
+const parseISODate = (str, timeZone) => {
+  const [ , datePart, timePart ] = str.match(/^([^T\s]+)(?:[T\s](\S+))?$/i) || [];
+  if (!datePart) return new Date(NaN);
+
+  let fields;
+  for (const [ re, getFields ] of isoDateForms) {
+    const match = datePart.match(re);
+    if (match) {
+      fields = getFields(...match.slice(1).filter(v => v !== undefined));
+      break;
+    }
+  }
+  if (!fields) return new Date(NaN);
+
+  if (timePart) {
+    const time = timePart.match(reISOTime);
+    if (!time) return new Date(NaN);
+    const [ , hour, minute = 0, second = 0, fraction, offset ] = time;
+    Object.assign(fields, {
+      hour: +hour,
+      minute: +minute,
+      second: +second,
+      millisecond: fraction ? Math.round(+`0.${fraction}` * 1000) : 0,
+      offset: offset ? parseOffset(offset) : undefined,
+    });
+  }
+  return dateFromFields(fields, timeZone);
+};
+
+/**
+ * Parse a date string in the given format (see formatDate() for the tokens).
+ * Parsing is strict - an invalid date is returned if the string doesn't match the
+ * format, or has a date that doesn't exist (like 31st Feb), so check the result
+ * with isDateValid(). Pass an array of formats to try each of them in turn.
+ *
+ * If no format is given, any ISO 8601 date is accepted: calendar dates like
+ * '2024-06-03T14:05:30.123+01:00', week dates like '2024-W23-1', and ordinal
+ * dates like '2024-155'.
+ *
+ * Dates and times without an offset are in the given time zone (or the local
+ * time zone). Missing parts default to the start of the current year.
+ *
+ * Usage:
+ *
+ *    parseDate('Mon 3 Jun 2024 14:05', 'ddd D MMM YYYY HH:mm');
+ *    parseDate('3 juin 2024', 'D MMMM YYYY', { locale: 'fr', timeZone: 'Europe/Paris' });
+ *    parseDate('2024-W23-1T09:00Z');
+ *
+ *    // dates from a CSV, in mixed formats
+ *    const dates = rows.map(row => parseDate(row.date, [ 'DD/MM/YYYY', 'D MMM YYYY', 'YYYY-MM-DD' ]));
+ *    const invalid = rows.filter((row, i) => !isDateValid(dates[i]));
+ *
+ * @param {string} str - The string to parse
+ * @param {string|string[]} [format] - The format, or formats, of the string (default: ISO 8601)
+ * @param {Object} [options]
+ * @param {string} [options.locale] - The locale of month and day names (default: the system locale)
+ * @param {string} [options.timeZone] - An IANA time zone, like 'Europe/London' (default: the local time zone)
+ * @returns {Date} - The date, which is invalid if the string couldn't be parsed
+ */
+export const parseDate = (str, format, { locale, timeZone } = {}) => {
+  if (Array.isArray(format)) {
+    for (const f of format) {
+      const date = parseDate(str, f, { locale, timeZone });
+      if (isDateValid(date)) return date;
+    }
+    return new Date(NaN);
+  }
+
+  str = String(str).trim();
+  if (!format) return parseISODate(str, timeZone);
+
+  const { re, tokens, names } = compileFormat(format, locale);
+  const match = str.match(re);
+  if (!match) return new Date(NaN);
+
+  const fields = {};
+  tokens.forEach((token, i) => parseTokens[token][1](fields, match[i + 1], names));
+  if (fields.timestamp !== undefined) return new Date(fields.timestamp);
+
+  if (fields.hour12 !== undefined) {
+    if (fields.hour12 < 1 || fields.hour12 > 12) return new Date(NaN);
+    fields.hour = fields.hour12 % 12 + (fields.pm ? 12 : 0);
+  }
+  if (fields.year === undefined) fields.year = toZone(new Date(), timeZone).year;
+
+  const { year, month = 1, day = 1, weekday } = fields;
+  const date = dateFromFields(fields, timeZone);
+  // the day of the week has to match the date, if it was given
+  if (weekday !== undefined && isDateValid(date) && new Date(utc(year, month - 1, day)).getUTCDay() !== weekday) {
+    return new Date(NaN);
+  }
+  return date;
+};
+
+
+
+//
+// Durations
+//
+// Durations are given in seconds. Months and years are their average lengths
+// (see timeConversion in numbers.js) - use addMonths() and addYears() to add
+// calendar months and years to a date.
+//
+
+// the units of a duration, largest first
+const durationUnits = [ 'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds' ];
+
+// other names of each unit, for parsing durations like "1h 30m" or "2 hrs"
+const durationUnitNames = {
+  years: [ 'y', 'yr', 'yrs', 'year' ],
+  months: [ 'mo', 'mos', 'mth', 'mths', 'month' ],
+  weeks: [ 'w', 'wk', 'wks', 'week' ],
+  days: [ 'd', 'day' ],
+  hours: [ 'h', 'hr', 'hrs', 'hour' ],
+  minutes: [ 'm', 'min', 'mins', 'minute' ],
+  seconds: [ 's', 'sec', 'secs', 'second' ],
+  milliseconds: [ 'ms', 'msec', 'msecs', 'millisecond' ],
+};
+
+const durationUnitsByName = Object.entries(durationUnitNames).reduce((units, [ unit, names ]) => {
+  [ unit, ...names ].forEach(name => units[name] = unit);
+  return units;
+}, {});
+
+// get the full name of a unit, like 'hours' for 'h' or 'hour'
+export const getDurationUnit = (name) => {
+  const unit = durationUnitsByName[String(name).toLowerCase()];
+  if (!unit) throw new Error(`Invalid unit: ${name}`);
+  return unit;
+};
+
+// the number of milliseconds in each unit
+const unitMs = unit => timeConversion[unit] * 1000;
+
+const reISODuration = /^([+-])?P(?!$)(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?!$)(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i;
+
+// Parse an ISO 8601 duration into its parts, or get null if it isn't valid.
+//
+//    parseISODuration('P3DT4H');    // { years: 0, months: 0, weeks: 0, days: 3, hours: 4, minutes: 0, seconds: 0 }
+//    parseISODuration('-PT1.5M');   // { ..., minutes: -1.5, seconds: 0 }
+//
+export const parseISODuration = (str) => {
+  const match = String(str).trim().match(reISODuration);
+  if (!match) return null;
+  const sign = match[1] === '-' ? -1 : 1;
+  return durationUnits.slice(0, 7).reduce((parts, unit, i) => {
+    parts[unit] = sign * +(match[i + 2] || '0').replace(',', '.') || 0;
+    return parts;
+  }, {});
+};
+
+// Get a duration (in seconds, or as parts like those given by parseISODuration())
+// as an ISO 8601 duration. Durations in seconds are split into days, hours, minutes
+// and seconds, as the length of a month or year isn't fixed.
+//
+//    formatISODuration(93784);                      // 'P1DT2H3M4S'
+//    formatISODuration({ months: 1, days: 2 });     // 'P1M2D'
+//
+export const formatISODuration = (duration) => {
+  let parts = duration, sign = '';
+  if (typeof duration === 'number') {
+    if (!Number.isFinite(duration)) return 'Invalid Duration';
+    parts = splitDuration(duration, [ 'days', 'hours', 'minutes', 'seconds', 'milliseconds' ]);
+    parts.seconds += parts.milliseconds / 1000;
+  }
+  if (durationUnits.some(unit => parts[unit] < 0)) {
+    sign = '-';
+    parts = Object.fromEntries(Object.entries(parts).map(([ unit, n ]) => [ unit, -n ]));
+  }
+  const part = (unit, designator) => parts[unit] ? `${+parts[unit].toFixed(3)}${designator}` : '';
+  const date = part('years', 'Y') + part('months', 'M') + part('weeks', 'W') + part('days', 'D');
+  const time = part('hours', 'H') + part('minutes', 'M') + part('seconds', 'S');
+  return `${sign}P${date}${time ? `T${time}` : ''}` + (date || time ? '' : 'T0S');
+};
+
+// split a number of seconds into the given units - the remainder is rounded to the smallest unit
+const splitDuration = (seconds, units) => {
+  const smallest = unitMs(units[units.length - 1]);
+  let rest = Math.round(Math.abs(seconds) * 1000 / smallest) * smallest;
+  const sign = seconds < 0 ? -1 : 1;
+  return units.reduce((parts, unit) => {
+    const n = Math.floor(rest / unitMs(unit) + 1e-9);
+    rest -= n * unitMs(unit);
+    parts[unit] = sign * n || 0;
+    return parts;
+  }, {});
+};
+
+// the parts of a duration like "1h 30m", "2 days, 3 hours and 5 mins" or "1.5 hours"
+const reDurationPart = /^(\d*\.?\d+)\s*([a-z]+)(?:\s*,?\s*(?:and\s+)?|$)/i;
+
+/**
+ * Get the number of seconds in a duration, or NaN if it can't be parsed.
+ * Accepts ISO 8601 durations ('P3DT4H'), times ('1:30' or '1:30:00' - hours,
+ * minutes and seconds), plain numbers of seconds, and durations like '1h 30m',
+ * '2 days, 3 hours and 5 mins' or '-1.5 hrs'.
+ *
+ * Usage:
+ *
+ *    parseDuration('1h 30m');      // 5400
+ *    parseDuration('P3DT4H');      // 273600
+ *    parseDuration('1:30:15');     // 5415
+ *
+ * @param {string|number} str - The duration to parse
+ * @returns {number} - The number of seconds
+ */
+export const parseDuration = (str) => {
+  if (typeof str === 'number') return str;
+  str = String(str).trim();
+
+  const iso = parseISODuration(str);
+  if (iso) return durationUnits.slice(0, 7).reduce((total, unit) => total + iso[unit] * timeConversion[unit], 0);
+
+  const sign = str.startsWith('-') ? -1 : 1;
+  str = str.replace(/^[+-]\s*/, '');
+
+  if (/^\d*\.?\d+$/.test(str)) return sign * +str;
+
+  const time = str.match(/^(\d+):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/);
+  if (time) {
+    const [ , hours, minutes, seconds = 0 ] = time;
+    return minutes > 59 || seconds >= 60 ? NaN : sign * (hours * 3600 + minutes * 60 + +seconds);
+  }
+
+  let total = 0, match;
+  if (!str) return NaN;
+  while (str && (match = str.match(reDurationPart))) {
+    const unit = durationUnitsByName[match[2].toLowerCase()];
+    if (!unit) return NaN;
+    total += match[1] * timeConversion[unit];
+    str = str.slice(match[0].length);
+  }
+  return str ? NaN : sign * total;
+};
+
+/**
+ * Format a duration, given in seconds, like "1 day, 2 hours, 3 minutes" (long),
+ * "1 day, 2 hr, 3 min" (short), "1d 2h 3m" (narrow) or "26:03:00" (digital).
+ * Units with a value of 0 are left out, and the remainder is rounded to the smallest unit.
+ * The digital style shows hours, minutes and seconds (and milliseconds, if `smallest` is
+ * 'milliseconds') - the hours don't wrap around after 24.
+ *
+ * Usage:
+ *
+ *    formatDuration(93784);                                         // '1 day, 2 hours, 3 minutes, 4 seconds'
+ *    formatDuration(93784, { style: 'narrow', smallest: 'minutes' });   // '1d 2h 3m'
+ *    formatDuration(93784, { largest: 'hours', locale: 'de' });        // '26 Stunden, 3 Minuten und 4 Sekunden'
+ *    formatDuration(93784, { style: 'digital' });                   // '26:03:04'
+ *
+ * @param {number} seconds - The duration
+ * @param {Object} [options]
+ * @param {string} [options.style] - 'long', 'short', 'narrow' or 'digital' (default: 'long')
+ * @param {string} [options.largest] - The largest unit to use (default: 'days')
+ * @param {string} [options.smallest] - The smallest unit to use (default: 'seconds')
+ * @param {string} [options.locale] - The locale (default: the system locale)
+ * @returns {string} - The formatted duration
+ */
+export const formatDuration = (seconds, { style = 'long', largest = 'days', smallest = 'seconds', locale } = {}) => {
+  if (!Number.isFinite(seconds)) return 'Invalid Duration';
+  const sign = seconds < 0 ? '-' : '';
+
+  if (style === 'digital') {
+    const withMs = getDurationUnit(smallest) === 'milliseconds';
+    const units = [ 'hours', 'minutes', 'seconds', ...(withMs ? [ 'milliseconds' ] : []) ];
+    const { hours, minutes, seconds: secs, milliseconds } = splitDuration(Math.abs(seconds), units);
+    return `${sign}${pad(hours)}:${pad(minutes)}:${pad(secs)}${withMs ? `.${pad(milliseconds, 3)}` : ''}`;
+  }
+
+  const units = durationUnits.slice(durationUnits.indexOf(getDurationUnit(largest)), durationUnits.indexOf(getDurationUnit(smallest)) + 1);
+  if (!units.length) throw new Error(`The largest unit (${largest}) is smaller than the smallest unit (${smallest})`);
+
+  const parts = Object.entries(splitDuration(Math.abs(seconds), units)).filter(([ , n ]) => n);
+  if (!parts.length) parts.push([ units[units.length - 1], 0 ]);
+
+  const strings = parts.map(([ unit, n ]) => new Intl.NumberFormat(locale, {
+    style: 'unit',
+    unit: unit.slice(0, -1),
+    unitDisplay: style,
+  }).format(n));
+  return sign + new Intl.ListFormat(locale, { type: 'unit', style }).format(strings);
+};
+
+// the largest unit to use for relative times, and the number of seconds they go up to
+const relativeTimeUnits = [
+  [ 'seconds', 60 ],
+  [ 'minutes', 3600 ],
+  [ 'hours', 86400 ],
+  [ 'days', 604800 ],
+  [ 'weeks', timeConversion.months ],
+  [ 'months', timeConversion.years ],
+  [ 'years', Infinity ],
+];
+
+/**
+ * Get how long ago, or how far in the future, a date is - like "3 days ago"
+ * or "in 2 weeks" - using the best unit for how far away the date is.
+ *
+ * Usage:
+ *
+ *    formatRelativeTime(Date.now() - 3 * 864e5);                         // '3 days ago'
+ *    formatRelativeTime(Date.now() + 864e5);                             // 'tomorrow'
+ *    formatRelativeTime(Date.now() + 864e5, { numeric: 'always' });      // 'in 1 day'
+ *    formatRelativeTime(date, { locale: 'es', unit: 'hours' });          // 'hace 5 horas'
+ *
+ * @param {Date|number|string} date - The date
+ * @param {Object} [options]
+ * @param {Date|number} [options.now] - The date to compare to (default: now)
+ * @param {string} [options.unit] - The unit to use, instead of choosing one
+ * @param {string} [options.locale] - The locale (default: the system locale)
+ * @param {string} [options.numeric] - 'auto' allows "yesterday" instead of "1 day ago", 'always' doesn't (default: 'auto')
+ * @param {string} [options.style] - 'long', 'short' or 'narrow' (default: 'long')
+ * @returns {string} - The relative time
+ */
+export const formatRelativeTime = (date, { now = Date.now(), unit, locale, numeric = 'auto', style = 'long' } = {}) => {
+  const seconds = (new Date(date) - new Date(now)) / 1000;
+  if (Number.isNaN(seconds)) return 'Invalid Date';
+  const abs = Math.abs(seconds);
+  if (unit) {
+    unit = getDurationUnit(unit);
+  } else {
+    // (use the next unit up if rounding gets to it - 59.6 seconds is "1 minute")
+    unit = relativeTimeUnits.find(([ u, max ]) => Math.round(abs / timeConversion[u]) * timeConversion[u] < max)[0];
+  }
+  const value = Math.round(seconds / timeConversion[unit]) || 0;
+  return new Intl.RelativeTimeFormat(locale, { numeric, style }).format(value, unit.slice(0, -1));
+};
+
+
+
+//
+// Business days
+//
+
+// get the number of a calendar day (days since 1st Jan 1970), and back again
+const toDayNumber = (year, month, day) => Math.round(utc(year, month - 1, day) / MS_PER_DAY);
+const fromDayNumber = (n) => {
+  const date = new Date(n * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+const dayOfWeek = n => ((n + 4) % 7 + 7) % 7;
+
+// get the date of Easter Sunday in the given year (Gregorian calendar)
+const easterSunday = (year) => {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return { year, month: Math.floor((h + l - 7 * m + 114) / 31), day: (h + l - 7 * m + 114) % 31 + 1 };
+};
+
+// getEasterSunday(2024)  // 31st March 2024 (midnight, in the given or local time zone)
+export const getEasterSunday = (year, tz) => fromZone(easterSunday(year), tz);
+
+// get the day number of the nth weekday of a month - nth can be negative: -1 is the last one
+const nthWeekday = (year, month, weekday, nth) => {
+  if (nth > 0) {
+    const first = toDayNumber(year, month, 1);
+    return first + (weekday - dayOfWeek(first) + 7) % 7 + (nth - 1) * 7;
+  }
+  const last = toDayNumber(year, month, daysInMonth(year, month));
+  return last - (dayOfWeek(last) - weekday + 7) % 7 + (nth + 1) * 7;
+};
+
+/**
+ * Holiday rules, for use with createCalendar(). Each rule is one of:
+ *
+ *   - a fixed date each year:          { name, month: 12, day: 25 }
+ *   - the nth weekday of a month:      { name, month: 5, weekday: 1, nth: -1 }   (last Monday of May)
+ *   - a number of days from Easter:    { name, easter: -2 }                       (Good Friday)
+ *   - a one-off date:                  '2023-05-08' or a Date
+ *   - a function, given the year, which returns any of the above (or an array of them)
+ *
+ * Rules can also have:
+ *
+ *   - `since` and `until`: the first and last years the rule applies to
+ *   - `observed`: what to do when the holiday falls on a weekend - 'next' moves it
+ *     to the next business day (a "substitute day"), 'nearest' moves it to the
+ *     nearest weekday (so Saturday is observed on Friday, and Sunday on Monday)
+ *
+ * The built-in rules are the regular public holidays, and don't include one-off
+ * holidays (like those for coronations), which can be added as dates:
+ *
+ *    createCalendar({ holidays: [ ...holidayRules.uk, '2023-05-08' ] });
+ */
+export const holidayRules = {
+  // bank holidays in England and Wales
+  uk: [
+    { name: 'New Year\'s Day', month: 1, day: 1, observed: 'next' },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Easter Monday', easter: 1 },
+    { name: 'Early May bank holiday', month: 5, weekday: 1, nth: 1 },
+    { name: 'Spring bank holiday', month: 5, weekday: 1, nth: -1 },
+    { name: 'Summer bank holiday', month: 8, weekday: 1, nth: -1 },
+    { name: 'Christmas Day', month: 12, day: 25, observed: 'next' },
+    { name: 'Boxing Day', month: 12, day: 26, observed: 'next' },
+  ],
+  // US federal holidays
+  us: [
+    { name: 'New Year\'s Day', month: 1, day: 1, observed: 'nearest' },
+    { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3, since: 1986 },
+    { name: 'Washington\'s Birthday', month: 2, weekday: 1, nth: 3 },
+    { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+    { name: 'Juneteenth National Independence Day', month: 6, day: 19, observed: 'nearest', since: 2021 },
+    { name: 'Independence Day', month: 7, day: 4, observed: 'nearest' },
+    { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+    { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+    { name: 'Veterans Day', month: 11, day: 11, observed: 'nearest' },
+    { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+    { name: 'Christmas Day', month: 12, day: 25, observed: 'nearest' },
+  ],
+};
+
+/**
+ * Create a calendar of business days, with the given weekend and holidays. Days
+ * are calendar days in the given time zone (or the local time zone), and the
+ * functions which return dates keep the time of day of the date given to them.
+ *
+ * Usage:
+ *
+ *    const uk = createCalendar({ holidays: holidayRules.uk, timeZone: 'Europe/London' });
+ *    uk.isBusinessDay(new Date('2024-12-26'));          // false
+ *    uk.addBusinessDays(new Date('2024-12-23'), 2);     // Fri 27th Dec 2024
+ *
+ *    // a Friday and Saturday weekend, with some one-off holidays
+ *    const calendar = createCalendar({ weekend: [ 5, 6 ], holidays: [ '2024-04-10', '2024-04-11' ] });
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.weekend] - The days of the weekend, 0 is Sunday (default: [ 0, 6 ])
+ * @param {Array} [options.holidays] - The holiday rules (see holidayRules)
+ * @param {string} [options.timeZone] - An IANA time zone, like 'Europe/London' (default: the local time zone)
+ * @returns {Object} - The calendar
+ */
+export const createCalendar = ({ weekend = [ 0, 6 ], holidays = [], timeZone } = {}) => {
+  if ([ 0, 1, 2, 3, 4, 5, 6 ].every(day => weekend.includes(day))) {
+    throw new Error('A calendar needs at least one day which is not in the weekend');
+  }
+  const isWeekendDay = n => weekend.includes(dayOfWeek(n));
+
+  // get the day numbers of a rule in the given year, before moving any on weekends
+  const ruleDays = (rule, year) => {
+    if (typeof rule === 'function') return [ rule(year) ].flat().flatMap(r => ruleDays(r, year));
+    if (isDate(rule) || typeof rule === 'string') {
+      // one-off dates: strings like '2024-04-10' are calendar days, Dates are in the calendar's time zone
+      const date = typeof rule === 'string' ? parseDate(rule, 'YYYY-MM-DD', { timeZone: 'UTC' }) : rule;
+      if (!isDateValid(date)) throw new Error(`Invalid holiday date: ${rule}`);
+      const { year: y, month, day } = toZone(date, typeof rule === 'string' ? 'UTC' : timeZone);
+      return y === year ? [ toDayNumber(y, month, day) ] : [];
+    }
+    if ((rule.since && year < rule.since) || (rule.until && year > rule.until)) return [];
+    if (rule.easter !== undefined) {
+      const easter = easterSunday(year);
+      return [ toDayNumber(year, easter.month, easter.day) + rule.easter ];
+    }
+    if (rule.nth) return [ nthWeekday(year, rule.month, rule.weekday, rule.nth) ];
+    return [ toDayNumber(year, rule.month, rule.day) ];
+  };
+
+  const cache = new Map();
+
+  // get the holidays in the given year, as a map of day numbers to holidays
+  const holidaysIn = (year) => {
+    if (!cache.has(year)) {
+      // (rules from the years either side can be observed in this year, like a New Year's Day on a Saturday)
+      const found = [ year - 1, year, year + 1 ].flatMap(y => holidays.flatMap(rule => ruleDays(rule, y).map(day => ({
+        day,
+        name: rule.name || '',
+        observed: rule.observed,
+      })))).sort((a, b) => a.day - b.day);
+
+      const taken = new Set(found.map(h => h.day));
+      const isFree = n => !isWeekendDay(n) && !taken.has(n);
+      const days = new Map();
+      for (const holiday of found) {
+        let day = holiday.day;
+        if (holiday.observed && isWeekendDay(day)) {
+          if (holiday.observed === 'nearest') {
+            for (let i = 1; i < 7 && day === holiday.day; i++) {
+              if (isFree(holiday.day - i)) day = holiday.day - i;
+              else if (isFree(holiday.day + i)) day = holiday.day + i;
+            }
+          } else {
+            while (!isFree(day)) day++;
+          }
+          taken.add(day);
+        }
+        if (fromDayNumber(day).year === year && !days.has(day)) {
+          days.set(day, { name: holiday.name, observed: day !== holiday.day });
+        }
+      }
+      cache.set(year, days);
+    }
+    return cache.get(year);
+  };
+
+  const dayNumberOf = (date) => {
+    const { year, month, day } = toZone(date, timeZone);
+    return toDayNumber(year, month, day);
+  };
+
+  const holidayOn = n => holidaysIn(fromDayNumber(n).year).get(n);
+  const isBusinessDayNumber = n => !isWeekendDay(n) && !holidayOn(n);
+
+  // get the holiday on the given date, as { name, observed }, or undefined
+  const getHoliday = date => holidayOn(dayNumberOf(date));
+
+  const isHoliday = date => !!getHoliday(date);
+
+  const isBusinessDay = date => isBusinessDayNumber(dayNumberOf(date));
+
+  // get the holidays in the given year, as [{ date, name, observed }] - dates are midnight in the calendar's time zone
+  const getHolidays = year => [ ...holidaysIn(year) ]
+    .sort(([ a ], [ b ]) => a - b)
+    .map(([ n, holiday ]) => ({ date: fromZone(fromDayNumber(n), timeZone), ...holiday }));
+
+  // add (or subtract, if negative) a number of business days to a date
+  const addBusinessDays = (date, days) => {
+    const start = dayNumberOf(date);
+    const step = days < 0 ? -1 : 1;
+    let n = start;
+    for (let left = Math.abs(days); left > 0;) {
+      n += step;
+      if (isBusinessDayNumber(n)) left--;
+    }
+    return addDays(date, n - start, timeZone);
+  };
+
+  // get the next business day after the given date
+  const nextBusinessDay = date => addBusinessDays(date, 1);
+
+  // get the last business day before the given date
+  const previousBusinessDay = date => addBusinessDays(date, -1);
+
+  // get the number of business days from one date (included) to another (not included) -
+  // negative if `to` is before `from`
+  const businessDaysBetween = (from, to) => {
+    const a = dayNumberOf(from), b = dayNumberOf(to);
+    let count = 0;
+    for (let n = Math.min(a, b); n < Math.max(a, b); n++) {
+      if (isBusinessDayNumber(n)) count++;
+    }
+    return b < a ? -count : count;
+  };
+
+  return {
+    weekend,
+    timeZone,
+    isBusinessDay,
+    isHoliday,
+    getHoliday,
+    getHolidays,
+    addBusinessDays,
+    nextBusinessDay,
+    previousBusinessDay,
+    businessDaysBetween,
+  };
+};
+
+
+
+//
+// Recurrence rules (iCalendar RRULEs, RFC 5545)
+//
+
+const rruleWeekdays = [ 'SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA' ];
+const rruleFreqs = [ 'YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY' ];
+
+// parse an iCalendar date or date-time ('20240101', '20240101T090000' or '20240101T090000Z'),
+// in the given time zone unless it's UTC - dates on their own are the end of the day if `endOfDay` is true
+const parseICalDate = (value, tz, endOfDay) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i);
+  if (!match) throw new Error(`Invalid date in RRULE: ${value}`);
+  const [ , year, month, day, hour, minute, second, isUTC ] = match.map(v => v && !isNaN(v) ? +v : v);
+  if (hour === undefined && endOfDay) return new Date(fromZone({ year, month, day: day + 1 }, tz).getTime() - 1);
+  const parts = { year, month, day, hour, minute, second };
+  return isUTC ? new Date(utc(year, month - 1, day, hour, minute, second)) : fromZone(parts, tz);
+};
+
+// format a date as an iCalendar date-time, in the given time zone, or in UTC (ending in 'Z')
+const formatICalDate = (date, tz) => formatDate(date, tz ? 'YYYYMMDD[T]HHmmss' : 'YYYYMMDD[T]HHmmss[Z]', { timeZone: tz || 'UTC' });
+
+// parse a BYDAY value like 'MO', '1MO' or '-1FR' into { weekday, nth } - nth is 0 for every one
+const parseByDay = (value) => {
+  const match = String(value).toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) throw new Error(`Invalid BYDAY in RRULE: ${value}`);
+  return { weekday: rruleWeekdays.indexOf(match[2]), nth: +(match[1] || 0) };
+};
+
+/**
+ * Parse an iCalendar recurrence rule into an object of options (see createRRule()).
+ * The rule can be just the RRULE ('FREQ=WEEKLY;BYDAY=MO,WE'), or include the
+ * DTSTART and EXDATE lines:
+ *
+ *    DTSTART;TZID=Europe/London:20240101T090000
+ *    RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1
+ *    EXDATE;TZID=Europe/London:20240329T090000
+ *
+ * Supports FREQ (YEARLY, MONTHLY, WEEKLY or DAILY), INTERVAL, BYMONTH, BYMONTHDAY,
+ * BYDAY, BYSETPOS, COUNT, UNTIL and WKST.
+ *
+ * @param {string} str - The rule
+ * @returns {Object} - The options: { freq, interval, byMonth, byMonthDay, byDay, bySetPos, count, until, wkst, dtStart, timeZone, exDates }
+ */
+export const parseRRule = (str) => {
+  const options = { exDates: [] };
+  const lines = String(str).trim().split(/\r?\n(?![ \t])/).map(line => line.replace(/\r?\n[ \t]/g, ''));
+  let rule;
+
+  // find the time zone first, as the other dates are in it
+  for (const line of lines) {
+    const tzid = line.match(/^DTSTART;(?:.*;)?TZID=([^;:]+)/i);
+    if (tzid) options.timeZone = tzid[1];
+  }
+
+  for (const line of lines) {
+    const [ , name = 'RRULE', params = '', value ] = line.match(/^(?:([A-Z-]+)((?:;[^:]*)?):)?(.*)$/i);
+    switch (name.toUpperCase()) {
+      case 'DTSTART':
+        options.dtStart = parseICalDate(value, options.timeZone);
+        break;
+      case 'EXDATE': {
+        const tz = (params.match(/TZID=([^;:]+)/i) || [])[1] || options.timeZone;
+        options.exDates.push(...value.split(',').map(v => parseICalDate(v, tz)));
+        break;
+      }
+      case 'RRULE':
+        rule = value;
+        break;
+      default:
+        throw new Error(`Unsupported line in RRULE: ${line}`);
+    }
+  }
+  if (!rule) throw new Error('No RRULE found');
+
+  for (const part of rule.split(';').filter(Boolean)) {
+    const [ key, value = '' ] = part.split('=');
+    const numbers = () => value.split(',').map(Number);
+    switch (key.toUpperCase()) {
+      case 'FREQ': options.freq = value.toUpperCase(); break;
+      case 'INTERVAL': options.interval = +value; break;
+      case 'BYMONTH': options.byMonth = numbers(); break;
+      case 'BYMONTHDAY': options.byMonthDay = numbers(); break;
+      case 'BYDAY': options.byDay = value.toUpperCase().split(','); break;
+      case 'BYSETPOS': options.bySetPos = numbers(); break;
+      case 'COUNT': options.count = +value; break;
+      case 'UNTIL': options.until = parseICalDate(value, options.timeZone, true); break;
+      case 'WKST': options.wkst = value.toUpperCase(); break;
+      default: throw new Error(`Unsupported part of RRULE: ${part}`);
+    }
+  }
+  return options;
+};
+
+/**
+ * Get the iCalendar text of a recurrence rule - the opposite of parseRRule().
+ *
+ * Usage:
+ *
+ *    formatRRule({ freq: 'WEEKLY', byDay: [ 'MO', 'WE' ], count: 10 });   // 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10'
+ *
+ * @param {Object} options - The options of the rule (see createRRule())
+ * @returns {string} - The rule, with DTSTART and EXDATE lines if they're given
+ */
+export const formatRRule = ({ freq, interval, byMonth, byMonthDay, byDay, bySetPos, count, until, wkst, dtStart, timeZone, exDates = [] }) => {
+  const tzParam = timeZone ? `;TZID=${timeZone}` : '';
+  const parts = [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    byMonth?.length && `BYMONTH=${byMonth.join(',')}`,
+    byMonthDay?.length && `BYMONTHDAY=${byMonthDay.join(',')}`,
+    byDay?.length && `BYDAY=${byDay.join(',')}`,
+    bySetPos?.length && `BYSETPOS=${bySetPos.join(',')}`,
+    wkst && wkst !== 'MO' && `WKST=${wkst}`,
+    count && `COUNT=${count}`,
+    until && `UNTIL=${formatICalDate(until)}`,
+  ];
+  return [
+    dtStart && `DTSTART${tzParam}:${formatICalDate(dtStart, timeZone)}`,
+    `RRULE:${parts.filter(Boolean).join(';')}`,
+    exDates.length && `EXDATE${tzParam}:${exDates.map(d => formatICalDate(d, timeZone)).join(',')}`,
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Create a recurrence rule, from an iCalendar RRULE (see parseRRule()) or an
+ * object of options, and get its dates. Occurrences keep the time of day of the
+ * start date in the rule's time zone (or the local time zone), so they don't move
+ * when daylight saving starts or ends. Dates are worked out as they're needed, so
+ * rules without an end (no COUNT or UNTIL) are fine.
+ *
+ * Usage:
+ *
+ *    // 9am on the last weekday of each month, in London
+ *    const rule = createRRule('RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', {
+ *      dtStart: new Date('2024-01-01T09:00:00Z'),
+ *      timeZone: 'Europe/London',
+ *    });
+ *    rule.next();                                   // the next one after now
+ *    rule.between(new Date(2024, 0, 1), new Date(2025, 0, 1));
+ *    rule.toString();                               // 'DTSTART;TZID=Europe/London:20240101T090000\nRRULE:...'
+ *
+ *    // the same, as options
+ *    createRRule({ freq: 'MONTHLY', byDay: [ 'MO', 'TU', 'WE', 'TH', 'FR' ], bySetPos: [ -1 ], dtStart, timeZone: 'Europe/London' });
+ *
+ * @param {string|Object} rule - The RRULE, or the options of the rule:
+ * @param {string} rule.freq - 'YEARLY', 'MONTHLY', 'WEEKLY' or 'DAILY'
+ * @param {number} [rule.interval] - Every how many years, months, weeks or days (default: 1)
+ * @param {number[]} [rule.byMonth] - The months (1 to 12)
+ * @param {number[]} [rule.byMonthDay] - The days of the month (negative counts from the end: -1 is the last day)
+ * @param {string[]} [rule.byDay] - The days of the week, like 'MO', or '1MO' for the 1st Monday (of the month or year)
+ * @param {number[]} [rule.bySetPos] - Which of the dates in each month, week (etc) to keep (-1 is the last one)
+ * @param {number} [rule.count] - The number of occurrences
+ * @param {Date} [rule.until] - The last date
+ * @param {string} [rule.wkst] - The first day of the week (default: 'MO')
+ * @param {Date} [rule.dtStart] - The first date, and the time of day of all of them (default: now)
+ * @param {string} [rule.timeZone] - An IANA time zone, like 'Europe/London' (default: the local time zone)
+ * @param {Date[]} [rule.exDates] - Dates to leave out
+ * @param {Object} [options] - Options which override those of the rule
+ * @returns {Object} - The rule: { options, all, between, next, toString } - it's also iterable
+ */
+export const createRRule = (rule, options = {}) => {
+  const opts = { ...(typeof rule === 'string' ? parseRRule(rule) : rule), ...options };
+  const { freq, interval = 1, byMonth, byMonthDay, bySetPos, count, until, wkst = 'MO', timeZone, exDates = [] } = opts;
+  const dtStart = new Date(opts.dtStart || Date.now());
+
+  if (!rruleFreqs.includes(freq)) throw new Error(`Unsupported FREQ in RRULE: ${freq}`);
+  if (!(interval >= 1)) throw new Error(`Invalid INTERVAL in RRULE: ${interval}`);
+  const byDay = opts.byDay && opts.byDay.map(parseByDay);
+  const weekStart = rruleWeekdays.indexOf(wkst);
+  const excluded = new Set(exDates.map(d => new Date(d).getTime()));
+
+  const start = toZone(dtStart, timeZone);
+  const startDay = toDayNumber(start.year, start.month, start.day);
+  const timeOfDay = { hour: start.hour, minute: start.minute, second: start.second };
+
+  const matchesDay = (n) => {
+    const { month, day, year } = fromDayNumber(n);
+    return (!byMonth || byMonth.includes(month))
+      && (!byDay || byDay.some(d => d.weekday === dayOfWeek(n)))
+      && (!byMonthDay || byMonthDay.some(d => d === day || d === day - daysInMonth(year, month) - 1));
+  };
+
+  // get the day numbers in a month, using BYMONTHDAY and BYDAY
+  const daysInMonthOf = (year, month) => {
+    const first = toDayNumber(year, month, 1), length = daysInMonth(year, month);
+    if (byMonthDay) {
+      return byMonthDay.map(d => d > 0 ? first + d - 1 : first + length + d)
+        .filter(n => n >= first && n < first + length && (!byDay || matchesDay(n)));
+    }
+    if (byDay) {
+      return byDay.flatMap(({ weekday, nth }) => {
+        if (nth) {
+          const n = nthWeekday(year, month, weekday, nth);
+          return n >= first && n < first + length ? [ n ] : [];
+        }
+        const firstOfWeekday = first + (weekday - dayOfWeek(first) + 7) % 7;
+        return [ 0, 7, 14, 21, 28 ].map(i => firstOfWeekday + i).filter(n => n < first + length);
+      });
+    }
+    return start.day <= length ? [ first + start.day - 1 ] : [];
+  };
+
+  // get the day numbers of the nth "period" (year, month, week or day) of the rule
+  const daysInPeriod = (i) => {
+    if (freq === 'YEARLY') {
+      const year = start.year + i * interval;
+      if (byMonth) return byMonth.flatMap(month => daysInMonthOf(year, month));
+      if (byMonthDay) return [ ...Array(12).keys() ].flatMap(m => daysInMonthOf(year, m + 1));
+      if (byDay) {
+        // every matching weekday of the year - or the nth one of the year
+        const first = toDayNumber(year, 1, 1), end = toDayNumber(year + 1, 1, 1);
+        return byDay.flatMap(({ weekday, nth }) => {
+          const firstOfWeekday = first + (weekday - dayOfWeek(first) + 7) % 7;
+          const all = [];
+          for (let n = firstOfWeekday; n < end; n += 7) all.push(n);
+          return nth ? [ all[nth > 0 ? nth - 1 : all.length + nth] ].filter(n => n !== undefined) : all;
+        });
+      }
+      return daysInMonthOf(year, start.month);
+    }
+    if (freq === 'MONTHLY') {
+      const total = start.month - 1 + i * interval;
+      const year = start.year + Math.floor(total / 12), month = total % 12 + 1;
+      return byMonth && !byMonth.includes(month) ? [] : daysInMonthOf(year, month);
+    }
+    if (freq === 'WEEKLY') {
+      const first = startDay - (dayOfWeek(startDay) - weekStart + 7) % 7 + i * 7 * interval;
+      // (without BYDAY, it's the weekday of DTSTART)
+      return [ ...Array(7).keys() ].map(d => first + d)
+        .filter(n => (byDay ? matchesDay(n) : dayOfWeek(n) === dayOfWeek(startDay))
+          && (!byMonth || byMonth.includes(fromDayNumber(n).month)));
+    }
+    const day = startDay + i * interval;
+    return matchesDay(day) ? [ day ] : [];
+  };
+
+  // get all the occurrences, in order, as they're needed
+  function* occurrences() {
+    let found = 0;
+    for (let i = 0, emptyPeriods = 0; emptyPeriods < 1000; i++) {
+      let days = [ ...new Set(daysInPeriod(i)) ].sort((a, b) => a - b);
+      if (bySetPos) days = bySetPos.map(pos => days[pos > 0 ? pos - 1 : days.length + pos]).filter(n => n !== undefined).sort((a, b) => a - b);
+      emptyPeriods = days.length ? 0 : emptyPeriods + 1;
+      for (const n of days) {
+        if (n < startDay) continue;
+        const date = fromZone({ ...fromDayNumber(n), ...timeOfDay }, timeZone);
+        if (date < dtStart) continue;
+        if (until && date > until) return;
+        if (count && found >= count) return;
+        found++;
+        if (!excluded.has(date.getTime())) yield date;
+      }
+    }
+  }
+
+  // get the occurrences between two dates - including those dates, if `inclusive` is true
+  const between = (after, before, { inclusive = false } = {}) => {
+    const dates = [];
+    for (const date of occurrences()) {
+      if (date > before || (!inclusive && date >= before)) break;
+      if (date > after || (inclusive && date >= after)) dates.push(date);
+    }
+    return dates;
+  };
+
+  // get the first occurrence after the given date (default: now), or null if there isn't one
+  const next = (after = new Date()) => {
+    for (const date of occurrences()) {
+      if (date > after) return date;
+    }
+    return null;
+  };
+
+  // get all the occurrences, up to the given limit (needed if the rule has no end)
+  const all = (limit = Infinity) => {
+    if (limit === Infinity && !count && !until) throw new Error('The rule has no end - pass a limit to all()');
+    const dates = [];
+    for (const date of occurrences()) {
+      if (dates.length >= limit) break;
+      dates.push(date);
+    }
+    return dates;
+  };
+
+  return {
+    options: { ...opts, dtStart },
+    all,
+    between,
+    next,
+    toString: () => formatRRule({ ...opts, dtStart }),
+    [Symbol.iterator]: occurrences,
+  };
+};
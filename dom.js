@@ -4,107 +4,527 @@
 //
 //
 
-const isFirefox = !!window.InternalError;
+export const isFirefox = typeof window !== 'undefined' && !!window.InternalError;
 
-const isChromeApp = () => !!chrome.runtime.id;
+export const isChromeApp = () => !!chrome.runtime.id;
 
-const clearCookies = document.cookie.split(';').forEach(cookie => document.cookie = cookie
-        .replace(/^ +/, '')
-        .replace(/=.*/, `=;expires=${new Date(0).toUTCString()};path=/`)
-      );
+export { clearCookies } from './cookies.js';
 
-const copyToClipboard = (text) => navigator.clipboard.writeText(text);
+export const copyToClipboard = (text) => navigator.clipboard.writeText(text);
 
 // alternative to the above
-const copyTextToClipboard = async (text) => await navigator.clipboard.writeText(text);
+export const copyTextToClipboard = async (text) => await navigator.clipboard.writeText(text);
 
 // get dark mode
-const darkMode = () => window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+export const darkMode = () => window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
 
 // Fast 3G is around 1.35, 5 is ok, 10 is good
-const getNetworkSpeed = () => navigator.connection.downlink;
+export const getNetworkSpeed = () => navigator.connection.downlink;
 
-const getSelectedTxt = () => window.getSelection().toString();
+export const getSelectedTxt = () => window.getSelection().toString();
 
-const isAppleDevice = () => /Mac|iPod|iPhone|iPad/.test(navigator.platform);
+export const isAppleDevice = () => /Mac|iPod|iPhone|iPad/.test(navigator.platform);
 
-const isTabInView = () => !document.hidden; // Not hidden
+export const isTabInView = () => !document.hidden; // Not hidden
 
 // Scroll to top of page
-const scrollToTop = () => window.scrollTo({ top: 0, behavior: 'smooth' });
+export const scrollToTop = () => window.scrollTo({ top: 0, behavior: 'smooth' });
 
 // Scroll to bottom of page
-const scrollToBottom = () => window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+export const scrollToBottom = () => window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
 
 // Scroll to top of an element
-const scrollToEl = (el) => el.scrollIntoView({ behavior: "smooth", block: "start" });
+export const scrollToEl = (el) => el.scrollIntoView({ behavior: "smooth", block: "start" });
 
 // Scroll to elements bottom
-const scrollToElbottom = (el) => el.scrollIntoView({ behavior: "smooth", block: "end" });
+export const scrollToElbottom = (el) => el.scrollIntoView({ behavior: "smooth", block: "end" });
 
-const hasScrolledToBottom = () => document.documentElement.clientHeight + window.scrollY >= document.documentElement.scrollHeight
+export const hasScrolledToBottom = () => document.documentElement.clientHeight + window.scrollY >= document.documentElement.scrollHeight
 
 // Check if an element is focused
-const isFocus = el => el == document.activeElemnt;
+export const isFocus = el => el == document.activeElemnt;
 
-const toggleElement = element => element.style.display = (element.style.display === "none" ? "block" : "none")
+export const toggleElement = element => element.style.display = (element.style.display === "none" ? "block" : "none")
 
-const urlRedirect = url => location.href = url;
+export const urlRedirect = url => location.href = url;
 
-const stripHtml = html => (new DOMParser().parseFromString(html, 'text/html')).body.textContent || ''
+export const stripHtml = html => (new DOMParser().parseFromString(html, 'text/html')).body.textContent || ''
 
 
 
-/**
- * Fast, in-place DOM diffing with innerHTML fallback.
- * 
- * @param {Node} c - Current DOM node (to be updated)
- * @param {Node} t - Target DOM node (source of truth)
- * @returns {boolean} - Success status
- */
-const domDiff = (c, t) => {
-  try {
-    // 1. Tag/Type mismatch: Replace entirely
-    if (c.nodeType !== t.nodeType || c.tagName !== t.tagName) {
-      c.replaceWith(t.cloneNode(true));
-      return true;
+// get the key of a child node, used to match it up when diffing - its data-key, or its id
+const nodeKey = n => n.nodeType === 1 ? (n.getAttribute('data-key') ?? (n.id || null)) : null;
+
+// get the indexes (in `seq`) of the longest increasing subsequence of the numbers in `seq`
+const longestIncreasingSubsequence = (seq) => {
+  const tails = [], prev = new Array(seq.length);
+  for (let i = 0; i < seq.length; i++) {
+    let lo = 0, hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
     }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  const result = [];
+  for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = prev[i]) result.push(i);
+  return result.reverse();
+};
+
+// describe a node, so it can be created later - see createNode()
+const describeNode = n => n.nodeType === 1 ? { type: 1, html: n.outerHTML } : { type: n.nodeType, text: n.textContent };
 
-    // 2. Text/Comment nodes: Update content
-    if (c.nodeType === 3 || c.nodeType === 8) {
-      if (c.textContent !== t.textContent) c.textContent = t.textContent;
-      return true;
+// parse some HTML in the context of the given parent (as SVG, if it's inside an <svg>)
+const parseHTML = (html, parent) => {
+  const doc = parent?.ownerDocument || document;
+  const tpl = doc.createElement('template');
+  const isSvg = parent?.namespaceURI === 'http://www.w3.org/2000/svg' && parent.localName !== 'foreignObject';
+  tpl.innerHTML = isSvg ? `<svg>${html}</svg>` : html;
+  return isSvg ? tpl.content.firstChild : tpl.content;
+};
+
+// create a node from the description given by describeNode()
+const createNode = (desc, parent) => {
+  const doc = parent?.ownerDocument || document;
+  if (desc.type === 3) return doc.createTextNode(desc.text);
+  if (desc.type === 8) return doc.createComment(desc.text);
+  return parseHTML(desc.html, parent).firstChild;
+};
+
+// the "live" state of form fields, which can differ from their markup once the user
+// has used them - and the property which has the state given by the markup
+const formProps = {
+  INPUT: n => n.type === 'file' ? [ [ 'checked', 'defaultChecked' ] ] : [ [ 'checked', 'defaultChecked' ], [ 'value', 'defaultValue' ] ],
+  TEXTAREA: () => [ [ 'value', 'defaultValue' ] ],
+  OPTION: () => [ [ 'selected', 'defaultSelected' ] ],
+};
+
+// Add the patches which turn the children of `c` (`cc`) into those of the target (`tc`) to
+// `patches`, matching up keyed children by key, and unkeyed children in order. Matched
+// children are moved (not rebuilt), and only those which aren't part of the longest run
+// already in the right order are moved.
+const diffKeyedChildren = (cc, tc, path, patches) => {
+  const byKey = new Map(), unkeyed = [];
+  cc.forEach((n, i) => {
+    const k = nodeKey(n);
+    if (k !== null && !byKey.has(k)) byKey.set(k, i);
+    else unkeyed.push(i);
+  });
+
+  // find the current child (by its index) for each target child, if there is one
+  let u = 0;
+  const matches = tc.map(t => {
+    const k = nodeKey(t);
+    let i = -1;
+    if (k !== null) {
+      i = byKey.has(k) ? byKey.get(k) : -1;
+      byKey.delete(k);
+    } else if (u < unkeyed.length) {
+      i = unkeyed[u++];
     }
+    return i >= 0 && cc[i].nodeType === t.nodeType && cc[i].nodeName === t.nodeName ? i : -1;
+  });
+
+  // remove the children which aren't needed any more, from the last one back
+  const used = new Set(matches);
+  for (let i = cc.length - 1; i >= 0; i--) {
+    if (!used.has(i)) patches.push({ op: 'remove', path: [ ...path, i ] });
+  }
 
-    // 3. Diff Attributes
-    const ca = c.attributes, ta = t.attributes;
-    for (let i = ca.length - 1; i >= 0; i--) {
-      const n = ca[i].name;
-      if (!t.hasAttribute(n)) c.removeAttribute(n);
+  // the matched children which don't need to move
+  const matched = matches.map((i, j) => [ i, j ]).filter(([ i ]) => i >= 0);
+  const stay = new Set(longestIncreasingSubsequence(matched.map(([ i ]) => i)).map(m => matched[m][1]));
+
+  // put the children in order, from the last one back - `live` keeps track of the order of
+  // the children as the patches are applied (as the indexes of the current children, or `new`)
+  const live = cc.map((n, i) => i).filter(i => used.has(i));
+  let next = null;
+  for (let j = tc.length - 1; j >= 0; j--) {
+    const token = matches[j] >= 0 ? matches[j] : `new${j}`;
+    if (!stay.has(j)) {
+      const to = next === null ? live.length : live.indexOf(next);
+      if (matches[j] >= 0) {
+        const from = live.indexOf(token);
+        patches.push({ op: 'move', path, from, to });
+        live.splice(from, 1);
+        live.splice(next === null ? live.length : live.indexOf(next), 0, token);
+      } else {
+        patches.push({ op: 'insert', path, index: to, node: describeNode(tc[j]) });
+        live.splice(to, 0, token);
+      }
     }
-    for (let i = 0; i < ta.length; i++) {
-      const { name: n, value: v } = ta[i];
-      if (c.getAttribute(n) !== v) c.setAttribute(n, v);
+    next = token;
+  }
+
+  // then diff the matched children, which are now in the same order as the target
+  matches.forEach((i, j) => { if (i >= 0) diffInto(cc[i], tc[j], [ ...path, j ], patches); });
+};
+
+// add the patches which turn `c` into `t` to `patches` - see diffPatches()
+const diffInto = (c, t, path, patches) => {
+  // 1. Tag/Type mismatch: Replace entirely
+  if (c.nodeType !== t.nodeType || c.nodeName !== t.nodeName) {
+    patches.push({ op: 'replace', path, node: describeNode(t) });
+    return;
+  }
+
+  // 2. Text/Comment nodes: Update content
+  if (c.nodeType === 3 || c.nodeType === 8) {
+    if (c.textContent !== t.textContent) patches.push({ op: 'setText', path, text: t.textContent });
+    return;
+  }
+
+  // 3. Opt out: leave elements (and their children) managed by other code alone
+  if (t.nodeType !== 1 || t.hasAttribute('data-diff-ignore')) return;
+
+  // 4. Diff Attributes
+  const ca = c.attributes, ta = t.attributes;
+  for (let i = ca.length - 1; i >= 0; i--) {
+    const n = ca[i].name;
+    if (!t.hasAttribute(n)) patches.push({ op: 'removeAttr', path, name: n });
+  }
+  for (let i = 0; i < ta.length; i++) {
+    const { name: n, value: v } = ta[i];
+    if (c.getAttribute(n) !== v) patches.push({ op: 'setAttr', path, name: n, value: v });
+  }
+
+  // 5. Diff Children - by key, if any have keys
+  const cc = Array.from(c.childNodes), tc = Array.from(t.childNodes);
+  if (cc.some(n => nodeKey(n) !== null) || tc.some(n => nodeKey(n) !== null)) {
+    diffKeyedChildren(cc, tc, path, patches);
+  } else {
+    const ml = Math.min(cc.length, tc.length);
+    for (let i = 0; i < ml; i++) diffInto(cc[i], tc[i], [ ...path, i ], patches);
+    for (let i = ml; i < tc.length; i++) patches.push({ op: 'insert', path, index: i, node: describeNode(tc[i]) });
+    for (let i = cc.length - 1; i >= ml; i--) patches.push({ op: 'remove', path: [ ...path, i ] });
+  }
+
+  // 6. Sync form state - only if the markup of it changed, so what the user typed (or
+  // picked) is kept when the view re-renders the same value as before (the patches
+  // aren't applied yet, so `c` still has the markup of the last render)
+  for (const [ name, defaultName ] of formProps[c.tagName]?.(c) || []) {
+    if (c[defaultName] !== t[defaultName] && c[name] !== t[defaultName]) {
+      patches.push({ op: 'setProp', path, name, value: t[defaultName] });
     }
+  }
+};
+
+// get the target node to diff against - parsing it, if it's a string of HTML
+const toTargetNode = (t, c) => {
+  if (typeof t !== 'string') return t;
+  const node = parseHTML(t.trim(), c.parentNode || c).firstChild;
+  if (!node) throw new Error('The target HTML is empty');
+  return node;
+};
 
-    // 4. Diff Children
-    const cc = Array.from(c.childNodes), tc = Array.from(t.childNodes);
-    const ml = Math.max(cc.length, tc.length);
+/**
+ * Get the changes needed to turn the current DOM node into the target, without
+ * making them - as a list of "patches", which can be applied later with
+ * applyPatches(). Patches are plain objects, so they can be sent between
+ * workers, or saved as JSON. Nodes are found by their "path": the indexes of
+ * the child nodes leading to them from the root (at the time each patch is applied).
+ *
+ *    { op: 'setAttr', path, name, value }     { op: 'removeAttr', path, name }
+ *    { op: 'setText', path, text }            { op: 'setProp', path, name, value }
+ *    { op: 'insert', path, index, node }      { op: 'remove', path }
+ *    { op: 'move', path, from, to }           { op: 'replace', path, node }
+ *
+ * See domDiff() for how nodes are matched up.
+ *
+ * Usage:
+ *
+ *    const patches = diffPatches(table, '<table>...</table>');
+ *    // [ { op: 'setText', path: [ 1, 0, 2, 0 ], text: '42' }, ... ]
+ *
+ * @param {Node} c - Current DOM node
+ * @param {Node|string} t - Target DOM node, or a string of HTML
+ * @returns {Object[]} - The patches
+ */
+export const diffPatches = (c, t) => {
+  const patches = [];
+  diffInto(c, toTargetNode(t, c), [], patches);
+  return patches;
+};
+
+/**
+ * Apply the patches given by diffPatches() to a DOM node. Patches which fail
+ * are skipped, and the errors returned (and given to `onError`).
+ *
+ * The hooks can be used for animations: `onBeforeUpdate` is called before a node is
+ * changed or replaced, and `onBeforeRemove` before a node is removed - return false
+ * from either to skip that patch (to remove the node yourself later, for example).
+ * `onAdded` is called with each new node, after it's added.
+ *
+ * Usage:
+ *
+ *    applyPatches(table, patches, {
+ *      onBeforeRemove: (node) => {
+ *        if (node.nodeType !== 1) return;
+ *        node.classList.add('fade-out');
+ *        node.addEventListener('transitionend', () => node.remove());
+ *        return false;
+ *      },
+ *      onAdded: (node) => node.nodeType === 1 && node.classList.add('fade-in'),
+ *    });
+ *
+ * @param {Node} root - The DOM node to patch (the same one given to diffPatches())
+ * @param {Object[]} patches - The patches
+ * @param {Object} [options]
+ * @param {Function} [options.onBeforeUpdate] - Called with the node and the patch, before a node is changed
+ * @param {Function} [options.onBeforeRemove] - Called with the node and the patch, before a node is removed
+ * @param {Function} [options.onAdded] - Called with the node and the patch, after a node is added
+ * @param {Function} [options.onError] - Called with the error and the patch, if a patch fails
+ * @returns {Object[]} - The errors, as [{ error, patch }] - empty if all the patches were applied
+ */
+export const applyPatches = (root, patches, { onBeforeUpdate, onBeforeRemove, onAdded, onError } = {}) => {
+  // nodes which a hook said not to remove - they're ignored when finding nodes by index
+  const kept = new WeakSet();
+  const childrenOf = parent => Array.prototype.filter.call(parent.childNodes, n => !kept.has(n));
 
-    for (let i = 0; i < ml; i++) {
-      if (!cc[i]) c.appendChild(tc[i].cloneNode(true));
-      else if (!tc[i]) cc[i].remove();
-      else domDiff(cc[i], tc[i]);
+  const find = (path) => {
+    let node = root;
+    for (const i of path) {
+      node = node && childrenOf(node)[i];
     }
+    if (!node) throw new Error(`No node at path [${path.join(', ')}]`);
+    return node;
+  };
+
+  const errors = [];
+  for (const patch of patches) {
+    try {
+      const node = find(patch.path);
+      switch (patch.op) {
+        case 'setAttr':
+          if (onBeforeUpdate?.(node, patch) !== false) node.setAttribute(patch.name, patch.value);
+          break;
+        case 'removeAttr':
+          if (onBeforeUpdate?.(node, patch) !== false) node.removeAttribute(patch.name);
+          break;
+        case 'setText':
+          if (onBeforeUpdate?.(node, patch) !== false) node.textContent = patch.text;
+          break;
+        case 'setProp':
+          if (onBeforeUpdate?.(node, patch) !== false) node[patch.name] = patch.value;
+          break;
+        case 'replace': {
+          if (onBeforeUpdate?.(node, patch) === false) break;
+          const added = createNode(patch.node, node.parentNode || node);
+          if (node === root && !node.parentNode) throw new Error('Can\'t replace a root node which has no parent');
+          node.replaceWith(added);
+          if (node === root) root = added;
+          onAdded?.(added, patch);
+          break;
+        }
+        case 'insert': {
+          const added = createNode(patch.node, node);
+          node.insertBefore(added, childrenOf(node)[patch.index] || null);
+          onAdded?.(added, patch);
+          break;
+        }
+        case 'remove':
+          if (onBeforeRemove?.(node, patch) === false) kept.add(node);
+          else node.remove();
+          break;
+        case 'move': {
+          const children = childrenOf(node);
+          if (!children[patch.from]) throw new Error(`No node to move at index ${patch.from}`);
+          node.insertBefore(children[patch.from], children[patch.to] || null);
+          break;
+        }
+        default:
+          throw new Error(`Unknown patch: ${patch.op}`);
+      }
+    } catch (error) {
+      errors.push({ error, patch });
+      onError?.(error, patch);
+    }
+  }
+  return errors;
+};
+
+// Remember which element inside `root` has focus (and its text selection), as a
+// path of keys or indexes - so the same "logical" element can be found after diffing,
+// even if it was replaced
+const saveFocus = (root) => {
+  const el = root.ownerDocument?.activeElement;
+  if (!el || el === root.ownerDocument.body || !(root === el || root.contains(el))) return null;
+  const path = [];
+  for (let n = el; n !== root; n = n.parentNode) {
+    path.unshift({ key: nodeKey(n), index: Array.prototype.indexOf.call(n.parentNode.children, n) });
+  }
+  let selection = null;
+  try {
+    // (inputs like checkboxes and numbers have no selection, and throw in some browsers)
+    if (typeof el.selectionStart === 'number') selection = [ el.selectionStart, el.selectionEnd, el.selectionDirection ];
+  } catch (e) {}
+  const parent = root.parentNode;
+  return { root, path, selection, parent, index: parent ? Array.prototype.indexOf.call(parent.childNodes, root) : -1 };
+};
+
+// Focus the element remembered by saveFocus(), and restore its text selection
+const restoreFocus = (saved) => {
+  if (!saved) return;
+  // (the root itself is replaced if its tag changed)
+  let el = !saved.root.parentNode && saved.parent ? saved.parent.childNodes[saved.index] : saved.root;
+  for (const { key, index } of saved.path) {
+    const children = Array.from(el?.children || []);
+    el = (key !== null && children.find(n => nodeKey(n) === key)) || children[index];
+  }
+  if (!el || typeof el.focus !== 'function') return;
+  if (el.ownerDocument.activeElement !== el) el.focus({ preventScroll: true });
+  if (saved.selection && typeof el.setSelectionRange === 'function') {
+    const [ start, end, direction ] = saved.selection, length = el.value.length;
+    try {
+      el.setSelectionRange(Math.min(start, length), Math.min(end, length), direction || undefined);
+    } catch (e) {}
+  }
+};
 
-    return true;
-  } catch (e) {
-    // 5. Fallback: If diffing fails (e.g. protected DOM or restricted writes), use innerHTML
+/**
+ * Fast, in-place DOM diffing with innerHTML fallback.
+ *
+ * Children with a `data-key` attribute (or an `id`) are matched up by key, so
+ * they're moved rather than rebuilt when items are added, removed or re-ordered -
+ * keeping their focus, scroll position and CSS transitions. Children without
+ * a key are matched up by their position.
+ *
+ * The live state of form fields (value, checked and selected) is set when the
+ * target's markup for it changes - if it's the same as before, what the user
+ * typed is kept. The focused element - and its text selection - is restored
+ * after diffing. Elements with a `data-diff-ignore` attribute in the target are
+ * left as they are, for widgets which manage their own DOM.
+ *
+ * If any changes fail (e.g. protected DOM or restricted writes), the errors are
+ * given to `onError` (or logged, if there's no `onError`), and the children are
+ * replaced using innerHTML - unless `fallback` is false.
+ *
+ * Usage:
+ *
+ *    domDiff(list, '<ul><li data-key="1">One</li><li data-key="2">Two</li></ul>');
+ *    domDiff(list, newList, { onAdded: node => node.classList?.add('new') });
+ * 
+ * @param {Node} c - Current DOM node (to be updated)
+ * @param {Node|string} t - Target DOM node (source of truth), or a string of HTML
+ * @param {Object} [options] - The hooks of applyPatches(), and:
+ * @param {boolean} [options.fallback] - Use innerHTML if any changes fail (default: true)
+ * @param {Function} [options.onError] - Called with the error and the patch, if a change fails (default: console.error)
+ * @returns {boolean} - Success status - true if all the changes were made (or the fallback worked)
+ */
+export const domDiff = (c, t, { fallback = true, onError = (error, patch) => console.error('domDiff:', error, patch), ...hooks } = {}) => {
+  t = toTargetNode(t, c);
+  const focus = saveFocus(c);
+  const errors = applyPatches(c, diffPatches(c, t), { ...hooks, onError });
+  if (errors.length && fallback) {
     try {
       c.innerHTML = t.innerHTML;
-      return true;
-    } catch (err) {
+    } catch (error) {
+      onError(error, null);
       return false;
     }
   }
+  restoreFocus(focus);
+  return !errors.length || fallback;
+};
+
+/**
+ * Render the markup returned by `view(state)` into an element, and re-render it
+ * (using domDiff) whenever the state changes. Calls to setState() are batched,
+ * so the element is only diffed once per animation frame.
+ *
+ * Events are delegated: add a `data-on-click="handlerName"` attribute (or
+ * `data-on-input`, `data-on-submit`, etc) to an element, and the handler of that
+ * name is called with the event and `{ el, getState, setState }` - where `el`
+ * is the element with the attribute.
+ *
+ * Where there's no requestAnimationFrame (like in jsdom or linkedom), a timer is
+ * used instead - and render() re-renders right away, which is handy in tests.
+ *
+ * Usage:
+ *
+ *    const counter = mount(document.getElementById('counter'), ({ count }) => `
+ *      <button data-on-click="add">+1</button> <span>${count}</span>
+ *    `, { count: 0 }, {
+ *      handlers: {
+ *        add: (event, { setState }) => setState(state => ({ count: state.count + 1 })),
+ *      },
+ *    });
+ *
+ *    counter.setState({ count: 10 });
+ *    counter.destroy();
+ *
+ * @param {Element} el - The element to render into
+ * @param {Function} view - Given the state, returns the markup of the element's children (a string of HTML, or a Node)
+ * @param {*} [initialState] - The state to start with
+ * @param {Object} [options] - The options of domDiff(), and:
+ * @param {Object} [options.handlers] - The event handlers, by name
+ * @returns {Object} - { getState, setState, render, destroy }
+ */
+export const mount = (el, view, initialState, { handlers = {}, ...options } = {}) => {
+  const win = el.ownerDocument?.defaultView;
+  const raf = win?.requestAnimationFrame ? cb => win.requestAnimationFrame(cb) : cb => setTimeout(cb, 16);
+  const cancelRaf = win?.cancelAnimationFrame ? id => win.cancelAnimationFrame(id) : id => clearTimeout(id);
+
+  let state = initialState, frame = null, destroyed = false;
+  const listening = new Map();
+
+  // call the handler of the nearest element (inside `el`) with a data-on-[event] attribute
+  const onEvent = (event) => {
+    const attr = `data-on-${event.type}`;
+    for (let n = event.target; n && n !== el.parentNode; n = n.parentNode) {
+      if (n.nodeType !== 1 || !n.hasAttribute(attr)) continue;
+      const name = n.getAttribute(attr), handler = handlers[name];
+      if (typeof handler !== 'function') throw new Error(`Unknown event handler: ${name}`);
+      handler(event, { el: n, getState, setState });
+      return;
+    }
+  };
+
+  // listen for each type of event used in the markup - in the capture phase, so
+  // events which don't bubble (like focus and blur) are delegated too
+  const listen = () => {
+    const nodes = [ el, ...el.querySelectorAll('*') ];
+    nodes.forEach(n => Array.from(n.attributes).forEach(({ name }) => {
+      if (!name.startsWith('data-on-') || listening.has(name)) return;
+      listening.set(name, name.slice(8));
+      el.addEventListener(name.slice(8), onEvent, true);
+    }));
+  };
+
+  const render = () => {
+    if (frame !== null) cancelRaf(frame);
+    frame = null;
+    if (destroyed) return;
+    const target = el.cloneNode(false);
+    const markup = view(state);
+    if (typeof markup === 'string') target.innerHTML = markup;
+    else if (markup) target.append(markup);
+    domDiff(el, target, options);
+    listen();
+  };
+
+  const getState = () => state;
+
+  // give a new state, some changes to the state (merged into it), or a function which
+  // is given the state and returns the changes
+  const setState = (changes) => {
+    if (destroyed) return;
+    const next = typeof changes === 'function' ? changes(state) : changes;
+    const isPlainObj = v => v !== null && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+    state = isPlainObj(state) && isPlainObj(next) ? { ...state, ...next } : next;
+    if (frame === null) frame = raf(render);
+  };
+
+  const destroy = () => {
+    if (frame !== null) cancelRaf(frame);
+    frame = null;
+    destroyed = true;
+    listening.forEach(type => el.removeEventListener(type, onEvent, true));
+    listening.clear();
+  };
+
+  render();
+  return { getState, setState, render, destroy };
 };
@@ -1,36 +1,816 @@
-function executeAsWorker(func, ...args){
-	const funcText = func.toString();
-	const bodyText = funcText.match(/\{[\s\S]*\}/)[0];
-	const argsText = funcText.match(/\(.*\)|[\s\S]*?(?=\=\>)/)[0];
-	const workerBody = `
-		self.addEventListener('message', function(e){
-			const wrappedFunc = ${argsText} => ${bodyText};
-			const result = wrappedFunc(...e.data);
-			self.postMessage(result);
-			self.close();
+import { isNode } from './types.js';
+
+// The script each pooled worker runs. It receives { id, src, args } messages,
+// rebuilds the function from its source (caching it, so a function sent many
+// times is only parsed once), runs it and posts back { id, result } or { id, error }.
+const workerScript = post => `
+	const fns = new Map();
+	const toFunc = src => {
+		if (!fns.has(src)) {
+			let fn;
+			try { fn = (0, eval)('(' + src + ')'); }
+			catch (e) { fn = (0, eval)('(function ' + src + ')'); } // method shorthand, e.g. "foo(a) { ... }"
+			fns.set(src, fn);
+		}
+		return fns.get(src);
+	};
+	const transferablesOf = r =>
+		r instanceof ArrayBuffer ? [r] : ArrayBuffer.isView(r) && r.buffer instanceof ArrayBuffer ? [r.buffer] : [];
+	const onTask = async ({ id, src, args }) => {
+		try {
+			const result = await toFunc(src)(...args);
+			${post}({ id, result }, transferablesOf(result));
+		} catch (e) {
+			const error = e instanceof Error
+				? { name: e.name, message: e.message, stack: e.stack }
+				: { name: 'Error', message: String(e) };
+			${post}({ id, error });
+		}
+	};
+`;
+
+// Browser backend, using Web Workers
+const createWebWorker = () => {
+	const src = `${workerScript('self.postMessage')}\nself.onmessage = e => onTask(e.data);`;
+	const url = URL.createObjectURL(new Blob([src], { type: 'text/javascript' }));
+	const worker = new Worker(url);
+	URL.revokeObjectURL(url);
+	return {
+		post: (msg, transfer) => worker.postMessage(msg, transfer),
+		onMessage: fn => worker.onmessage = e => fn(e.data),
+		onError: fn => worker.onerror = e => { e.preventDefault(); fn(new Error(e.message)); },
+		ref: () => {},
+		unref: () => {},
+		terminate: () => worker.terminate(),
+	};
+};
+
+// Node backend, using worker_threads
+const createNodeWorker = ({ Worker }) => {
+	const src = `const { parentPort } = require('worker_threads');
+		${workerScript('parentPort.postMessage.bind(parentPort)')}
+		parentPort.on('message', onTask);`;
+	const worker = new Worker(src, { eval: true });
+	return {
+		post: (msg, transfer) => worker.postMessage(msg, transfer),
+		onMessage: fn => worker.on('message', fn),
+		onError: fn => {
+			worker.on('error', fn);
+			worker.on('exit', code => code !== 0 && fn(new Error(`Worker stopped with exit code ${code}`)));
+		},
+		ref: () => worker.ref(),
+		unref: () => worker.unref(),
+		terminate: () => worker.terminate(),
+	};
+};
+
+let spawnWorker, loadingBackend;
+
+// Resolves to a function that spawns a worker, for the current environment
+const loadBackend = async () => {
+	if (typeof Worker === 'function' && typeof Blob === 'function') return createWebWorker;
+	if (isNode()) {
+		const threads = await import(/* webpackIgnore: true */ 'node:worker_threads');
+		return () => createNodeWorker(threads);
+	}
+	throw new Error('Workers are not supported in this environment.');
+};
+
+const errorNamed = (name, message) => Object.assign(new Error(message), { name });
+
+const abortReason = signal => signal.reason ?? errorNamed('AbortError', 'The operation was aborted.');
+
+/**
+ * Create a pool of reusable workers, to run functions off the main thread.
+ * Works in browsers (Web Workers) and in Node (worker_threads).
+ *
+ * Functions are sent to the worker as source code, so they must be self-contained:
+ * they can't use variables from their surrounding scope, only their arguments.
+ * Arguments and return values must be structured-cloneable.
+ *
+ * Usage:
+ *
+ *    const pool = createWorkerPool({ size: 4, timeout: 10000 });
+ *
+ *    const inside = await pool.run(
+ *      (features, point) => features.filter(f => ...),
+ *      [ geojson.features, [ -0.12, 51.5 ] ],
+ *      { signal: controller.signal, timeout: 5000 }
+ *    );
+ *
+ *    // pass ArrayBuffers as transferables, instead of copying them
+ *    const total = await pool.run(buf => new Float64Array(buf).reduce((a, b) => a + b, 0), [ buf ], { transfer: [ buf ] });
+ *
+ *    pool.terminate();
+ *
+ * @param {Object} [options]
+ * @param {number} [options.size] - Max number of workers running at once (default: number of CPU cores)
+ * @param {number} [options.timeout] - Default per-task timeout in ms (0 for none)
+ * @returns {{ run: Function, terminate: Function, size: number, pending: number }}
+ */
+export const createWorkerPool = ({ size = globalThis.navigator?.hardwareConcurrency || 4, timeout = 0 } = {}) => {
+	const workers = []; // { worker, task }
+	const queue = [];
+	let nextId = 0;
+	let terminated = false;
+
+	// Finish the given task, and free up its worker (if it has one)
+	const settle = (task, err, result) => {
+		if (task.done) return;
+		task.done = true;
+		clearTimeout(task.timer);
+		task.signal?.removeEventListener('abort', task.onAbort);
+		const slot = workers.find(s => s.task === task);
+		if (slot) {
+			slot.task = null;
+			slot.worker.unref();
+		}
+		queue.includes(task) && queue.splice(queue.indexOf(task), 1);
+		err ? task.reject(err) : task.resolve(result);
+		dispatch();
+	};
+
+	// A worker can't be interrupted, so a timed out or aborted task has its worker replaced
+	const kill = (task, err) => {
+		const slot = workers.find(s => s.task === task);
+		if (slot) {
+			workers.splice(workers.indexOf(slot), 1);
+			slot.worker.terminate();
+		}
+		settle(task, err);
+	};
+
+	const spawn = () => {
+		const slot = { worker: spawnWorker(), task: null };
+		slot.worker.onMessage(({ id, result, error }) => {
+			if (slot.task?.id !== id) return;
+			settle(slot.task, error && Object.assign(errorNamed(error.name, error.message), { stack: error.stack }), result);
 		});
-	`;
-	return new Promise((resolve, reject) => {
-		const workerUrl = URL.createObjectURL(new Blob([workerBody], { type : "text/javascript" }));
-		const worker = new Worker(workerUrl);
-		worker.postMessage(args);
-		worker.onmessage = (e) => resolve(e.data);
-	});
+		slot.worker.onError(err => slot.task ? kill(slot.task, err) : workers.includes(slot) && workers.splice(workers.indexOf(slot), 1));
+		workers.push(slot);
+		return slot;
+	};
+
+	const dispatch = () => {
+		while (queue.length && !terminated) {
+			const slot = workers.find(s => !s.task) || (workers.length < size && spawn());
+			if (!slot) return;
+			const task = queue.shift();
+			slot.task = task;
+			slot.worker.ref();
+			slot.worker.post({ id: task.id, src: task.src, args: task.args }, task.transfer);
+		}
+	};
+
+	const run = async (func, args = [], { timeout: ms = timeout, signal, transfer = [] } = {}) => {
+		if (terminated) throw new Error('The worker pool was terminated.');
+		if (signal?.aborted) throw abortReason(signal);
+		spawnWorker ||= await (loadingBackend ||= loadBackend());
+		return new Promise((resolve, reject) => {
+			const task = { id: nextId++, src: func.toString(), args, transfer, signal, resolve, reject };
+			if (ms > 0) task.timer = setTimeout(() => kill(task, errorNamed('TimeoutError', `The task timed out after ${ms}ms.`)), ms);
+			if (signal) {
+				task.onAbort = () => kill(task, abortReason(signal));
+				signal.addEventListener('abort', task.onAbort, { once: true });
+			}
+			queue.push(task);
+			dispatch();
+		});
+	};
+
+	// Stop all workers, and reject any running or queued tasks
+	const terminate = () => {
+		const err = errorNamed('AbortError', 'The worker pool was terminated.');
+		terminated = true;
+		[ ...workers.map(s => s.task).filter(Boolean), ...queue ].forEach(task => kill(task, err));
+		workers.splice(0).forEach(s => s.worker.terminate());
+	};
+
+	return {
+		run,
+		terminate,
+		get size() { return workers.length; },
+		get pending() { return queue.length; },
+	};
+};
+
+let defaultPool;
+
+// Run the given function in a worker, with the given args, without blocking the main thread.
+// Uses a shared worker pool, see createWorkerPool() for pool options, timeouts and cancellation.
+//
+// Usage:
+//
+//    const result = await executeAsWorker((arr, q) => { ...heavy work... }, bigArray, 0.5);
+//
+export const executeAsWorker = (func, ...args) => (defaultPool ||= createWorkerPool()).run(func, args);
+
+
+
+// Objects, functions and (unregistered) symbols can be WeakMap keys, so memo()
+// holds them weakly - and the results cached for them go once they're collected.
+// (Symbols from Symbol.for() can't be collected, so they're keyed like primitives.)
+const isWeakKey = v => (typeof v === 'object' && v !== null) || typeof v === 'function'
+    || (typeof v === 'symbol' && Symbol.keyFor(v) === undefined);
+
+const argKey = v => {
+    const t = typeof v;
+    if (isWeakKey(v)) return '#';
+    if (t === 'string') return JSON.stringify(v);
+    if (t === 'symbol') return `@${JSON.stringify(Symbol.keyFor(v))}`;
+    return `${t}:${String(v)}`;
+};
+
+// each node is reached through the object arguments, in order, and caches
+// results by a string made from the primitive arguments (and their positions)
+const cacheNode = () => ({ objects: new WeakMap(), entries: new Map() });
+
+/**
+ * Memoize the given function: cache its results, so that calling it again
+ * with the same arguments returns the cached result.
+ *
+ * Primitive arguments are compared by value, objects by identity - so Maps, Sets,
+ * Dates and circular objects are all fine as arguments. Pass a `resolver` to
+ * create your own cache keys instead (e.g. `args => args[0].id`).
+ *
+ * If `func` returns a Promise, concurrent calls share the one pending promise,
+ * and rejected promises are removed from the cache.
+ *
+ * Object arguments are held weakly: once they're garbage collected, so are the
+ * results cached for them. Set `max` (or `ttl`) when the function is called with
+ * lots of different primitive arguments, or the cache keeps growing.
+ *
+ * Usage:
+ *
+ *    const getFeature = memo(fetchFeature, { max: 100, ttl: 60000 });
+ *
+ *    getFeature.cache.delete('feature-id');  // forget one result
+ *    getFeature.cache.clear();               // forget all results
+ *    getFeature.cache.stats();               // { hits, misses, evictions, size }
+ *
+ * @param {Function} func - The function to memoize
+ * @param {Object} [options]
+ * @param {number} [options.max] - Max number of cached results, least recently used are removed first
+ * @param {number} [options.ttl] - Time-to-live of cached results, in ms (0 for forever)
+ * @param {Function} [options.resolver] - Given an array of arguments, returns the cache key
+ * @param {Function} [options.now] - Returns the current time in ms (default: Date.now)
+ * @returns {Function} - The memoized function, with a `cache` property
+ */
+export function memo(func, { max = Infinity, ttl = 0, resolver, now = Date.now } = {}) {
+    let root = cacheNode();
+    // least recently used first - only kept when there's a max, as it holds results strongly
+    const order = new Set();
+    let hits = 0, misses = 0, evictions = 0, size = 0;
+
+    // results collected along with their object arguments no longer count towards the size
+    // (`generation` skips the ones cached before the last clear())
+    let generation = 0;
+    const collected = new FinalizationRegistry(gen => gen === generation && size--);
+
+    const find = (args, create) => {
+        const path = resolver ? [ resolver(args) ] : args;
+        let node = root;
+        for (const arg of path) {
+            if (!isWeakKey(arg)) continue;
+            let next = node.objects.get(arg);
+            if (!next) {
+                if (!create) return {};
+                node.objects.set(arg, next = cacheNode());
+            }
+            node = next;
+        }
+        const key = path.map(argKey).join(',');
+        return { node, key, entry: node.entries.get(key) };
+    };
+
+    const remove = entry => {
+        if (entry.generation !== generation || entry.node.entries.get(entry.key) !== entry) return false;
+        entry.node.entries.delete(entry.key);
+        order.delete(entry);
+        collected.unregister(entry);
+        size--;
+        return true;
+    };
+
+    const isFresh = entry => !!entry && (!entry.expires || entry.expires > now());
+
+    const memoized = function(...args){
+        const { node, key, entry } = find(args, true);
+
+        if (isFresh(entry)) {
+            hits++;
+            // move to the end, so it's the most recently used
+            if (order.delete(entry)) order.add(entry);
+            return entry.value;
+        }
+
+        misses++;
+        if (entry) remove(entry);
+        const result = func.apply(this, args);
+        const newEntry = { value: result, expires: ttl > 0 ? now() + ttl : 0, node, key, generation };
+        node.entries.set(key, newEntry);
+        collected.register(newEntry, generation, newEntry);
+        size++;
+        if (max < Infinity) order.add(newEntry);
+
+        // don't cache failed async calls
+        if (result && typeof result.then === 'function') {
+            result.then(null, () => remove(newEntry));
+        }
+
+        while (order.size > max) {
+            remove(order.values().next().value);
+            evictions++;
+        }
+        return result;
+    };
+
+    memoized.cache = {
+        clear: () => {
+            root = cacheNode();
+            order.clear();
+            generation++;
+            size = 0;
+        },
+        delete: (...args) => {
+            const { entry } = find(args, false);
+            return !!entry && remove(entry);
+        },
+        has: (...args) => isFresh(find(args, false).entry),
+        stats: () => ({ hits, misses, evictions, size }),
+    };
+
+    return memoized;
 }
 
 
 
-function memo(func) {
-    const memory = new Map();
-    return function(...args){
-        const argHash = JSON.stringify([...args]);
-        if(memory.has(argHash)){
-            return memory.get(argHash)
-        } else {
-            const result = func(...args);
-            memory.set(argHash, result);
-            return result;
+
+// The default clock, used by the timing functions below to read the time and
+// schedule callbacks. Pass your own object with the same methods as the `clock`
+// option to control time yourself (e.g. in tests).
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: id => clearTimeout(id),
+    requestAnimationFrame: fn => typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame(fn)
+        : setTimeout(() => fn(Date.now()), 16),
+    cancelAnimationFrame: id => typeof cancelAnimationFrame === 'function'
+        ? cancelAnimationFrame(id)
+        : clearTimeout(id),
+};
+
+/**
+ * Debounce the given function: delay calling it until `wait` ms have passed
+ * since the last time the debounced function was called.
+ *
+ * Usage:
+ *
+ *    const onResize = debounce(() => redraw(), 200);
+ *    window.addEventListener('resize', onResize);
+ *
+ *    // call on the first event, then again once the events stop, and at least once every second
+ *    const onScroll = debounce(() => hasScrolledToBottom() && loadMore(), 200, { leading: true, maxWait: 1000 });
+ *
+ *    onScroll.pending(); // true if a call is scheduled
+ *    onScroll.flush();   // make the scheduled call now
+ *    onScroll.cancel();  // forget the scheduled call
+ *
+ * @param {Function} func - The function to debounce
+ * @param {number} [wait] - The number of ms to wait
+ * @param {Object} [options]
+ * @param {boolean} [options.leading] - Call on the leading edge of the timeout (default: false)
+ * @param {boolean} [options.trailing] - Call on the trailing edge of the timeout (default: true)
+ * @param {number} [options.maxWait] - The max ms `func` can be delayed before it's called
+ * @param {Object} [options.clock] - The clock to use (default: systemClock)
+ * @returns {Function} - The debounced function, with `cancel`, `flush` and `pending` methods
+ */
+export const debounce = (func, wait = 0, { leading = false, trailing = true, maxWait, clock = systemClock } = {}) => {
+    const maxing = maxWait !== undefined;
+    if (maxing) maxWait = Math.max(maxWait, wait);
+
+    let lastArgs, lastThis, lastCallTime, result, timer;
+    let lastInvokeTime = 0;
+
+    const invoke = time => {
+        const args = lastArgs, ctx = lastThis;
+        lastArgs = lastThis = undefined;
+        lastInvokeTime = time;
+        result = func.apply(ctx, args);
+        return result;
+    };
+
+    const remainingWait = time => {
+        const waiting = wait - (time - lastCallTime);
+        return maxing ? Math.min(waiting, maxWait - (time - lastInvokeTime)) : waiting;
+    };
+
+    const shouldInvoke = time => {
+        if (lastCallTime === undefined) return true;
+        const sinceCall = time - lastCallTime;
+        return sinceCall >= wait || sinceCall < 0 || (maxing && time - lastInvokeTime >= maxWait);
+    };
+
+    const trailingEdge = time => {
+        timer = undefined;
+        // only call if the debounced function was called since the last call
+        if (trailing && lastArgs) return invoke(time);
+        lastArgs = lastThis = undefined;
+        return result;
+    };
+
+    const timerExpired = () => {
+        const time = clock.now();
+        if (shouldInvoke(time)) return trailingEdge(time);
+        timer = clock.setTimeout(timerExpired, remainingWait(time));
+    };
+
+    const leadingEdge = time => {
+        lastInvokeTime = time;
+        timer = clock.setTimeout(timerExpired, wait);
+        return leading ? invoke(time) : result;
+    };
+
+    function debounced(...args) {
+        const time = clock.now();
+        const isInvoking = shouldInvoke(time);
+        lastArgs = args;
+        lastThis = this;
+        lastCallTime = time;
+
+        if (isInvoking) {
+            if (timer === undefined) return leadingEdge(time);
+            if (maxing) {
+                // called often enough to hit maxWait, so call now and start a new timeout
+                clock.clearTimeout(timer);
+                timer = clock.setTimeout(timerExpired, wait);
+                return invoke(time);
+            }
         }
+        if (timer === undefined) timer = clock.setTimeout(timerExpired, wait);
+        return result;
     }
-}
 
+    debounced.cancel = () => {
+        if (timer !== undefined) clock.clearTimeout(timer);
+        lastInvokeTime = 0;
+        lastArgs = lastThis = lastCallTime = timer = undefined;
+    };
+    debounced.flush = () => {
+        if (timer === undefined) return result;
+        clock.clearTimeout(timer);
+        return trailingEdge(clock.now());
+    };
+    debounced.pending = () => timer !== undefined;
+
+    return debounced;
+};
+
+// Throttle the given function: call it at most once every `wait` ms.
+// Takes the same options as debounce(), except `maxWait` (which is always `wait`).
+//
+// Usage:
+//
+//    const onScroll = throttle(() => updateProgressBar(), 100);
+//    window.addEventListener('scroll', onScroll);
+//
+export const throttle = (func, wait = 0, { leading = true, trailing = true, clock = systemClock } = {}) =>
+    debounce(func, wait, { leading, trailing, maxWait: wait, clock });
+
+// Throttle the given function to once per animation frame - it's called with
+// the args of the latest call made before the frame.
+// Has the same `cancel`, `flush` and `pending` methods as debounce().
+//
+// Usage:
+//
+//    const onMove = rafThrottle(e => moveTooltip(e.clientX, e.clientY));
+//    map.addEventListener('pointermove', onMove);
+//
+export const rafThrottle = (func, { clock = systemClock } = {}) => {
+    let lastArgs, lastThis, frame;
+
+    const invoke = () => {
+        const args = lastArgs, ctx = lastThis;
+        frame = lastArgs = lastThis = undefined;
+        return func.apply(ctx, args);
+    };
+
+    function throttled(...args) {
+        lastArgs = args;
+        lastThis = this;
+        if (frame === undefined) frame = clock.requestAnimationFrame(invoke);
+    }
+
+    throttled.cancel = () => {
+        if (frame !== undefined) clock.cancelAnimationFrame(frame);
+        frame = lastArgs = lastThis = undefined;
+    };
+    throttled.flush = () => {
+        if (frame === undefined) return;
+        clock.cancelAnimationFrame(frame);
+        return invoke();
+    };
+    throttled.pending = () => frame !== undefined;
+
+    return throttled;
+};
+
+
+
+// A fake clock, for testing code that uses the `clock` option of the
+// functions in this file. Time only moves when you call tick() or tickAsync().
+//
+// Usage:
+//
+//    const clock = createFakeClock();
+//    const onResize = debounce(redraw, 200, { clock });
+//    onResize();
+//    clock.tick(200);                 // redraw() is called
+//
+//    const p = retry(fetchData, { clock });
+//    await clock.tickAsync(10000);    // lets promises settle between timers
+//
+export const createFakeClock = (start = 0) => {
+    let time = start, lastId = 0;
+    const timers = new Map(); // id => { fn, at }
+
+    // the earliest timer due by the given time (ties run in the order they were set)
+    const nextTimer = until => {
+        let next;
+        for (const [id, t] of timers) {
+            if (t.at <= until && (!next || t.at < next.at)) next = { id, ...t };
+        }
+        return next;
+    };
+
+    // let pending promise callbacks run
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const clock = {
+        now: () => time,
+        setTimeout: (fn, ms = 0) => (timers.set(++lastId, { fn, at: time + Math.max(0, ms) }), lastId),
+        clearTimeout: id => timers.delete(id),
+        requestAnimationFrame: fn => clock.setTimeout(() => fn(time), 16),
+        cancelAnimationFrame: id => timers.delete(id),
+        pending: () => timers.size,
+        tick(ms = 0) {
+            const end = time + ms;
+            for (let t = nextTimer(end); t; t = nextTimer(end)) {
+                timers.delete(t.id);
+                time = t.at;
+                t.fn();
+            }
+            time = end;
+        },
+        async tickAsync(ms = 0) {
+            const end = time + ms;
+            await flushPromises();
+            for (let t = nextTimer(end); t; t = nextTimer(end)) {
+                timers.delete(t.id);
+                time = t.at;
+                t.fn();
+                await flushPromises();
+            }
+            time = end;
+        },
+    };
+    return clock;
+};
+
+
+
+//
+// Async control flow
+//
+
+// Wait for the given number of ms. Rejects if the given signal is aborted.
+//
+// Usage:
+//
+//    await sleep(1000);
+//    await sleep(1000, { signal: controller.signal });
+//
+export const sleep = (ms, { signal, clock = systemClock } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortReason(signal));
+    const onAbort = () => {
+        clock.clearTimeout(timer);
+        reject(abortReason(signal));
+    };
+    const timer = clock.setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Get the delay before the next retry
+const backoffDelay = (attempt, { backoff, delay, factor, maxDelay, jitter, random }) => {
+    let ms = typeof backoff === 'function' ? backoff(attempt, delay)
+        : backoff === 'linear' ? delay * (attempt + 1)
+        : backoff === 'exponential' ? delay * factor ** attempt
+        : delay;
+    ms = Math.min(ms, maxDelay);
+    if (jitter === true || jitter === 'full') return random() * ms;
+    if (jitter === 'equal') return ms / 2 + random() * ms / 2;
+    return ms;
+};
+
+/**
+ * Call the given (async) function, and call it again if it fails, waiting a
+ * little longer between each attempt.
+ *
+ * `fn` is given the attempt number (starting at 0) and `{ signal }`.
+ *
+ * Usage:
+ *
+ *    const data = await retry(
+ *      (attempt, { signal }) => fetch(url, { signal }).then(res => res.json()),
+ *      { retries: 5, backoff: 'exponential', jitter: true, shouldRetry: err => err.name !== 'SyntaxError' }
+ *    );
+ *
+ *    await retry(() => copyTextToClipboard(text), { retries: 2, delay: 250, backoff: 'fixed' });
+ *
+ * @param {Function} fn - The function to call
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Max number of retries, after the first attempt (default: 3)
+ * @param {string|Function} [options.backoff] - 'exponential', 'linear', 'fixed', or (attempt, delay) => ms
+ * @param {number} [options.delay] - The delay before the first retry, in ms (default: 100)
+ * @param {number} [options.factor] - The multiplier for exponential backoff (default: 2)
+ * @param {number} [options.maxDelay] - The longest delay between attempts, in ms
+ * @param {boolean|string} [options.jitter] - Randomise delays: true (or 'full') for 0 to delay, 'equal' for delay/2 to delay
+ * @param {Function} [options.shouldRetry] - Given (err, attempt), return false to stop retrying
+ * @param {Function} [options.onRetry] - Called with (err, attempt, delay) before each retry
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @param {Object} [options.clock] - The clock to use (default: systemClock)
+ * @param {Function} [options.random] - Returns a random number from 0 to 1, used for jitter (default: Math.random)
+ * @returns {Promise} - Resolves to the result of `fn`, or rejects with the last error
+ */
+export const retry = async (fn, {
+    retries = 3,
+    backoff = 'exponential',
+    delay = 100,
+    factor = 2,
+    maxDelay = Infinity,
+    jitter = false,
+    shouldRetry = () => true,
+    onRetry,
+    signal,
+    clock = systemClock,
+    random = Math.random,
+} = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw abortReason(signal);
+        try {
+            return await fn(attempt, { signal });
+        } catch (err) {
+            if (attempt >= retries || signal?.aborted || !(await shouldRetry(err, attempt))) throw err;
+            const ms = backoffDelay(attempt, { backoff, delay, factor, maxDelay, jitter, random });
+            onRetry?.(err, attempt, ms);
+            await sleep(ms, { signal, clock });
+        }
+    }
+};
+
+// Reject with a TimeoutError if the given promise doesn't settle within `ms`.
+// Pass a function instead of a promise to have it called with an AbortSignal,
+// which is aborted on timeout, so the work itself can be cancelled.
+//
+// Usage:
+//
+//    const pos = await withTimeout(getCurrentPosition(), 5000);
+//    const res = await withTimeout(signal => fetch(url, { signal }), 5000, { signal: controller.signal });
+//
+export const withTimeout = (task, ms, { signal, clock = systemClock } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortReason(signal));
+
+    const controller = new AbortController();
+    const cleanup = () => {
+        clock.clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    };
+    const fail = err => {
+        cleanup();
+        controller.abort(err);
+        reject(err);
+    };
+    const onAbort = () => fail(abortReason(signal));
+    const timer = clock.setTimeout(() => fail(errorNamed('TimeoutError', `The operation timed out after ${ms}ms.`)), ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    new Promise(res => res(typeof task === 'function' ? task(controller.signal) : task)).then(
+        value => { cleanup(); resolve(value); },
+        err => { cleanup(); reject(err); },
+    );
+});
+
+// Like Promise.all(items.map(fn)), but with no more than `limit` calls to `fn`
+// running at once. Results are in the same order as `items`. If any call fails,
+// no more calls are started, and the signal given to `fn` is aborted. The limit
+// must be at least 1 (use Infinity for no limit).
+//
+// Usage:
+//
+//    const features = await mapConcurrent(urls, (url, i, { signal }) => fetch(url, { signal }).then(r => r.json()), 4);
+//
+export const mapConcurrent = (items, fn, limit = Infinity, { signal } = {}) => new Promise((resolve, reject) => {
+    if (!(limit >= 1)) return reject(new Error(`Invalid concurrency limit: ${limit}`));
+    if (signal?.aborted) return reject(abortReason(signal));
+
+    items = [ ...items ];
+    const results = new Array(items.length);
+    const controller = new AbortController();
+    let next = 0, running = 0, finished = 0, failed = false;
+
+    const onAbort = () => fail(abortReason(signal));
+    const fail = err => {
+        if (failed) return;
+        failed = true;
+        signal?.removeEventListener('abort', onAbort);
+        controller.abort(err);
+        reject(err);
+    };
+
+    const launch = () => {
+        while (!failed && running < limit && next < items.length) {
+            const i = next++;
+            running++;
+            new Promise(res => res(fn(items[i], i, { signal: controller.signal }))).then(value => {
+                results[i] = value;
+                running--;
+                if (++finished < items.length) return launch();
+                signal?.removeEventListener('abort', onAbort);
+                resolve(results);
+            }, fail);
+        }
+    };
+
+    if (!items.length) return resolve(results);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    launch();
+});
+
+/**
+ * Wrap the given async function in a "circuit breaker": after `threshold`
+ * failures in a row, calls are rejected straight away with a CircuitOpenError,
+ * without calling `fn`. After `resetTimeout` ms, one trial call is let through
+ * ("half-open") - if it succeeds the circuit closes again, otherwise it re-opens.
+ *
+ * Aborted calls (errors named 'AbortError') don't count as failures.
+ *
+ * Usage:
+ *
+ *    const getTiles = circuitBreaker(fetchTiles, { threshold: 3, resetTimeout: 10000 });
+ *    await getTiles(bbox);
+ *    getTiles.state(); // 'closed', 'open' or 'half-open'
+ *    getTiles.reset();
+ *
+ * @param {Function} fn - The function to wrap
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Number of failures in a row that open the circuit (default: 5)
+ * @param {number} [options.resetTimeout] - How long the circuit stays open, in ms (default: 30000)
+ * @param {Function} [options.isFailure] - Given an error, return false if it shouldn't count as a failure
+ * @param {Object} [options.clock] - The clock to use (default: systemClock)
+ * @returns {Function} - The wrapped function, with `state` and `reset` methods
+ */
+export const circuitBreaker = (fn, {
+    threshold = 5,
+    resetTimeout = 30000,
+    isFailure = err => err?.name !== 'AbortError',
+    clock = systemClock,
+} = {}) => {
+    let failures = 0, openedAt = 0, open = false, trialRunning = false;
+
+    const state = () => !open ? 'closed' : clock.now() - openedAt < resetTimeout ? 'open' : 'half-open';
+
+    const breaker = async function(...args) {
+        const current = state();
+        if (current === 'open' || (current === 'half-open' && trialRunning)) {
+            throw errorNamed('CircuitOpenError', 'The circuit is open.');
+        }
+        const isTrial = current === 'half-open';
+        if (isTrial) trialRunning = true;
+        try {
+            const result = await fn.apply(this, args);
+            failures = 0;
+            open = false;
+            return result;
+        } catch (err) {
+            if (isFailure(err) && (isTrial || ++failures >= threshold)) {
+                open = true;
+                openedAt = clock.now();
+            }
+            throw err;
+        } finally {
+            if (isTrial) trialRunning = false;
+        }
+    };
+
+    breaker.state = state;
+    breaker.reset = () => {
+        failures = 0;
+        open = trialRunning = false;
+    };
+
+    return breaker;
+};
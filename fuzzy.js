@@ -0,0 +1,315 @@
+//
+// Functions for fuzzy (approximate) string matching
+//
+
+import { reWords, stripDiacritics } from './strings.js';
+import { getByPath } from './objects.js';
+
+
+// Get the "edit distance" between two strings: the number of single character
+// insertions, deletions or substitutions needed to turn one into the other.
+// Pass `max` to stop early (and get Infinity) once the distance is more than `max`.
+//
+//    levenshtein('kitten', 'sitting'); // 3
+//
+export const levenshtein = (a, b, max = Infinity) => {
+  if (a === b) return 0;
+  a = [ ...a ];
+  b = [ ...b ];
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  if (!a.length || !b.length) return a.length || b.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let curr = new Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+    if (rowMin > max) return Infinity;
+    [ prev, curr ] = [ curr, prev ];
+  }
+  return prev[b.length] > max ? Infinity : prev[b.length];
+};
+
+// As levenshtein(), but swapping two adjacent characters counts as one edit,
+// not two - good for catching typos. (This is the "optimal string alignment"
+// variant: a substring can't be edited more than once.)
+//
+//    levenshtein('Gloucester', 'Glouecster');        // 2
+//    damerauLevenshtein('Gloucester', 'Glouecster'); // 1
+//
+export const damerauLevenshtein = (a, b) => {
+  if (a === b) return 0;
+  a = [ ...a ];
+  b = [ ...b ];
+  if (!a.length || !b.length) return a.length || b.length;
+
+  // keep the last three rows
+  let prev2 = new Array(b.length + 1);
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let curr = new Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        curr[j] = Math.min(curr[j], prev2[j - 2] + 1);
+      }
+    }
+    [ prev2, prev, curr ] = [ prev, curr, prev2 ];
+  }
+  return prev[b.length];
+};
+
+// Get the "Jaro-Winkler" similarity of two strings, from 0 (nothing in common)
+// to 1 (the same). Favours strings that start the same way, so it works well
+// for short strings like names.
+//
+//    jaroWinkler('Dixon', 'Dicksonx'); // ~0.81
+//
+export const jaroWinkler = (a, b, { prefixScale = 0.1 } = {}) => {
+  if (a === b) return 1;
+  // (arrays of characters are accepted too, to save splitting the same strings many times)
+  if (typeof a === 'string') a = [ ...a ];
+  if (typeof b === 'string') b = [ ...b ];
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Uint8Array(a.length);
+  const bMatched = new Uint8Array(b.length);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = 1;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+
+  // count the matching characters which are out of order
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j++]) transpositions++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] !== undefined && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * prefixScale * (1 - jaro);
+};
+
+// split a string into its "n-grams", padded with spaces:  'abc' -> [' a', 'ab', 'bc', 'c ']
+const ngrams = (str, n) => {
+  const chars = [ ...' '.repeat(n - 1), ...str, ...' '.repeat(n - 1) ];
+  const grams = new Map();
+  for (let i = 0; i + n <= chars.length; i++) {
+    const gram = chars.slice(i, i + n).join('');
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Get the similarity of two strings based on how many "n-grams" (substrings of
+// length n) they share, from 0 to 1. Not affected by the order of words.
+//
+//    ngramSimilarity('New York', 'York New');    // 1
+//    ngramSimilarity('night', 'nacht', 3);
+//
+export const ngramSimilarity = (a, b, n = 2) => {
+  if (a === b) return 1;
+  const ga = ngrams(a, n), gb = ngrams(b, n);
+  let shared = 0, total = 0;
+  ga.forEach((count, gram) => {
+    shared += Math.min(count, gb.get(gram) || 0);
+    total += count;
+  });
+  gb.forEach(count => total += count);
+  return total ? (2 * shared) / total : 0;
+};
+
+
+
+//
+// Fuzzy search
+//
+
+// make strings comparable - lowercase, like the case converters in strings.js, and without diacritics
+const normalize = str => (/[^\x00-\x7f]/.test(str) ? stripDiacritics(str) : str).toLowerCase();
+
+// split a string into normalized words, keeping the position of each word in the original string
+const tokenize = str => Array.from(String(str).matchAll(reWords), m => {
+  const text = normalize(m[0]);
+  return { text, chars: [ ...text ], start: m.index, end: m.index + m[0].length };
+});
+
+// how well a query word matches a word in the text, from 0 to 1
+const tokenScore = (query, token) => {
+  if (query.text === token.text) return 1;
+  // the start of a word, for search-as-you-type
+  if (token.text.startsWith(query.text)) return 0.9 + 0.1 * (query.chars.length / token.chars.length);
+  return jaroWinkler(query.chars, token.chars);
+};
+
+// find the word in the text which best matches the given query word, and its score
+// (`scores` caches the score of each word against the query word, as words repeat a lot)
+const bestMatch = (q, tokens, scores) => {
+  let best = 0, bestToken;
+  for (let i = 0; i < tokens.length && best < 1; i++) {
+    const t = tokens[i];
+    let score = scores.get(t.text);
+    if (score === undefined) scores.set(t.text, score = tokenScore(q, t));
+    if (score > best) {
+      best = score;
+      bestToken = t;
+    }
+  }
+  return { score: best, token: bestToken };
+};
+
+// score the query words against the words of a text, from 0 to 1
+const scoreText = (queryTokens, tokens, scores) => {
+  if (!tokens.length) return 0;
+  let total = 0;
+  for (let i = 0; i < queryTokens.length; i++) total += bestMatch(queryTokens[i], tokens, scores[i]).score;
+  return total / queryTokens.length;
+};
+
+// get the end (in the original text) of the first `length` characters of a word's
+// normalized text - normalizing can change the length, e.g. 'ﬁ' is 'fi', and 'é' can be 'e' + an accent
+const originalEnd = (value, token, length) => {
+  let end = token.start, normalized = 0;
+  for (const ch of value.slice(token.start, token.end)) {
+    const n = normalize(ch).length;
+    // (keep any accents on the last letter)
+    if (normalized >= length && n > 0) break;
+    normalized += n;
+    end += ch.length;
+  }
+  return end;
+};
+
+// get the [start, end] ranges of the text matched by the query words
+const matchIndices = (queryTokens, value, tokens, scores) => queryTokens.flatMap((q, i) => {
+  const { token } = bestMatch(q, tokens, scores[i]);
+  if (!token) return [];
+  const isPrefix = token.text.startsWith(q.text);
+  return [ [ token.start, isPrefix ? originalEnd(value, token, q.text.length) : token.end ] ];
+});
+
+/**
+ * Prepare a list of items for fuzzy searching. Splits the text of each item
+ * into words up front, so searching the same list many times is fast.
+ *
+ * Each key is a "dot path" (e.g. 'properties.name'), a function that gets the
+ * text from an item, or an object like { name, weight } (weights default to 1).
+ * If no keys are given, the items themselves are searched (for arrays of strings).
+ *
+ * Usage:
+ *
+ *    const index = fuzzyIndex(geojson.features, {
+ *      keys: [ 'properties.name', { name: 'properties.alt_name', weight: 0.5 } ],
+ *    });
+ *    const results = index.search('edinbrugh', { limit: 10 });
+ *
+ *    // results: [{ item, score, matches: [{ key, value, indices: [[start, end], ...] }] }, ...]
+ *
+ * @param {Array} items - The items to search
+ * @param {Object} [options]
+ * @param {Array} [options.keys] - The keys to search in each item
+ * @returns {{ search: Function }}
+ */
+export const fuzzyIndex = (items, { keys } = {}) => {
+  const fields = (keys || [ { name: null, get: v => v } ]).map(key => {
+    const { name = key, weight = 1, get } = typeof key === 'object' && key !== null ? key : {};
+    return {
+      name,
+      weight,
+      get: get || (typeof name === 'function' ? name : item => getByPath(item, name)),
+    };
+  });
+  const maxWeight = Math.max(...fields.map(f => f.weight));
+
+  // for each item, for each field: the values and their words
+  const entries = items.map(item => fields.map(field => {
+    const val = field.get(item);
+    return (Array.isArray(val) ? val : [ val ])
+      .filter(v => v != null && v !== '')
+      .map(v => ({ value: String(v), tokens: tokenize(v) }));
+  }));
+
+  /**
+   * @param {string} query - The text to search for
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - The minimum score (from 0 to 1) of results (default: 0.75)
+   * @param {number} [options.limit] - The max number of results
+   * @returns {Array} - The matching items, best first
+   */
+  const search = (query, { threshold = 0.75, limit = Infinity } = {}) => {
+    const queryTokens = tokenize(query);
+    if (!queryTokens.length) return [];
+    const scores = queryTokens.map(() => new Map());
+
+    const results = [];
+    for (let i = 0; i < entries.length; i++) {
+      let score = 0;
+      for (let f = 0; f < fields.length; f++) {
+        for (const { tokens } of entries[i][f]) {
+          const weighted = scoreText(queryTokens, tokens, scores) * fields[f].weight / maxWeight;
+          if (weighted > score) score = weighted;
+        }
+      }
+      if (score >= threshold) results.push({ item: items[i], score, index: i });
+    }
+
+    // best first - Array.sort is stable, so equal scores keep their original order
+    results.sort((a, b) => b.score - a.score);
+
+    // add the highlights to the results we return
+    return results.slice(0, limit).map(({ item, score, index }) => {
+      const matches = [];
+      entries[index].forEach((values, f) => {
+        const { name } = fields[f];
+        for (const { value, tokens } of values) {
+          const valueScore = scoreText(queryTokens, tokens, scores);
+          if (valueScore >= threshold) {
+            matches.push({
+              key: typeof name === 'function' ? name.name : name,
+              value,
+              score: valueScore,
+              indices: matchIndices(queryTokens, value, tokens, scores),
+            });
+          }
+        }
+      });
+      return { item, score, matches };
+    });
+  };
+
+  return { search };
+};
+
+// Search the given items for the given query, allowing for typos and partial
+// words. See fuzzyIndex() for the options, and to search the same items many times.
+//
+// Usage:
+//
+//    fuzzySearch(places, 'st andrews', { keys: [ 'name', { name: 'county', weight: 0.3 } ], limit: 5 });
+//    fuzzySearch([ 'Aberdeen', 'Aberystwyth', 'Abingdon' ], 'abrdeen');
+//
+export const fuzzySearch = (items, query, { keys, ...options } = {}) => fuzzyIndex(items, { keys }).search(query, options);
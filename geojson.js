@@ -2,47 +2,44 @@
 // Functions for working with GeoJSON
 //
 
+import { sortBy } from './sorting.js';
 
 // clone the given object, return the cloned object
-const clone = obj => {
+export const clone = obj => {
  return typeof structuredClone === 'function'
     ? structuredClone(obj)
     : JSON.parse(JSON.stringify(obj));
 };
 
-// sort GeoJSON features by the given property and order
-const sortByProp = (gj, prop, order) => gj.features.sort((a,b) => {
-  // get the values
-  a = a.properties[prop];
-  b = b.properties[prop];
-  if (typeof a === 'string' && typeof b === 'string') {
-    // sort strings
-    return order === 'asc' 
-      ? a > b ? 1 : -1 
-      : b > a ? 1 : -1;
-  } 
-  else {
-    // sort numbers
-    return order === 'asc' ? a - b : b - a;
-  }
-});
+// Sort GeoJSON features by the given property and order (default: 'desc'), or by
+// a sort spec (see sortBy() in sorting.js) - keys are property names (or dot paths
+// within the properties), and functions are given the properties of each feature.
+//
+// Usage:
+//  sortByProp(gj, 'population');          // largest first
+//  sortByProp(gj, 'name', 'asc');
+//  sortByProp(gj, [ { key: 'name', natural: true }, { key: 'date', order: 'desc' } ]);
+export const sortByProp = (gj, prop, order = 'desc') => {
+  const compare = sortBy(prop, order);
+  return gj.features.sort((a, b) => compare(a.properties, b.properties));
+};
 
 
 // for each feature in the given GeoJSON, replace the value of the given key with the 
 // value returned by the given callback. 
-const setKey = (gj, key, cb) => gj.features.map(f => ({ ...f, [key]: cb(f, f[key]) }));
+export const setKey = (gj, key, cb) => gj.features.map(f => ({ ...f, [key]: cb(f, f[key]) }));
 
 // replace the bbox array of each feature with the array supplied by the given callback
-const setBbox = (gj, cb) => setKey(gj, 'bbox', cb);
+export const setBbox = (gj, cb) => setKey(gj, 'bbox', cb);
 
 // replace the id of each feature with the id by the given callback
-const setId = (gj, cb) => setKey(gj, 'id', cb);
+export const setId = (gj, cb) => setKey(gj, 'id', cb);
 
 // replace the geometry of each feature with the object supplied by the given callback
-const setGeometry = (gj, cb) => setKey(gj, 'geometry', cb);
+export const setGeometry = (gj, cb) => setKey(gj, 'geometry', cb);
 
 // replace the properties object of each feature with the object supplied by the given callback
-const setProps = (gj, cb) => setKey(gj, 'properties', cb);
+export const setProps = (gj, cb) => setKey(gj, 'properties', cb);
 
 
 
@@ -50,7 +47,7 @@ const setProps = (gj, cb) => setKey(gj, 'properties', cb);
 // from https://stackoverflow.com/a/29893828
 // takes bbox bottom-left, top-right, and the point
 //
-function pointInBoundingBox(bl, tr, p) {
+export function pointInBoundingBox(bl, tr, p) {
     // account for crossing antimeridian
     let isLongInRange;
     // [0] is lon
@@ -66,12 +63,12 @@ function pointInBoundingBox(bl, tr, p) {
 
 // https://github.com/iominh/point-in-polygon-extended
 // **best method is "winding number"**
-function isLeft(p0, p1, p2) {
+export function isLeft(p0, p1, p2) {
   return ((p1[0] - p0[0]) * (p2[1] - p0[1])) -
          ((p2[0] - p0[0]) * (p1[1] - p0[1]));
 }
 
-function pointInPolyWindingNumber(point, polygon) {
+export function pointInPolyWindingNumber(point, polygon) {
   if (polygon.length === 0) return false;
 
   let wn = 0; // wn counter
@@ -102,7 +99,7 @@ function pointInPolyWindingNumber(point, polygon) {
 // Checks if a point is contained in a polygon
 // (based on the Jordan curve theorem), for more info:
 // http://www.ecse.rpi.edu/Homepages/wrf/Research/Short_Notes/pnpoly.html
-function pointInPolyRaycast(point, polygon) {
+export function pointInPolyRaycast(point, polygon) {
   var x = point[0], y = point[1];
 
   var inside = false;
@@ -120,4 +117,4 @@ function pointInPolyRaycast(point, polygon) {
 }
 
 // use the best one
-const pointInPolygon = pointInPolyWindingNumber;
\ No newline at end of file
+export const pointInPolygon = pointInPolyWindingNumber;
\ No newline at end of file
@@ -0,0 +1,44 @@
+//
+// utils.js - the library entry point
+//
+// Each file is exposed as its own namespace, so names never clash:
+//
+//    import { strings, geo, stats } from 'utils.js';
+//
+//    strings.kebabCase('Hello World');    // 'hello-world'
+//    geo.haversineDistance(0, 51, 1, 52); // metres
+//    stats.median([3, 1, 2]);             // 2
+//
+// Or import a single file directly, to pull in only what you need:
+//
+//    import { kebabCase } from 'utils.js/strings';
+//
+// Where two files used to define the same function, one is now the canonical
+// version and the other file re-exports it:
+//
+//    rad, deg                      - numbers.js   (re-exported by latlngs.js)
+//    type, isObj                   - types.js     (re-exported by objects.js)
+//    isEven, isOdd                 - types.js     (re-exported by numbers.js)
+//    isDate, isDateValid           - types.js     (re-exported by dates.js)
+//    transposeMatrix               - arrays.js    (re-exported by statistics.js)
+//    clearCookies                  - cookies.js   (re-exported by dom.js)
+//
+// (stats.shuffleArray is arrays.shuffledArray - it returns a shuffled copy, as it always has)
+//
+
+export * as arrays from './arrays.js';
+export * as cookies from './cookies.js';
+export * as dates from './dates.js';
+export * as dom from './dom.js';
+export * as functions from './functions.js';
+export * as fuzzy from './fuzzy.js';
+export * as geo from './latlngs.js';
+export * as geojson from './geojson.js';
+export * as intervals from './intervals.js';
+export * as numbers from './numbers.js';
+export * as objects from './objects.js';
+export * as sorting from './sorting.js';
+export * as stats from './statistics.js';
+export * as strings from './strings.js';
+export * as timeseries from './timeseries.js';
+export * as types from './types.js';
@@ -0,0 +1,161 @@
+//
+// Functions for working with date intervals
+//
+// An interval is a date range (see isDateRange() in dates.js): an array of two
+// Dates, [ start, end ]. The end is not part of the interval, so intervals which
+// touch ([ 1st Jan, 2nd Jan ] and [ 2nd Jan, 3rd Jan ]) don't overlap, and an
+// interval split into days gives [ midnight, the next midnight ] for each day.
+//
+
+import { isDateRange, startOf, addToDate } from './dates.js';
+
+// check an interval is valid, and get a copy of it
+const toInterval = (interval) => {
+  if (!isDateRange(interval) || !(interval[0] <= interval[1])) {
+    throw new Error('Invalid interval - expected [ start, end ], two Dates with the start first');
+  }
+  return [ new Date(interval[0]), new Date(interval[1]) ];
+};
+
+// the length of an interval, in milliseconds
+export const intervalLength = interval => interval[1] - interval[0];
+
+// Check if two intervals overlap (share some time).
+//
+//    overlaps([ new Date(2024, 0, 1), new Date(2024, 0, 10) ], [ new Date(2024, 0, 5), new Date(2024, 1, 1) ]); // true
+//
+export const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+// Check if an interval contains a date, or all of another interval.
+//
+//    contains([ new Date(2024, 0, 1), new Date(2024, 1, 1) ], new Date(2024, 0, 15)); // true
+//
+export const contains = (interval, dateOrInterval) => Array.isArray(dateOrInterval)
+  ? interval[0] <= dateOrInterval[0] && dateOrInterval[1] <= interval[1]
+  : interval[0] <= dateOrInterval && dateOrInterval < interval[1];
+
+// get the time shared by two intervals, or null if they don't overlap
+export const intersection = (a, b) => {
+  if (!overlaps(a, b)) return null;
+  return [ new Date(Math.max(a[0], b[0])), new Date(Math.min(a[1], b[1])) ];
+};
+
+// Merge overlapping and touching intervals, and sort them. Empty intervals
+// (where the start and end are the same) are removed.
+//
+//    mergeIntervals([ [ jan1, jan5 ], [ jan3, jan8 ], [ jan8, jan9 ], [ feb1, feb2 ] ]);
+//    // [ [ jan1, jan9 ], [ feb1, feb2 ] ]
+//
+export const mergeIntervals = (intervals) => {
+  const sorted = intervals.map(toInterval).filter(i => i[0] < i[1]).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      if (interval[1] > last[1]) last[1] = interval[1];
+    } else {
+      merged.push(interval);
+    }
+  }
+  return merged;
+};
+
+// get all the time in either list of intervals, as a merged list of intervals
+export const unionIntervals = (a, b) => mergeIntervals([ ...a, ...b ]);
+
+// get the time which is in both lists of intervals, as a merged list of intervals
+export const intersectIntervals = (a, b) => {
+  a = mergeIntervals(a);
+  b = mergeIntervals(b);
+  const result = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    const shared = intersection(a[i], b[j]);
+    if (shared) result.push(shared);
+    // move on from whichever interval ends first
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return result;
+};
+
+// Get the time in the first list of intervals which is not in the second, as a
+// merged list of intervals.
+//
+//    subtractIntervals([ [ jan1, jan31 ] ], [ [ jan10, jan20 ] ]);  // [ [ jan1, jan10 ], [ jan20, jan31 ] ]
+//
+export const subtractIntervals = (a, b) => {
+  b = mergeIntervals(b);
+  return mergeIntervals(a).flatMap(([ start, end ]) => {
+    const pieces = [];
+    for (const [ removeStart, removeEnd ] of b) {
+      if (removeEnd <= start) continue;
+      if (removeStart >= end) break;
+      if (removeStart > start) pieces.push([ start, new Date(removeStart) ]);
+      start = new Date(Math.max(start, removeEnd));
+    }
+    if (start < end) pieces.push([ start, end ]);
+    return pieces;
+  });
+};
+
+/**
+ * Find the gaps in a list of intervals - the times which aren't in any of
+ * them. If a range is given, the gaps within that range are returned, including
+ * any before the first interval or after the last one.
+ *
+ * Usage:
+ *
+ *    // find the times in 2024 with no data, from time-stamped GeoJSON features
+ *    const covered = geojson.features.map(f => [ new Date(f.properties.start), new Date(f.properties.end) ]);
+ *    const gaps = findGaps(covered, [ new Date('2024-01-01'), new Date('2025-01-01') ]);
+ *
+ *    // and the days without any data
+ *    const emptyDays = splitInterval([ new Date('2024-01-01'), new Date('2025-01-01') ], 'day')
+ *      .filter(day => !intersectIntervals([ day ], covered).length);
+ *
+ * @param {Array} intervals - The intervals
+ * @param {Array} [range] - The range to find gaps in
+ * @returns {Array} - The gaps, as a list of intervals
+ */
+export const findGaps = (intervals, range) => {
+  if (range) return subtractIntervals([ range ], intervals);
+  const merged = mergeIntervals(intervals);
+  return merged.slice(1).map((interval, i) => [ new Date(merged[i][1]), new Date(interval[0]) ]);
+};
+
+/**
+ * Step through an interval by calendar day, week, month, quarter or year (or by
+ * hour, minute or second), in the given time zone (or the local time zone).
+ * Each step is an interval from the start of one unit to the start of the next,
+ * cut to fit within the given interval - so the first and last can be shorter.
+ *
+ * Usage:
+ *
+ *    for (const [ start, end ] of iterateInterval([ jan15, apr15 ], 'month', { timeZone: 'Europe/London' })) {
+ *      // [ jan15, feb1 ], [ feb1, mar1 ], [ mar1, apr1 ], [ apr1, apr15 ]
+ *    }
+ *
+ * @param {Array} interval - The interval to step through
+ * @param {string} unit - 'year', 'quarter', 'month', 'week', 'day', 'hour', 'minute' or 'second'
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - An IANA time zone, like 'Europe/London' (default: the local time zone)
+ * @param {number} [options.weekStartsOn] - The first day of the week, 0 is Sunday (default: 1)
+ * @returns {Generator} - The intervals of each step
+ */
+export function* iterateInterval(interval, unit, { timeZone, weekStartsOn } = {}) {
+  const [ start, end ] = toInterval(interval);
+  let current = startOf(start, unit, timeZone, { weekStartsOn });
+  while (current < end) {
+    // back to the start of the unit, as a day that starts at 1am (when the clocks
+    // go forward at midnight) would otherwise move every later step to 1am too
+    const next = startOf(addToDate(current, 1, unit, timeZone), unit, timeZone, { weekStartsOn });
+    yield [ new Date(Math.max(current, start)), new Date(Math.min(next, end)) ];
+    current = next;
+  }
+}
+
+// Split an interval by calendar day, week, month, quarter or year - see iterateInterval().
+//
+//    splitInterval([ new Date(2024, 0, 1), new Date(2025, 0, 1) ], 'quarter');  // 4 intervals
+//
+export const splitInterval = (interval, unit, options) => [ ...iterateInterval(interval, unit, options) ];
@@ -10,32 +10,32 @@
 
 // Earths mean radius, according to other map tools
 
-const GOOGLE_MEAN_RADIUS_KM = 6_371.0710;              // NOT USED, just for reference/comparison
-const TURFJS_MEAN_RADIUS_KM = 6_371.0088;              // NOT USED, just for reference/comparison
-const MAPBOX_MEAN_RADIUS_KM = 6_371.0088;              // NOT USED, just for reference/comparison
-const NASA_MEAN_RADIUS_KM   = 6_371.0087714;           // NOT USED, just for reference/comparison 
+export const GOOGLE_MEAN_RADIUS_KM = 6_371.0710;              // NOT USED, just for reference/comparison
+export const TURFJS_MEAN_RADIUS_KM = 6_371.0088;              // NOT USED, just for reference/comparison
+export const MAPBOX_MEAN_RADIUS_KM = 6_371.0088;              // NOT USED, just for reference/comparison
+export const NASA_MEAN_RADIUS_KM   = 6_371.0087714;           // NOT USED, just for reference/comparison 
 
 
 
 // Earth constants, defined by the WGS84 standard
 
-const WGS84_MEAN_RADIUS = 6_371_000.0;                  // mean radius (metres) used by web mercator, haversine, etc
-const WGS84_RADIUS_MAJOR = 6_378_137.0;                 // semi-major axis / equatorial radius (metres)
-const WGS84_RADIUS_MINOR = 6_356_752.314245;            // semi-minor axis / polar radius (metres)
-const WGS84_FLATTENING = 1 / 298.257223563;             // inverse flattening
-const WGS84_ECC_SQUARED = 0.006694380004260827;         // first eccentricity Squared
-const WGS84_EQUATORIAL_CIRCUMFERENCE: 40_075_016.68557; // equatorial circumference (meters).
-const WGS84_MIN_ELEVATION: -433.0;                      // lowest point on earth, the Dead Sea (meters).
-const WGS84_MAX_ELEVATION: 8_848.0;                     // highest point on earth, Mt. Everest (meters).
-const WGS84_MAX_BUILDING_HEIGHT: 828;                   // highest building on earth, Burj Khalifa tower in Dubai (meters).
-const WGS84_SATELLITE_ORBIT = 20_180_000;               // altitude of satellites (meters)
-const WGS84_GRAVITY_M = 9.81;                           // m/s2 (that’s meters, per second, per second)
-const WGS84_GRAVITY_FT = 32.1740;                       // ft/s2 (feet per second, per second)
+export const WGS84_MEAN_RADIUS = 6_371_000.0;                  // mean radius (metres) used by web mercator, haversine, etc
+export const WGS84_RADIUS_MAJOR = 6_378_137.0;                 // semi-major axis / equatorial radius (metres)
+export const WGS84_RADIUS_MINOR = 6_356_752.314245;            // semi-minor axis / polar radius (metres)
+export const WGS84_FLATTENING = 1 / 298.257223563;             // inverse flattening
+export const WGS84_ECC_SQUARED = 0.006694380004260827;         // first eccentricity Squared
+export const WGS84_EQUATORIAL_CIRCUMFERENCE = 40_075_016.68557; // equatorial circumference (meters).
+export const WGS84_MIN_ELEVATION = -433.0;                     // lowest point on earth, the Dead Sea (meters).
+export const WGS84_MAX_ELEVATION = 8_848.0;                    // highest point on earth, Mt. Everest (meters).
+export const WGS84_MAX_BUILDING_HEIGHT = 828;                  // highest building on earth, Burj Khalifa tower in Dubai (meters).
+export const WGS84_SATELLITE_ORBIT = 20_180_000;               // altitude of satellites (meters)
+export const WGS84_GRAVITY_M = 9.81;                           // m/s2 (that’s meters, per second, per second)
+export const WGS84_GRAVITY_FT = 32.1740;                       // ft/s2 (feet per second, per second)
 
-const squared = x => x * x;
-const WGS84_RADIUS_MAJOR² = squared(WGS84_RADIUS_MAJOR);
-const WGS84_RADIUS_MINOR² = squared(WGS84_RADIUS_MINOR);
-const WGS84_RADIUS_FACTOR = (WGS84_RADIUS_MAJOR² - WGS84_RADIUS_MINOR²) / WGS84_RADIUS_MINOR²;
+export const squared = x => x * x;
+export const WGS84_RADIUS_MAJOR_SQUARED = squared(WGS84_RADIUS_MAJOR);
+export const WGS84_RADIUS_MINOR_SQUARED = squared(WGS84_RADIUS_MINOR);
+export const WGS84_RADIUS_FACTOR = (WGS84_RADIUS_MAJOR_SQUARED - WGS84_RADIUS_MINOR_SQUARED) / WGS84_RADIUS_MINOR_SQUARED;
 
 
 
@@ -47,14 +47,14 @@ const WGS84_RADIUS_FACTOR = (WGS84_RADIUS_MAJOR² - WGS84_RADIUS_MINOR²) / WGS8
 //   (b) semi-minor axis - polar radius, in metres
 //   (f) flattening      - inverse flattening ratio, where f = (a−b)/a
 
-const ellipsoids = {
+export const ellipsoids = {
     WGS84:         { a: 6_378_137.0,      b: 6_356_752.314245, f: 1/298.257223563 }, // Mercator
-    Sphere:        { a: 6_378_137.0,      b: 6_378_137.0       f: 0               }, // Web/Google/Pseudo-Mercator
+    Sphere:        { a: 6_378_137.0,      b: 6_378_137.0,      f: 0               }, // Web/Google/Pseudo-Mercator
     Airy1830:      { a: 6_377_563.396,    b: 6_356_256.909,    f: 1/299.3249646   }, // UK (OSGB36 National Grid)
     AiryModified:  { a: 6_377_340.189,    b: 6_356_034.448,    f: 1/299.3249646   }, // Ireland (Irl1975)
     Mars:          { a: 6_792_400,        b: 6_752_400,        f: 1/170.0         }, // NASA
     Moon:          { a: 1_737_400,        b: 1_737_400,        f: 0               }, // NASA
-    Sun:           { a: this.WGS84.a*109, b: this.WGS84.a*109, f: 0               }, // NASA
+    Sun:           { a: 6_378_137.0*109,  b: 6_378_137.0*109,  f: 0               }, // NASA
 };
 
 
@@ -63,7 +63,7 @@ const ellipsoids = {
 //
 // A reference ellipsoid, along with a defined coordinate system to navigate it, is a "Datum".
 
-const datum = {
+export const datum = {
     WGS84: {                                // the name of the datum 
       id: 'EPSG:4326',                      // the EPSG ID
       ellipsoid: ellipsoids.WGS84,          // the standard WGS84 ellipsoid
@@ -87,7 +87,7 @@ const datum = {
 // Convert latlongs on a sphere or ellipsoid, to xy pixel points on a flat surface.
 // Each projection includes a datum, and may override datum properties.
 
-const latlng = {
+export const latlng = {
   // nice looking world maps, like Robinson but conformal and faster
   equalEarth: {},
 
@@ -134,7 +134,7 @@ const latlng = {
 //    const point = { latitiude: 51.05 , longitude: 34.4 };
 //    const [ lng, lat ] = validCoordsFrom(point, '{ latitude, longitude }');
 
-const validCoordsFrom = (coords, format = '[lat,lng]') => {
+export const validCoordsFrom = (coords, format = '[lat,lng]') => {
   format = format.replaceAll(' ', '').toLowerCase(); // remove spaces, make lower case
   switch (format) {
     case '[latitude,longitude]':
@@ -168,21 +168,18 @@ const validCoordsFrom = (coords, format = '[lat,lng]') => {
 //
 
 // temp, just for reference
-const haversine_RADII = {
+export const haversine_RADII = {
   km:    6371,
   mile:  3960,
   meter: 6371000,
   nmi:   3440
 }
 
-// degrees to radians
-const rad = deg => (deg * Math.PI) / 180;
-
-// radians to degrees
-const deg = rad => (rad * 180) / Math.PI;
+// degrees to radians, radians to degrees (defined in numbers.js)
+export { rad, deg } from './numbers.js';
 
 // Get the distance between two points on a sphere
-function haversineDistance(lon1, lat1, lon2, lat2, earthRadius = WGS84_MEAN_RADIUS) {
+export function haversineDistance(lon1, lat1, lon2, lat2, earthRadius = WGS84_MEAN_RADIUS) {
   const radians = Math.PI / 180;
   lon1 *= radians;
   lat1 *= radians;
@@ -203,7 +200,7 @@ function haversineDistance(lon1, lat1, lon2, lat2, earthRadius = WGS84_MEAN_RADI
 
 // Get the distance between two points on a sphere (more accurate but slower than the "haversine distance" method)
 // adapted from https://gist.github.com/ed-flanagan/d4048ba6896ce340ab9d
-function vincentyDistance(lon1, lat1, lon2, lat2, earthRadius = WGS84_MEAN_RADIUS) {
+export function vincentyDistance(lon1, lat1, lon2, lat2, earthRadius = WGS84_MEAN_RADIUS) {
     const earthRadiusKm = earthRadius / 1000;
     const radians = Math.PI / 180;
     lon1 *= radians;
@@ -234,7 +231,7 @@ function vincentyDistance(lon1, lat1, lon2, lat2, earthRadius = WGS84_MEAN_RADIU
 
 // Validate the units given
 // Adapted from https://github.com/mwgg/GreatCircle/blob/master/GreatCircle.js
-function validateEarthRadius(unit) {
+export function validateEarthRadius(unit) {
     unit = unit.toLowerCase();
     const radius = { 
       'm': 6_371_008.7714, 
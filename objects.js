@@ -10,27 +10,27 @@
 // "Prototype pollution" attacks
 // Creating Objects in this way can help prevent "prototype pollution" attacks:
 
-    const obj = Object.create(null);
-    obj.__proto__ // undefined
-    obj.constructor // undefined
+//      const obj = Object.create(null);
+//      obj.__proto__ // undefined
+//      obj.constructor // undefined
 
 // Using Object.freeze() can help further prevent "prototype pollution" attacks:
 
-    Object.freeze(Object.prototype);
-    Object.freeze(Object);
+//      Object.freeze(Object.prototype);
+//      Object.freeze(Object);
 
 // You can then test if the freezing above worked, like so:
 
-    ({}).__proto__.test = 123;
-    ({}).test // remains undefined
+//      ({}).__proto__.test = 123;
+//      ({}).test // remains undefined
 
 
 // The Object.seal() method is similar, but still allows changing the values
 // of existing properties. Use it on your own Objects after adding the desired
 // or required properties.
 
-    const myObj = { foo: 0 }; // has all the properties we need now..
-    Object.seal(myObj);       // so seal it
+//      const myObj = { foo: 0 }; // has all the properties we need now..
+//      Object.seal(myObj);       // so seal it
 
 // ----------------------------------------------------------------------------
 
@@ -38,23 +38,100 @@
 // Functions for working with Objects
 //
 
+import { type, isObj, isPlainObject } from './types.js';
+import { camelCase, snakeCase, kebabCase, pascalCase } from './strings.js';
+
 
 // usage:
 // mapKeys({ foo: 2, bar: 3 }, k => `prefix_${k}`)
 // returns { prefix_foo: 2, prefix_bar: 3 }
-function mapKeys(obj, fn) {
-  const newObj = {};
-  for (const [key, value] of Object.entries(obj)) {
-    newObj[fn(key)] = value;
-  }
-  return newObj;
+//
+// options:
+//   deep           - also map the keys of nested objects, including objects in arrays (default: false)
+//   exclude        - keys (strings or RegExps) to leave as they are
+//   preserveArrays - when deep, leave arrays (and the objects in them) as they are (default: false)
+//   collisions     - if two keys map to the same key: 'overwrite' (the last one wins) or 'throw' (default: 'overwrite')
+//
+// Only plain objects have their keys mapped - Dates, Maps, Sets, typed arrays
+// and class instances are left as they are. Circular references are kept.
+export function mapKeys(obj, fn, { deep = false, exclude = [], preserveArrays = false, collisions = 'overwrite' } = {}) {
+  const isExcluded = key => exclude.some(e => e instanceof RegExp ? e.test(key) : e === key);
+  const seen = new WeakMap();
+
+  const mapObj = (o) => {
+    if (seen.has(o)) return seen.get(o);
+    const newObj = {};
+    const from = new Map(); // new key => old key
+    seen.set(o, newObj);
+    for (const [key, value] of Object.entries(o)) {
+      const newKey = isExcluded(key) ? key : fn(key);
+      if (collisions === 'throw' && from.has(newKey)) {
+        throw new Error(`The keys "${from.get(newKey)}" and "${key}" both become "${newKey}"`);
+      }
+      from.set(newKey, key);
+      const newValue = deep ? walk(value) : value;
+      // don't let a key named "__proto__" set the prototype
+      if (newKey === '__proto__') Object.defineProperty(newObj, newKey, { value: newValue, enumerable: true, writable: true, configurable: true });
+      else newObj[newKey] = newValue;
+    }
+    return newObj;
+  };
+
+  const walk = (val) => {
+    if (Array.isArray(val)) {
+      if (preserveArrays) return val;
+      if (seen.has(val)) return seen.get(val);
+      const arr = [];
+      seen.set(val, arr);
+      val.forEach((item, i) => arr[i] = walk(item));
+      return arr;
+    }
+    return isPlainObject(val) ? mapObj(val) : val;
+  };
+
+  return deep ? walk(obj) : mapObj(obj);
 }
 
+// apply a case converter to a key, keeping any leading or trailing
+// underscores, dashes and dollar signs (e.g. '_id', '__typename', '$ref')
+const convertKey = (key, caseFn) => {
+  const [ , before, body, after ] = key.match(/^([_$-]*)(.*?)([_$-]*)$/s);
+  const converted = body && caseFn(body);
+  return converted ? before + converted + after : key;
+};
+
+// Deeply convert the keys of an object (and any nested objects and arrays) with
+// the given case converter, e.g. camelCase from strings.js. See mapKeys() for the
+// options - except `collisions`, which defaults to 'throw', so no values are lost.
+//
+// Usage:
+//
+//    transformKeys({ feature_id: 1, geo_data: { bbox_min: [0, 0] } }, camelCase);
+//    // { featureId: 1, geoData: { bboxMin: [0, 0] } }
+//
+//    transformKeys(payload, snakeCase, { exclude: [ /^@/ ], deep: false });
+//
+export const transformKeys = (obj, caseFn, { deep = true, collisions = 'throw', ...options } = {}) =>
+  mapKeys(obj, key => convertKey(key, caseFn), { deep, collisions, ...options });
+
+// Presets, for converting API payloads, using the converters from strings.js.
+// toSnakeKeys(toCamelKeys(obj)) always gives back the same snake_case keys - so each
+// capital letter in a camelCase key starts a new word ('userID' becomes 'user_i_d').
+// Throws if two keys would become the same.
+//
+//    const feature = toCamelKeys(await res.json());
+//    await fetch(url, { method: 'POST', body: JSON.stringify(toSnakeKeys(feature)) });
+//
+export const toCamelKeys = (obj, options) => transformKeys(obj, camelCase, options);
+export const toSnakeKeys = (obj, options) => transformKeys(obj, snakeCase, options);
+export const toKebabKeys = (obj, options) => transformKeys(obj, kebabCase, options);
+export const toPascalKeys = (obj, options) => transformKeys(obj, pascalCase, options);
+
 
 // usage:
 // mapValues({ a: 2, b: 3 }, x => x**2)
 // returns { a: 4, b: 9 }
-function mapValues(obj, fn) {
+export function mapValues(obj, fn) {
   const newObj = {};
   for (const [key, value] of Object.entries(obj)) {
     newObj[key] = fn(value);
@@ -62,17 +139,21 @@ function mapValues(obj, fn) {
   return newObj;
 }
 
+// usage:
+// getByPath({ properties: { names: ['a', 'b'] } }, 'properties.names.1')
+// returns 'b' (or undefined, if any part of the path is missing)
+export const getByPath = (obj, path) =>
+  String(path).split('.').reduce((val, key) => val == null ? undefined : val[key], obj);
+
 // clone the given object, return the cloned object
-const cloneObj = obj => typeof structuredClone === 'function' ? structuredClone(obj) : JSON.parse(JSON.stringify(obj));
+export const cloneObj = obj => typeof structuredClone === 'function' ? structuredClone(obj) : JSON.parse(JSON.stringify(obj));
 
 // return a new object, based on obj, but with defaults added in
-const applyDefaults = (obj, defaults) => ({ ...defaults, ...obj });
-
+export const applyDefaults = (obj, defaults) => ({ ...defaults, ...obj });
 
-// A (somewhat) more reliable type checking (see more in types.js)
-const type = v => Array.isArray(v) ? 'array' : Object.prototype.toString.call(v).slice(8, -1).toLowerCase();
 
-const isObj = v => type(v) === 'object';
+// Reliable type checking (defined in types.js)
+export { type, isObj };
 
 // Validate the given object against the given schema.
 // Returns an array of errors if the object fails validation.
@@ -91,7 +172,7 @@ const isObj = v => type(v) === 'object';
 //    };
 //    const errs = validationErrors(obj, schema);               // errs.length === 0
 //
-const validationErrors = (obj, schema) => {
+export const validationErrors = (obj, schema) => {
   let errs = [];
   if (!schema) return errs;
 
@@ -130,7 +211,7 @@ const validationErrors = (obj, schema) => {
   return errs;
 };
 
-const freezeObject = o => {
+export const freezeObject = o => {
   if (o.prototype) Object.freeze(o.prototype);
   if (o.__proto__) Object.freeze(o.__proto__);
   Object.freeze(o);
@@ -166,7 +247,7 @@ const getErrorMsg = (key, val, schemaProp) => {
 // myObj.age = 'foo'; // throws Error - wrong type according to the schema.
 // myObj.baz = 'foo'; // throws Error - the property 'baz' is unknown to the schema.
 //
-const safeObject = (data = {}, schema = undefined, sealed = true, frozen = false) => {
+export const safeObject = (data = {}, schema = undefined, sealed = true, frozen = false) => {
   // Use null prototype to prevent pollution
   const obj = Object.create(null);
   const props = Object.create(null);
@@ -225,7 +306,7 @@ const safeObject = (data = {}, schema = undefined, sealed = true, frozen = false
  *    const myObj = mergeObj(obj1, obj2, obj3, ...);
  * 
  */
-function mergeObject(...sources) {
+export function mergeObject(...sources) {
   const isObject = (val) => val && typeof val === 'object' && !Array.isArray(val);
   
   if (sources.length === 0) return {};
@@ -292,7 +373,7 @@ function mergeObject(...sources) {
  * A fast, iterative deep clone that handles circular references.
  * Safe from stack overflows (unlike recursive functions).
  */
-function cloneObject(obj) {
+export function cloneObject(obj) {
   if (obj === null || typeof obj !== 'object') return obj;
 
   // Handle special built-in types
@@ -2,45 +2,246 @@
 // Sorting functions
 //
 
-const numbersAsc = (a, b) => a - b;
-const numbersDesc = (a, b) => b - a;
-const stringsAsc = (a, b) => a > b ? 1 : -1;
-const stringsDesc = (a, b) => b > a ? 1 : -1;
-const datesAsc = (a, b) => a.getTime() - b.getTime();  // least recent at top
-const datesDesc = (a, b) => b.getTime() - a.getTime(); // most recent at top 
+import { getByPath } from './objects.js';
 
-const randomised = () => Math.random() - 0.5;
-const randomized = randomised;
+export const numbersAsc = (a, b) => a - b;
+export const numbersDesc = (a, b) => b - a;
+export const stringsAsc = (a, b) => a > b ? 1 : -1;
+export const stringsDesc = (a, b) => b > a ? 1 : -1;
+export const datesAsc = (a, b) => a.getTime() - b.getTime();  // least recent at top
+export const datesDesc = (a, b) => b.getTime() - a.getTime(); // most recent at top 
 
-const ascending = (a, b) => {
-  if (typeof a === 'string' && typeof b === 'string') return stringsAsc(a, b);
-  else if (a instanceof Date && b instanceof Date) return datesAsc(a, b);
-  else return numbersAsc(a, b);
-};
+export const randomised = () => Math.random() - 0.5;
+export const randomized = randomised;
 
-const descending = (a, b) => {
-  if (typeof a === 'string' && typeof b === 'string') return stringsDesc(a, b);
-  else if (a instanceof Date && b instanceof Date) return datesDesc(a, b);
-  else return numbersDesc(a, b);
-};
+// Sort strings, numbers, dates and booleans. Values of different types are
+// grouped by type (numbers, then strings, dates, booleans and anything else),
+// and null, undefined and NaN always go last.
+export const ascending = (a, b) => compareValues(a, b);
+
+export const descending = (a, b) => compareValues(a, b, { order: 'desc' });
+
+// the compare function of each options object given to stringsIntl()
+const intlCompares = new WeakMap();
+const noOptions = {};
 
 // Sort strings according to the rules of the users current system locale.
 // Useful for local-aware sorting of non-English and non-latin, or UTF-8 strings. 
 // For available options, see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/Collator/Collator#options
-const stringsIntl = (a,b, opts = {}) => a.localeCompare(b, navigator.languages[0], opts);
+// The collator is got once for each options object, so reuse the same object:
+//
+//    const opts = { locale: 'de', collation: 'phonebk' };
+//    names.sort((a, b) => stringsIntl(a, b, opts));
+//
+// (to sort lots of strings, use collator(opts) as the sort function instead - it's faster)
+export const stringsIntl = (a,b, opts = noOptions) => {
+  if (!intlCompares.has(opts)) intlCompares.set(opts, collator(opts));
+  return intlCompares.get(opts)(a, b);
+};
+
+// get the user's locale - from the browser if there is one, or else the system locale (in Node, workers, etc)
+const getLocale = () => globalThis.navigator?.languages?.[0]
+  || globalThis.navigator?.language
+  || new Intl.DateTimeFormat().resolvedOptions().locale;
+
+const collators = new Map();
+
+// get a (cached) Intl.Collator for the given locale and options - if the locale
+// isn't valid or supported, the user's locale is used
+const getCollator = ({ locale, ...options } = {}) => {
+  const key = JSON.stringify([ locale, options ]);
+  if (!collators.has(key)) {
+    let intlCollator;
+    try {
+      intlCollator = new Intl.Collator(locale || getLocale(), options);
+    } catch (e) {
+      if (!(e instanceof RangeError)) throw e;
+      intlCollator = new Intl.Collator(getLocale(), options);
+    }
+    collators.set(key, intlCollator);
+  }
+  return collators.get(key);
+};
+
+/**
+ * Get a sort function which compares strings using the rules of a locale. The
+ * same Intl.Collator is used for all calls with the same options, so it's much
+ * faster than localeCompare(). Works in browsers, Node and workers - if no
+ * locale is given, the browser's language or the system locale is used.
+ *
+ * Usage:
+ *
+ *    [ 'Zoë', 'zoe', 'Zoe' ].sort(collator({ locale: 'en', caseFirst: 'upper' }));
+ *    [ 'item 10', 'item 9' ].sort(collator({ numeric: true }));   // [ 'item 9', 'item 10' ]
+ *    names.sort(collator({ locale: 'sv', sensitivity: 'base' }));
+ *
+ * @param {Object} [options] - The locale, and any options of Intl.Collator, like:
+ * @param {string} [options.locale] - The locale (default: the user's locale)
+ * @param {string} [options.sensitivity] - 'base', 'accent', 'case' or 'variant' (default: 'variant')
+ * @param {boolean} [options.numeric] - Compare numbers in strings by their value (default: false)
+ * @param {string} [options.caseFirst] - 'upper', 'lower' or 'false' (default: the locale's default)
+ * @param {boolean} [options.ignorePunctuation] - Ignore punctuation (default: false)
+ * @param {string} [options.collation] - A collation of the locale, like 'phonebk' for German (default: 'default')
+ * @returns {Function} - The sort function
+ */
+export const collator = ({ locale, ...intlOptions } = {}) => {
+  const options = Object.fromEntries(Object.entries(intlOptions).filter(([ , v ]) => v !== undefined));
+  // (Intl.Collator's compare function is already bound to it)
+  return getCollator({ locale, ...options }).compare;
+};
+
+/**
+ * Sort an array of strings, or of objects by a string key, using the rules of
+ * a locale (see collator()). The strings are got once for each item, rather
+ * than for every comparison ("decorate-sort-undecorate"), which is much faster
+ * for big arrays of objects. Items without a value go last. Returns a new
+ * array - the sort is stable.
+ *
+ * Usage:
+ *
+ *    localeSort(features, { key: 'properties.name', locale: 'de', numeric: true });
+ *    localeSort(people, { key: p => `${p.surname} ${p.forename}`, sensitivity: 'base', order: 'desc' });
+ *
+ * @param {Array} arr - The items to sort
+ * @param {Object} [options] - The options of collator(), and:
+ * @param {string|Function} [options.key] - A dot path, or a function, to get the string to sort each item by (default: the item itself)
+ * @param {string} [options.order] - 'asc' or 'desc' (default: 'asc')
+ * @returns {Array} - The sorted items
+ */
+export const localeSort = (arr, { key, order = 'asc', ...options } = {}) => {
+  const get = key === undefined ? v => v : typeof key === 'function' ? key : v => getByPath(v, key);
+  const compare = collator(options);
+  const direction = order === 'desc' ? -1 : 1;
+  // (items without a value go last, like in compareValues())
+  return arr
+    .map((item, index) => {
+      const value = get(item);
+      return { item, index, sortKey: value === null || value === undefined ? null : String(value) };
+    })
+    .sort((a, b) => {
+      if (a.sortKey === null || b.sortKey === null) return (a.sortKey === null) - (b.sortKey === null) || a.index - b.index;
+      return direction * compare(a.sortKey, b.sortKey) || a.index - b.index;
+    })
+    .map(({ item }) => item);
+};
 
 //
-// Simple functions to create custom sort methods
+// Comparing values of any type
 //
 
-// Return a sort function that sorts by the given property.
-// Handles strings, numbers and dates.
+// is the value missing: null, undefined, NaN or an invalid date
+const isMissing = v => v === null || v === undefined || Number.isNaN(v) || (v instanceof Date && Number.isNaN(v.getTime()));
+
+// the order of values of different types
+const typeRank = v => typeof v === 'number' || typeof v === 'bigint' ? 0
+  : typeof v === 'string' ? 1
+  : v instanceof Date ? 2
+  : typeof v === 'boolean' ? 3
+  : 4;
+
+/**
+ * Compare two values of any type, for sorting. Numbers, dates and booleans are
+ * compared by value, and strings by character code - or using the rules of the
+ * given locale, or "naturally" (so 'Zone 2' comes before 'Zone 10'). Values
+ * of different types are grouped by type, and missing values (null, undefined,
+ * NaN and invalid dates) go last, unless `nulls` is 'first'.
+ *
+ * Usage:
+ *
+ *    compareValues('Zone 10', 'Zone 2', { natural: true });   // 1
+ *    [ 3, null, 1 ].sort((a, b) => compareValues(a, b, { order: 'desc', nulls: 'first' }));  // [ null, 3, 1 ]
+ *
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @param {Object} [options]
+ * @param {string} [options.order] - 'asc' or 'desc' (default: 'asc')
+ * @param {string} [options.nulls] - 'first' or 'last' (default: 'last')
+ * @param {boolean} [options.natural] - Compare numbers in strings by their value (default: false)
+ * @param {string} [options.locale] - The locale to compare strings in (default: none - compare by character code)
+ * @returns {number} - Negative if a comes first, positive if b comes first, or 0
+ */
+export const compareValues = (a, b, { order = 'asc', nulls = 'last', natural = false, locale } = {}) =>
+  compareWith(a, b, stringComparer(natural, locale), order, nulls);
+
+// compare strings by character code
+const compareCodes = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
+// get the function compareValues() uses to compare strings
+const stringComparer = (natural, locale) => natural || locale ? collator({ locale, numeric: natural }) : compareCodes;
+
+// compareValues(), with the string compare function already got
+const compareWith = (a, b, compareStrings, order, nulls) => {
+  const aMissing = isMissing(a), bMissing = isMissing(b);
+  if (aMissing || bMissing) {
+    if (aMissing && bMissing) return 0;
+    return (aMissing ? 1 : -1) * (nulls === 'first' ? -1 : 1);
+  }
+
+  let result;
+  const rankA = typeRank(a), rankB = typeRank(b);
+  if (rankA !== rankB) {
+    result = rankA - rankB;
+  } else if (rankA === 1) {
+    result = compareStrings(a, b);
+  } else if (rankA === 4) {
+    result = 0;
+  } else {
+    a = rankA === 2 ? a.getTime() : a;
+    b = rankB === 2 ? b.getTime() : b;
+    result = a < b ? -1 : a > b ? 1 : 0;
+  }
+  return order === 'desc' ? -result : result;
+};
+
 //
-// Usage:
-//  const mostRecent = sortBy('date', 'desc');
-//  const sortedData = array.sort(mostRecent);
-const sortBy = (prop, order) => 
-  (a, b) => (order === 'desc') ? descending(a[prop], b[prop]) : ascending(a[prop], b[prop]);
+// Simple functions to create custom sort methods
+//
+
+// turn a sort spec (a key, or an array of keys or { key, order, ... } objects) into a
+// list of { get, compare } - the options of each key are resolved here, not on every comparison
+const parseSortSpec = (spec, order) => (Array.isArray(spec) ? spec : [ spec ]).map(item => {
+  const { key, order: keyOrder = 'asc', nulls = 'last', natural = false, locale } = typeof item === 'object' && item !== null ? item : { key: item, order };
+  const compareStrings = stringComparer(natural, locale);
+  return {
+    get: typeof key === 'function' ? key : obj => getByPath(obj, key),
+    compare: (a, b) => compareWith(a, b, compareStrings, keyOrder, nulls),
+  };
+});
+
+/**
+ * Return a sort function that sorts by the given key, or keys. Keys can be
+ * dot paths ('properties.name') or functions that get the value to sort by.
+ * Pass an array to sort by more than one key - later keys are only used when
+ * the values of earlier ones are the same. Array.sort() is stable, so items with
+ * the same values for all the keys stay in the order they were in.
+ *
+ * Each key can be an object with the options of compareValues(): { key, order,
+ * nulls, natural, locale }.
+ *
+ * Usage:
+ *
+ *    const mostRecent = sortBy('date', 'desc');
+ *    const sortedData = array.sort(mostRecent);
+ *
+ *    features.sort(sortBy([
+ *      { key: 'properties.name', order: 'asc', nulls: 'last', natural: true, locale: 'en' },
+ *      { key: f => f.properties.date, order: 'desc' },
+ *    ]));
+ *
+ * @param {string|Function|Array} spec - The key, or keys, to sort by
+ * @param {string} [order] - 'asc' or 'desc', for a single key given on its own (default: 'asc')
+ * @returns {Function} - The sort function
+ */
+export const sortBy = (spec, order) => {
+  const keys = parseSortSpec(spec, order);
+  return (a, b) => {
+    for (const { get, compare } of keys) {
+      const result = compare(get(a), get(b));
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+};
 
 // Returns a sort function that applies multiple sort functions, in the given order.
 //
@@ -49,7 +250,7 @@ const sortBy = (prop, order) =>
 //   const byName = sortBy('name');
 //   const byDateThenName = sortOrder(byDate, byName);
 //   const sortedData = array.sort(byDateThenName);
-const sortOrder = (...sortFuncs) => 
+export const sortOrder = (...sortFuncs) => 
   (a, b) => {
     for (const sort of sortFuncs) {
       let res = sort(a, b);
@@ -57,3 +258,226 @@ const sortOrder = (...sortFuncs) =>
     }
     return 0; 
   };
+
+//
+// Selecting and searching
+//
+// These take a sort function, like those above (default: ascending), and are
+// much faster than sorting a whole array to get a few items from it.
+//
+
+// a binary heap, with the item that sorts first (by the given compare function) at the top
+const createHeap = (compare) => {
+  const items = [];
+  const swap = (i, j) => [ items[i], items[j] ] = [ items[j], items[i] ];
+  const push = (item) => {
+    items.push(item);
+    for (let i = items.length - 1, parent; i > 0 && compare(items[i], items[parent = (i - 1) >> 1]) < 0; i = parent) swap(i, parent);
+  };
+  // replace the top item, and move the new one down to where it belongs
+  const replaceTop = (item) => {
+    items[0] = item;
+    for (let i = 0; ;) {
+      const left = 2 * i + 1, right = left + 1;
+      let first = i;
+      if (left < items.length && compare(items[left], items[first]) < 0) first = left;
+      if (right < items.length && compare(items[right], items[first]) < 0) first = right;
+      if (first === i) break;
+      swap(i, first);
+      i = first;
+    }
+  };
+  return { items, push, replaceTop, top: () => items[0], size: () => items.length };
+};
+
+/**
+ * Get the k items which would be last if the array was sorted with the given
+ * sort function - the "top" k - with the top one first. Items which sort the
+ * same keep the order they were in. Doesn't change the array.
+ *
+ * Usage:
+ *
+ *    topK([ 5, 1, 9, 3, 7 ], 2);                     // [ 9, 7 ]
+ *    topK(rows, 10, sortBy('revenue'));              // the 10 rows with the most revenue
+ *
+ * @param {Array} arr - The items
+ * @param {number} k - The number of items to get
+ * @param {Function} [compare] - The sort function (default: ascending)
+ * @returns {Array} - The top k items
+ */
+export const topK = (arr, k, compare = ascending) => {
+  if (k <= 0) return [];
+  // keep the top k so far in a heap, with the lowest of them at the top (earlier items
+  // count as "higher" than later ones which sort the same, so they're kept)
+  const heap = createHeap((a, b) => compare(a.value, b.value) || b.index - a.index);
+  arr.forEach((value, index) => {
+    const item = { value, index };
+    if (heap.size() < k) heap.push(item);
+    else if (compare(value, heap.top().value) > 0) heap.replaceTop(item);
+  });
+  return heap.items.sort((a, b) => compare(b.value, a.value) || a.index - b.index).map(item => item.value);
+};
+
+// Get the k items which would be first if the array was sorted with the given sort function,
+// with the first one first. See topK().
+//
+//    bottomK([ 5, 1, 9, 3, 7 ], 2);                  // [ 1, 3 ]
+//
+export const bottomK = (arr, k, compare = ascending) => topK(arr, k, (a, b) => compare(b, a));
+
+/**
+ * Get the item which would be at index n if the array was sorted with the given
+ * sort function, using "quickselect" - so the whole array doesn't need to be
+ * sorted. Negative indexes count back from the end. Doesn't change the array.
+ *
+ * Usage:
+ *
+ *    nthElement([ 5, 1, 9, 3, 7 ], 1);                            // 3
+ *    nthElement(rows, Math.floor(rows.length / 2), sortBy('age'));  // the row with the median age
+ *
+ * @param {Array} arr - The items
+ * @param {number} n - The index
+ * @param {Function} [compare] - The sort function (default: ascending)
+ * @returns {*} - The item, or undefined if n is out of range
+ */
+export const nthElement = (arr, n, compare = ascending) => {
+  if (n < 0) n += arr.length;
+  if (n < 0 || n >= arr.length) return undefined;
+  const items = [ ...arr ];
+  let lo = 0, hi = items.length - 1;
+  while (lo < hi) {
+    // partition around a random pivot, into [ < pivot | = pivot | > pivot ]
+    const pivot = items[lo + Math.floor(Math.random() * (hi - lo + 1))];
+    let lt = lo, i = lo, gt = hi;
+    while (i <= gt) {
+      const c = compare(items[i], pivot);
+      if (c < 0) [ items[lt++], items[i++] ] = [ items[i], items[lt] ];
+      else if (c > 0) [ items[gt--], items[i] ] = [ items[i], items[gt] ];
+      else i++;
+    }
+    if (n < lt) hi = lt - 1;
+    else if (n > gt) lo = gt + 1;
+    else return items[n];
+  }
+  return items[n];
+};
+
+// Get the first index in a sorted array where the value could be inserted and keep
+// the array sorted - before any items which sort the same as the value.
+//
+//    bisectLeft([ 1, 2, 2, 3 ], 2);    // 1
+//
+export const bisectLeft = (arr, value, compare = ascending, lo = 0, hi = arr.length) => {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compare(arr[mid], value) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Get the last index in a sorted array where the value could be inserted and keep
+// the array sorted - after any items which sort the same as the value.
+//
+//    bisectRight([ 1, 2, 2, 3 ], 2);   // 3
+//
+export const bisectRight = (arr, value, compare = ascending, lo = 0, hi = arr.length) => {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compare(arr[mid], value) <= 0) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * An array which keeps itself sorted, with the given sort function, as items
+ * are added and removed. Items are found with a binary search, so looking
+ * up items and ranges of items is fast.
+ *
+ * Usage:
+ *
+ *    const scores = new SortedArray([ 5, 1, 9 ]);
+ *    scores.insert(3);              // [ 1, 3, 5, 9 ]
+ *    scores.range(2, 6);            // [ 3, 5 ]
+ *    scores.remove(5);              // true
+ *
+ *    // sorted by a key - ranges are found with "probe" objects which have the key
+ *    const events = new SortedArray(rows, sortBy('date'));
+ *    events.range({ date: new Date(2024, 0, 1) }, { date: new Date(2024, 1, 1) }, { inclusive: [ true, false ] });
+ */
+export class SortedArray {
+  #items;
+  #compare;
+
+  /**
+   * @param {Array} [items] - The items to start with (the array isn't changed)
+   * @param {Function} [compare] - The sort function (default: ascending)
+   */
+  constructor(items = [], compare = ascending) {
+    this.#compare = compare;
+    this.#items = [ ...items ].sort(compare);
+  }
+
+  get length() {
+    return this.#items.length;
+  }
+
+  // add an item, after any which sort the same, and get its index
+  insert(item) {
+    const index = bisectRight(this.#items, item, this.#compare);
+    this.#items.splice(index, 0, item);
+    return index;
+  }
+
+  // remove an item (the same item if it's there, or else the first which sorts the same), and get whether one was removed
+  remove(item) {
+    const index = this.indexOf(item);
+    const found = index >= 0 ? index : bisectLeft(this.#items, item, this.#compare);
+    if (found >= this.#items.length || this.#compare(this.#items[found], item) !== 0) return false;
+    this.#items.splice(found, 1);
+    return true;
+  }
+
+  // get the index of an item (the same item - not just one which sorts the same), or -1
+  indexOf(item) {
+    const end = bisectRight(this.#items, item, this.#compare);
+    for (let i = bisectLeft(this.#items, item, this.#compare, 0, end); i < end; i++) {
+      if (this.#items[i] === item) return i;
+    }
+    return -1;
+  }
+
+  // check if there's an item which sorts the same as the given one
+  has(item) {
+    const index = bisectLeft(this.#items, item, this.#compare);
+    return index < this.#items.length && this.#compare(this.#items[index], item) === 0;
+  }
+
+  // get the item at the given index - negative indexes count back from the end
+  at(index) {
+    return this.#items.at(index);
+  }
+
+  // get the items from min to max - `inclusive` can be true, false, or [ includeMin, includeMax ] (default: true)
+  range(min, max, { inclusive = true } = {}) {
+    const [ includeMin, includeMax ] = Array.isArray(inclusive) ? inclusive : [ inclusive, inclusive ];
+    const start = min === undefined ? 0 : (includeMin ? bisectLeft : bisectRight)(this.#items, min, this.#compare);
+    const end = max === undefined ? this.#items.length : (includeMax ? bisectRight : bisectLeft)(this.#items, max, this.#compare);
+    return this.#items.slice(start, Math.max(start, end));
+  }
+
+  // count the items from min to max - see range()
+  count(min, max, options) {
+    return this.range(min, max, options).length;
+  }
+
+  // get the items as a normal array
+  toArray() {
+    return [ ...this.#items ];
+  }
+
+  [Symbol.iterator]() {
+    return this.#items[Symbol.iterator]();
+  }
+}
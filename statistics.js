@@ -4,51 +4,44 @@
 
 // This file heavily borrows, begs and steals from https://github.com/simple-statistics/
 
+import { shuffleArray, shuffledArray, transposeMatrix } from './arrays.js';
+
 
 // get the min and max values of the given array
-const extent = arr => [ Math.min(...arr), Math.min(...arr) ];
+export const extent = arr => [ Math.min(...arr), Math.min(...arr) ];
 
 // get the difference between the min and max values 
-const range = arr => Math.max(...arr) - Math.min(...arr); 
+export const range = arr => Math.max(...arr) - Math.min(...arr); 
 
 // get the difference between the min and max values - always returns a positive number
-const difference = arr => Math.abs(range(arr)); 
-
-// a "proper random" shuffle
-const shuffleArray = arr => arr.map(a => [Math.random(), a]).sort((a, b) => a[0] - b[0]).map(a => a[1]);
-
-// the "Fisher Yates" shuffle algorithm (https://en.wikipedia.org/wiki/Fisher-Yates_shuffle)
-const shuffleArrayFisherYates = (arr) => {
-  let n = arr.length;
-  while (--n) {
-    let k = Math.floor(Math.random() * n);  // 0 <= k <= n (!)
-    let temp = arr[n];
-    arr[n] = arr[k];
-    arr[k] = temp;
-  }
-  return arr;
-}
+export const difference = arr => Math.abs(range(arr)); 
+
+// returns a shuffled copy, leaving the given array alone (shuffledArray in arrays.js)
+export { shuffledArray as shuffleArray };
+
+// the "Fisher Yates" shuffle algorithm - shuffles the given array in place (defined in arrays.js)
+export const shuffleArrayFisherYates = shuffleArray;
 
 // get the relative error from an expected number, and the actual value
-const relativeError = (actual, expected) => {
+export const relativeError = (actual, expected) => {
     if (actual === 0 && expected === 0) return 0;
     return Math.abs((actual - expected) / expected);
 }
 
 // returns a random sample
-const sample = (arr, num) => shuffleArrayFisherYates([...arr]).slice(0, num);
+export const sample = (arr, num) => shuffleArrayFisherYates([...arr]).slice(0, num);
 
 // sum([ 3, 2, 10 ]) returns 15
-const sum = arr => arr.reduce((a, b) => a + b, 0);
+export const sum = arr => arr.reduce((a, b) => a + b, 0);
 
 // get the mean average of an array of number values
-const mean = arr => sum(arr) / arr.length;
+export const mean = arr => sum(arr) / arr.length;
 
 // Get the "Median" value of an array - same as quantile(arr, 0.5)
 // The middle number; found by ordering all data points and picking out the 
 // one in the middle (or if there are two middle numbers, taking the mean 
 // of those two numbers).
-const median = arr => {
+export const median = arr => {
   const mid = Math.floor(arr.length / 2),
     nums = [...arr].sort((a, b) => a - b);
   return arr.length % 2 !== 0 ? nums[mid] : (nums[mid - 1] + nums[mid]) / 2;
@@ -56,13 +49,13 @@ const median = arr => {
 
 // Get the "Mode" value of an array
 // The "mode" is simply the number that occurs the highest number of times.
-const mode = arr => [...arr].sort((a,b) => arr.filter(v => v === a).length - arr.filter(v => v === b).length).pop();
+export const mode = arr => [...arr].sort((a,b) => arr.filter(v => v === a).length - arr.filter(v => v === b).length).pop();
 
 // get value as a percentage of total
-const percentage = (value, total) => (value === 0 && total === 0) ? 0 : (100 * value) / total;
+export const percentage = (value, total) => (value === 0 && total === 0) ? 0 : (100 * value) / total;
 
 // weightedAverage([1, 2, 3], [0.6, 0.2, 0.3]); // 1.72727
-const weightedAverage = (arr, weights) => {
+export const weightedAverage = (arr, weights) => {
   const [sum, weightSum] = weights.reduce(
     (acc, w, i) => {
       acc[0] += arr[i] * w;
@@ -75,22 +68,22 @@ const weightedAverage = (arr, weights) => {
 };
 
 // for each value in the given array, get the deviation from the given mean average
-const deviations = (arr, mean) => arr.map((num, mean) => num - mean);
+export const deviations = (arr, mean) => arr.map((num, mean) => num - mean);
 
 // squares an array of mean deviation values (helper function for variance())
-const squaredDeviations = (arr) => arr.map(num => Math.pow(num, 2));
+export const squaredDeviations = (arr) => arr.map(num => Math.pow(num, 2));
 
 // Get the "variance"
 // The variance measures variability from the average or mean. 
 // It is a measure of how far a set of numbers is spread out from their mean average.
 // Variance is the average squared deviations from the mean, while "standard deviation" is the square root of the variance.
 // For samples of a "population", use sample = true to apply "Bessels Correction".
-const variance = (arr, sample) => squaredDeviations(deviations(arr, mean(arr))).reduce(sum) /  (arr.length - (sample ? 1 : 0));
+export const variance = (arr, sample) => squaredDeviations(deviations(arr, mean(arr))).reduce(sum) /  (arr.length - (sample ? 1 : 0));
 
 // If sample is truthy, we apply Bessel's Correction. Why? 
 // Standard deviation is only appropriate if used on a whole "population".
 // For samples of a "population", use sample = true to apply "Bessels Correction".
-const standardDeviation = (arr, sample) => Math.sqrt(variance(arr)) - (sample ? 1 : 0);
+export const standardDeviation = (arr, sample) => Math.sqrt(variance(arr)) - (sample ? 1 : 0);
 
 // Get the "covariance" between two properties.
 // "Covariance" is how much, and to what extent, two variables change **together**.
@@ -102,7 +95,7 @@ const standardDeviation = (arr, sample) => Math.sqrt(variance(arr)) - (sample ?
 // it does not indicate the **strength** - for that we need the "Correlaton".
 //
 // Note: arr1 and arr2 must have the same length, which must be more than 1.
-const sampleCovariance = (arr1, arr2) => {
+export const sampleCovariance = (arr1, arr2) => {
     const mean1 = mean(arr1);
     const mean2 = mean(arr2);
     let sum = 0;
@@ -121,7 +114,7 @@ const sampleCovariance = (arr1, arr2) => {
 // Get a measure of how correlated two datasets are, between -1 and 1.
 // "Correlation" measures the strength of the relationship between variables and is
 // the scaled measure of covariance, it has no units.
-function sampleCorrelation(arr1, arr2) {
+export function sampleCorrelation(arr1, arr2) {
     const cov = sampleCovariance(arr1, arr2);
     const xstd = sampleStandardDeviation(arr1);
     const ystd = sampleStandardDeviation(arr2);
@@ -148,10 +141,10 @@ function sampleCorrelation(arr1, arr2) {
 // statistically significant, non-random data.
 
 // the number of standard deviations from the mean
-const zScore = (num, mean, stdDev) => (num - mean) / stdDev;
+export const zScore = (num, mean, stdDev) => (num - mean) / stdDev;
 
 // get the z-score of each number in an array
-const zScores = (arr) => {
+export const zScores = (arr) => {
   const mean = mean(arr);
   const sd = standardDeviation(arr);
   return arr.map(num => (num - mean) / sd);
@@ -160,15 +153,15 @@ const zScores = (arr) => {
 // Convert "z-score" to probability (known as "p-value").
 // The p-value is the probability something is due to random processes.
 // It helps determine if something is statistically significant or not.
-const zScoreToPvalue = (z) => {
+export const zScoreToPvalue = (z) => {
     // z = the number of standard deviations from the mean.
     // If z is greater than 6.5 standard deviations from the mean the number
     // of significant digits will be outside of a reasonable range.
     if ( z < -6.5) return 0.0;
     if ( z > +6.5) return 1.0;
 
-    let factK = term = 1, 
-        pvalue = k = 0,
+    let factK = 1, term = 1,
+        pvalue = 0, k = 0,
         loopStop = Math.exp(-23);
 
     while(Math.abs(term) > loopStop) {
@@ -184,7 +177,7 @@ const zScoreToPvalue = (z) => {
 
 // Convert probability (p-value) to z-score (the number of standard deviations from the mean).
 // This does the opposite of zScoreToPvalue() 
-const  pvalueToZscore = (p) => {
+export const  pvalueToZscore = (p) => {
     if (p < 0.5) return -percentile_z(1 - p);
 
     if (p > 0.92) {
@@ -212,7 +205,7 @@ const  pvalueToZscore = (p) => {
 
 // Get the "percentile" - the percentage of values below the given value
 // - it's useful for seeing what % of the data "scored lower" than the given value
-const percentile = (arr, val) => {
+export const percentile = (arr, val) => {
   let count = 0;
   arr.forEach(v => {
     if (v < val) {
@@ -225,7 +218,7 @@ const percentile = (arr, val) => {
 }
 
 // usage:  quantile([10,20], .5)
-const quantile = (arr, q) => {
+export const quantile = (arr, q) => {
     const sorted = arr.sort((a, b) => a - b); // sort ascending
     let pos = (sorted.length - 1) * q;
 
@@ -241,21 +234,21 @@ const quantile = (arr, q) => {
 };
 
 // quartiles
-const quartile25 = arr => quantile(arr, 0.25);
-const quartile50 = arr => quantile(arr, 0.50);
-const quartile75 = arr => quantile(arr, 0.75);
+export const quartile25 = arr => quantile(arr, 0.25);
+export const quartile50 = arr => quantile(arr, 0.50);
+export const quartile75 = arr => quantile(arr, 0.75);
 
 // the difference between the third quartile and first quartile
-const interQuartileRange = arr => quantile(arr, 0.75) - quantile(arr, 0.25);
+export const interQuartileRange = arr => quantile(arr, 0.75) - quantile(arr, 0.25);
 
 
 // get a uniformly distributed random integer
-function randi(min, max) {
+export function randi(min, max) {
   return Math.floor(Math.random()*(max-min) + min);
 }
 
 // get a uniformly distributed random number
-function randf(min, max) {
+export function randf(min, max) {
   return Math.random()*(max-min) + min;
 }
 
@@ -265,8 +258,8 @@ function randf(min, max) {
 // Normal distributions are important in statistics and are often used in the natural 
 // and social sciences to represent real-valued random variables whose distributions 
 // are not known.
-const randn = (mean, variance) => {
-  var V1, V2, S;
+export const randn = (mean, variance) => {
+  var V1, V2, S, X;
   do {
     var U1 = Math.random();
     var U2 = Math.random();
@@ -282,10 +275,10 @@ const randn = (mean, variance) => {
 // "cartesian product" or "cross product"
 // get all permutations of applying values in array2 to values in array1 
 // given (['x', 'y'], [1, 2]);  // [['x', 1], ['x', 2], ['y', 1], ['y', 2]]
-const cartesianProduct = (a, b) => a.reduce((p, x) => [...p, ...b.map(y => [x, y])], []);
+export const cartesianProduct = (a, b) => a.reduce((p, x) => [...p, ...b.map(y => [x, y])], []);
 
 // create a 2d matrix
-const newMatrix = (columns, rows) => {
+export const newMatrix = (columns, rows) => {
   const matrix = [];
   for (let i = 0; i < columns; i++) {
     const column = [];
@@ -297,13 +290,8 @@ const newMatrix = (columns, rows) => {
   return matrix;
 }
 
-// swap the rows and columns of a matrix, example:
-//    transposeMatrix([
-//      [1, 2, 3], //  [1, 4, 7],
-//      [4, 5, 6], //  [2, 5, 8],
-//      [7, 8, 9], //  [3, 6, 9],
-//    ]);
-const transposeMatrix = (matrix) => matrix[0].map((col, i) => matrix.map((row) => row[i]));
+// swap the rows and columns of a matrix (defined in arrays.js)
+export { transposeMatrix };
 
 // K-means clustering
 // https://github.com/simple-statistics/simple-statistics/blob/main/src/k_means_cluster.js
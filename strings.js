@@ -1,30 +1,430 @@
-const reWords = /[A-Z\xc0-\xd6\xd8-\xde]?[a-z\xdf-\xf6\xf8-\xff]+(?:['’](?:d|ll|m|re|s|t|ve))?(?=[\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000]|[A-Z\xc0-\xd6\xd8-\xde]|$)|(?:[A-Z\xc0-\xd6\xd8-\xde]|[^\ud800-\udfff\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000\d+\u2700-\u27bfa-z\xdf-\xf6\xf8-\xffA-Z\xc0-\xd6\xd8-\xde])+(?:['’](?:D|LL|M|RE|S|T|VE))?(?=[\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000]|[A-Z\xc0-\xd6\xd8-\xde](?:[a-z\xdf-\xf6\xf8-\xff]|[^\ud800-\udfff\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000\d+\u2700-\u27bfa-z\xdf-\xf6\xf8-\xffA-Z\xc0-\xd6\xd8-\xde])|$)|[A-Z\xc0-\xd6\xd8-\xde]?(?:[a-z\xdf-\xf6\xf8-\xff]|[^\ud800-\udfff\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000\d+\u2700-\u27bfa-z\xdf-\xf6\xf8-\xffA-Z\xc0-\xd6\xd8-\xde])+(?:['’](?:d|ll|m|re|s|t|ve))?|[A-Z\xc0-\xd6\xd8-\xde]+(?:['’](?:D|LL|M|RE|S|T|VE))?|\d*(?:1ST|2ND|3RD|(?![123])\dTH)(?=\b|[a-z_])|\d*(?:1st|2nd|3rd|(?![123])\dth)(?=\b|[A-Z_])|\d+|(?:[\u2700-\u27bf]|(?:\ud83c[\udde6-\uddff]){2}|[\ud800-\udbff][\udc00-\udfff])[\ufe0e\ufe0f]?(?:[\u0300-\u036f\ufe20-\ufe2f\u20d0-\u20ff]|\ud83c[\udffb-\udfff])?(?:\u200d(?:[^\ud800-\udfff]|(?:\ud83c[\udde6-\uddff]){2}|[\ud800-\udbff][\udc00-\udfff])[\ufe0e\ufe0f]?(?:[\u0300-\u036f\ufe20-\ufe2f\u20d0-\u20ff]|\ud83c[\udffb-\udfff])?)*/g
+export const reWords = /[A-Z\xc0-\xd6\xd8-\xde]?[a-z\xdf-\xf6\xf8-\xff]+(?:['’](?:d|ll|m|re|s|t|ve))?(?=[\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000]|[A-Z\xc0-\xd6\xd8-\xde]|$)|(?:[A-Z\xc0-\xd6\xd8-\xde]|[^\ud800-\udfff\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000\d+\u2700-\u27bfa-z\xdf-\xf6\xf8-\xffA-Z\xc0-\xd6\xd8-\xde])+(?:['’](?:D|LL|M|RE|S|T|VE))?(?=[\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000]|[A-Z\xc0-\xd6\xd8-\xde](?:[a-z\xdf-\xf6\xf8-\xff]|[^\ud800-\udfff\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000\d+\u2700-\u27bfa-z\xdf-\xf6\xf8-\xffA-Z\xc0-\xd6\xd8-\xde])|$)|[A-Z\xc0-\xd6\xd8-\xde]?(?:[a-z\xdf-\xf6\xf8-\xff]|[^\ud800-\udfff\xac\xb1\xd7\xf7\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\u2000-\u206f \t\x0b\f\xa0\ufeff\n\r\u2028\u2029\u1680\u180e\u2000\u2001\u2002\u2003\u2004\u2005\u2006\u2007\u2008\u2009\u200a\u202f\u205f\u3000\d+\u2700-\u27bfa-z\xdf-\xf6\xf8-\xffA-Z\xc0-\xd6\xd8-\xde])+(?:['’](?:d|ll|m|re|s|t|ve))?|[A-Z\xc0-\xd6\xd8-\xde]+(?:['’](?:D|LL|M|RE|S|T|VE))?|\d*(?:1ST|2ND|3RD|(?![123])\dTH)(?=\b|[a-z_])|\d*(?:1st|2nd|3rd|(?![123])\dth)(?=\b|[A-Z_])|\d+|(?:[\u2700-\u27bf]|(?:\ud83c[\udde6-\uddff]){2}|[\ud800-\udbff][\udc00-\udfff])[\ufe0e\ufe0f]?(?:[\u0300-\u036f\ufe20-\ufe2f\u20d0-\u20ff]|\ud83c[\udffb-\udfff])?(?:\u200d(?:[^\ud800-\udfff]|(?:\ud83c[\udde6-\uddff]){2}|[\ud800-\udbff][\udc00-\udfff])[\ufe0e\ufe0f]?(?:[\u0300-\u036f\ufe20-\ufe2f\u20d0-\u20ff]|\ud83c[\udffb-\udfff])?)*/g
 
 /* return all words in a string as separate items in  an array */
-const words = (str) => str.match(reWords) || []
+export const words = (str) => str.match(reWords) || []
 
-const upperFirst = (str) => str[0].toUpperCase() + str.slice(1)
+// uppercase the first letter - takes the whole first character, even if it's an emoji or astral symbol
+export const upperFirst = (str) => {
+  const [ first = '' ] = str
+  return first.toUpperCase() + str.slice(first.length)
+}
 
-const join = (str, d) => words(str).join(d).toLowerCase()
+export const join = (str, d) => words(str).join(d).toLowerCase()
 
-const camelCase = (str) =>
-  words(str).reduce(
-    (acc, next) =>
-      `${acc}${
-        !acc
-          ? next.toLowerCase()
-          : next[0].toUpperCase() + next.slice(1).toLowerCase()
-      }`,
-    '',
-  )
+// snake_case and kebab-case identifiers are converted exactly, so snakeCase() can
+// give them back: an underscore (or dash) and a lowercase letter become an uppercase
+// letter, and anything else is kept as it is ('field2_name', 'line_1', 'a__b')
+const reSnakeIdentifier = /^[a-z\d]+(?:[_-]+[a-z\d]+)*$/
 
-const pascalCase = (str) => upperFirst(camelCase(str))
+// and camelCase and PascalCase identifiers are split before every uppercase letter,
+// so snakeCase(camelCase(str)) gives back the same snake_case ('userID' becomes 'user_i_d')
+const reCamelIdentifier = /^(?=.*[a-z])(?!.*_[A-Z])[A-Za-z\d]+(?:_+[A-Za-z\d]+)*$/
 
-const snakeCase = (str) => join(str, '_')
+export const camelCase = (str) => reSnakeIdentifier.test(str)
+  ? str.replace(/(?<=[^_-])[_-]([a-z])/g, (m, c) => c.toUpperCase())
+  : words(str).reduce(
+      (acc, next) =>
+        `${acc}${
+          !acc
+            ? next.toLowerCase()
+            : upperFirst(next.toLowerCase())
+        }`,
+      '',
+    )
 
-const kebabCase = (str) => join(str, '-')
+export const pascalCase = (str) => upperFirst(camelCase(str))
 
-const sentenceCase = (str) => upperFirst(join(str, ' '))
+export const snakeCase = (str) => reCamelIdentifier.test(str)
+  ? str.replace(/^[A-Z]/, c => c.toLowerCase()).replace(/(?<=[^_])[A-Z]/g, c => `_${c.toLowerCase()}`)
+  : join(str, '_')
 
-const titleCase = (str) => words(str).map(upperFirst).join(' ')
+export const kebabCase = (str) => join(str, '-')
 
+export const sentenceCase = (str) => upperFirst(join(str, ' '))
+
+export const titleCase = (str) => words(str).map(upperFirst).join(' ')
+
+
+//
+// Transliteration & slugs
+//
+
+// Latin letters which don't decompose into a base letter and diacritics,
+// plus Cyrillic and Greek - mapped to their closest ASCII spelling
+const transliterations = {
+  // Latin
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ħ: 'h', ı: 'i', ŋ: 'ng', ŧ: 't', ſ: 's',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  і: 'i', ї: 'yi', є: 'ye', ґ: 'g', ў: 'u', ђ: 'dj', ј: 'j', љ: 'lj', њ: 'nj', ћ: 'c', џ: 'dz',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+  ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+}
+
+// Language specific spellings, used instead of the above for the given locale
+const localeTransliterations = {
+  de: { ä: 'ae', ö: 'oe', ü: 'ue' },
+  da: { ø: 'oe', å: 'aa' },
+  nb: { ø: 'oe', å: 'aa' },
+  nn: { ø: 'oe', å: 'aa' },
+}
+
+const reDiacritics = /[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\ufe20-\ufe2f]/g
+
+// remove accents and other diacritics from letters:  stripDiacritics('Crème Brûlée') // 'Creme Brulee'
+export const stripDiacritics = (str) => str.normalize('NFKD').replace(reDiacritics, '').normalize('NFC')
+
+// Convert letters to their closest ASCII spelling - removes diacritics, and
+// transliterates Cyrillic, Greek and special Latin letters. Other characters
+// are left as they are.
+//
+// Usage:
+//
+//    transliterate('Straße');                        // 'Strasse'
+//    transliterate('Москва');                        // 'Moskva'
+//    transliterate('Müller', { locale: 'de' });      // 'Mueller'
+//
+export const transliterate = (str, { locale } = {}) => {
+  const extra = locale && localeTransliterations[locale.split(/[-_]/)[0].toLowerCase()] || {}
+  const lookup = (ch) => extra[ch] ?? transliterations[ch]
+
+  const convert = (ch, next) => {
+    let out = lookup(ch)
+    if (out !== undefined) return out
+
+    // uppercase letters: convert the lowercase letter, and restore the case
+    const lower = ch.toLowerCase()
+    if (lower !== ch && (out = lookup(lower)) !== undefined) {
+      // all caps if the next letter is a capital too (e.g. 'ЖУК' -> 'ZHUK', not 'ZhUK')
+      return next && next !== next.toLowerCase() ? out.toUpperCase() : out && upperFirst(out)
+    }
+
+    // decompose into base letter(s) and diacritics, then convert the base letter(s)
+    const base = ch.normalize('NFKD').replace(reDiacritics, '')
+    return base !== ch ? [ ...base ].map((c, i, arr) => convert(c, arr[i + 1] || next)).join('') : ch
+  }
+
+  const chars = [ ...str.normalize('NFC') ]
+  return chars.map((ch, i) => ch < '\x80' ? ch : convert(ch, chars[i + 1])).join('')
+}
+
+// Create a URL or file name friendly "slug" from the given string. Transliterates
+// it (see above), splits it into words, and drops emoji and punctuation.
+//
+// Usage:
+//
+//    slugify('Crème Brûlée Straße');                            // 'creme-brulee-strasse'
+//    slugify('Zürich Hauptbahnhof 🚆', { locale: 'de' });        // 'zuerich-hauptbahnhof'
+//    slugify('Αθήνα', { separator: '_' });                      // 'athina'
+//    slugify('Lake District National Park', { maxLength: 15 }); // 'lake-district'
+//
+// Options:
+//
+//    separator  - put between words (default: '-')
+//    lowercase  - lowercase the slug (default: true)
+//    maxLength  - the max length of the slug, cut at a word boundary where possible
+//    locale     - used for language specific transliterations and lowercasing
+//
+export const slugify = (str, { separator = '-', lowercase = true, maxLength = Infinity, locale } = {}) => {
+  const parts = words(transliterate(String(str), { locale }))
+    .map(word => word.replace(/[^\p{L}\p{N}]+/gu, ''))
+    .filter(Boolean)
+    // lowercasing can add new letters to convert, e.g. 'I' is 'ı' in Turkish
+    .map(word => lowercase ? transliterate(word.toLocaleLowerCase(locale), { locale }) : word)
+
+  let slug = ''
+  for (const word of parts) {
+    const next = slug ? `${slug}${separator}${word}` : word
+    if (next.length > maxLength) {
+      if (!slug) slug = word.slice(0, maxLength)
+      break
+    }
+    slug = next
+  }
+  return slug
+}
+
+//
+// Graphemes & display width
+//
+
+let segmenter
+
+// A rough match for "grapheme clusters" (what users see as one character), for
+// when Intl.Segmenter isn't available: a character plus any combining marks,
+// variation selectors, skin tones and zero-width-joined characters, or a flag.
+const reGraphemes = /\r\n|\p{Regional_Indicator}{2}|\P{M}(?:[\p{M}\u{1f3fb}-\u{1f3ff}]|\u{200d}\P{M})*|\p{M}+/gsu
+
+// Split a string into "graphemes" - the characters a user sees, so emoji,
+// flags and letters with accents are never broken up.
+//
+//    graphemes('👨‍👩‍👧 café');  // ['👨‍👩‍👧', ' ', 'c', 'a', 'f', 'é']
+//
+export const graphemes = (str) => {
+  if (segmenter === undefined) {
+    segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null
+  }
+  return segmenter
+    ? Array.from(segmenter.segment(str), s => s.segment)
+    : str.match(reGraphemes) || []
+}
+
+// East Asian "wide" and "fullwidth" characters, and emoji - shown two columns wide in monospace text
+const reWide = /[\u{1100}-\u{115f}\u{231a}\u{231b}\u{2329}\u{232a}\u{23e9}-\u{23ec}\u{23f0}\u{23f3}\u{25fd}\u{25fe}\u{2614}\u{2615}\u{2648}-\u{2653}\u{267f}\u{2693}\u{26a1}\u{26aa}\u{26ab}\u{26bd}\u{26be}\u{26c4}\u{26c5}\u{26ce}\u{26d4}\u{26ea}\u{26f2}\u{26f3}\u{26f5}\u{26fa}\u{26fd}\u{2705}\u{270a}\u{270b}\u{2728}\u{274c}\u{274e}\u{2753}-\u{2755}\u{2757}\u{2795}-\u{2797}\u{27b0}\u{27bf}\u{2b1b}\u{2b1c}\u{2b50}\u{2b55}\u{2e80}-\u{303e}\u{3041}-\u{33ff}\u{3400}-\u{4dbf}\u{4e00}-\u{9fff}\u{a000}-\u{a4cf}\u{a960}-\u{a97f}\u{ac00}-\u{d7a3}\u{f900}-\u{faff}\u{fe10}-\u{fe19}\u{fe30}-\u{fe6f}\u{ff00}-\u{ff60}\u{ffe0}-\u{ffe6}\u{16fe0}-\u{18d08}\u{1b000}-\u{1b2ff}\u{1f004}\u{1f0cf}\u{1f18e}\u{1f191}-\u{1f19a}\u{1f200}-\u{1f251}\u{1f300}-\u{1f64f}\u{1f680}-\u{1f6ff}\u{1f7e0}-\u{1f7eb}\u{1f90c}-\u{1f9ff}\u{1fa70}-\u{1faff}\u{20000}-\u{2fffd}\u{30000}-\u{3fffd}]/u
+
+// characters that take up no space at all
+const reZeroWidth = /^(?:\p{M}|\p{Cc}|\p{Cf}|[\u{200b}-\u{200f}\u{2028}-\u{202e}\u{2060}-\u{2064}\u{feff}])+$/u
+
+// the number of columns the given grapheme takes up
+const graphemeWidth = (g) => {
+  if (reZeroWidth.test(g)) return 0
+  // flags, emoji presentation (U+FE0F) and zero-width-joined emoji are all shown as one wide emoji
+  if (reWide.test(g) || /\u{fe0f}|\u{200d}|\p{Regional_Indicator}/u.test(g)) return 2
+  return 1
+}
+
+// Get the number of columns the given string takes up in a monospace font -
+// East Asian wide characters and emoji count as two, combining marks as none.
+//
+//    displayWidth('abc');   // 3
+//    displayWidth('東京');  // 4
+//    displayWidth('🇬🇧');    // 2
+//
+export const displayWidth = (str) => graphemes(str).reduce((w, g) => w + graphemeWidth(g), 0)
+
+// Shorten a string to fit in the given number of columns (see displayWidth),
+// adding an ellipsis if it was cut. Never breaks up emoji or accented letters.
+// Whitespace left before the ellipsis is dropped, punctuation is kept.
+//
+//    truncate('Sheffield City Centre', 12);                          // 'Sheffield C…'
+//    truncate('Sheffield City Centre', 12, { wordBoundary: true });  // 'Sheffield…'
+//    truncate('東京都千代田区', 7, { ellipsis: '...' });               // '東京...'
+//
+export const truncate = (str, width, { ellipsis = '…', wordBoundary = false } = {}) => {
+  const chars = graphemes(str)
+  const widths = chars.map(graphemeWidth)
+  if (widths.reduce((a, b) => a + b, 0) <= width) return str
+
+  const space = width - displayWidth(ellipsis)
+  if (space < 0) return graphemes(ellipsis).slice(0, width).join('')
+
+  let end = 0
+  for (let used = 0; end < chars.length && used + widths[end] <= space; end++) used += widths[end]
+
+  if (wordBoundary) {
+    // cut at the last whitespace, if there is one (and we're not already at one)
+    let i = end
+    if (!/\s/u.test(chars[end] || '')) while (i > 0 && !/\s/u.test(chars[i - 1])) i--
+    if (i > 0) end = i
+  }
+
+  return chars.slice(0, end).join('').trimEnd() + ellipsis
+}
+
+// Wrap a string into lines no wider than the given number of columns
+// (see displayWidth). Lines are broken at whitespace where possible, and words
+// longer than a line are broken up (unless `breakWords` is false). Existing line
+// breaks are kept.
+//
+//    wordWrap('The quick brown fox jumps over the lazy dog', 15);
+//    // 'The quick brown\nfox jumps over\nthe lazy dog'
+//
+export const wordWrap = (str, width, { breakWords = true, newline = '\n' } = {}) =>
+  str.split(/\r?\n/).map(paragraph => {
+    const lines = []
+    let line = '', lineWidth = 0
+
+    const pushLine = () => {
+      lines.push(line.replace(/\s+$/u, ''))
+      line = ''
+      lineWidth = 0
+    }
+
+    for (const token of paragraph.split(/(\s+)/u).filter(Boolean)) {
+      const isSpace = /^\s/u.test(token)
+      const tokenWidth = displayWidth(token)
+
+      if (isSpace) {
+        // whitespace is dropped at the start and end of lines
+        if (lineWidth && lineWidth + tokenWidth < width) {
+          line += token
+          lineWidth += tokenWidth
+        } else if (lineWidth) pushLine()
+        continue
+      }
+      if (lineWidth + tokenWidth <= width) {
+        line += token
+        lineWidth += tokenWidth
+        continue
+      }
+      if (lineWidth) pushLine()
+      if (tokenWidth <= width || !breakWords) {
+        line = token
+        lineWidth = tokenWidth
+        continue
+      }
+      // the word is wider than a whole line, so break it up
+      for (const g of graphemes(token)) {
+        const w = graphemeWidth(g)
+        if (lineWidth + w > width && lineWidth) pushLine()
+        line += g
+        lineWidth += w
+      }
+    }
+    if (line || !lines.length) pushLine()
+    return lines.join(newline)
+  }).join(newline)
+
+//
+// Inflection
+//
+
+// Rules are checked newest first, so rules added later override the built-in ones
+const pluralRules = [
+  [ /$/, 's' ],
+  [ /s$/i, 's' ],
+  [ /(ss|sh|ch|x|z)$/i, '$1es' ],
+  [ /([^aeiou])y$/i, '$1ies' ],
+  [ /(?:([^f])fe|([lr])f)$/i, '$1$2ves' ],
+  [ /(her|potat|tomat|ech|vet)o$/i, '$1oes' ],
+  [ /(alias|status|census|bus|atlas|campus|virus)$/i, '$1es' ],
+  [ /(octop|radi|cact|fung|stimul|alumn|nucle|foc)us$/i, '$1i' ],
+  [ /(matr)ix$/i, '$1ices' ],
+  [ /(vert|ind)ex$/i, '$1ices' ],
+  [ /(analy|diagno|hypothe|synop|parenthe|the|ellip|ba|cri|a)sis$/i, '$1ses' ],
+  [ /(criteri|phenomen|polyhedr)on$/i, '$1a' ],
+  [ /(quiz)$/i, '$1zes' ],
+]
+
+const singularRules = [
+  [ /s$/i, '' ],
+  [ /(ss)$/i, '$1' ],
+  [ /(ss|sh|ch|x|z)es$/i, '$1' ],
+  [ /([^aeiou])ies$/i, '$1y' ],
+  [ /(ar|(?:wo|[ae])l|[eo][ao])ves$/i, '$1f' ],
+  [ /(wi|kni|li)ves$/i, '$1fe' ],
+  [ /(her|potat|tomat|ech|vet)oes$/i, '$1o' ],
+  [ /(alias|status|census|bus|atlas|campus|virus)(es)?$/i, '$1' ],
+  [ /(octop|radi|cact|fung|stimul|alumn|nucle|foc)i$/i, '$1us' ],
+  [ /(matr)ices$/i, '$1ix' ],
+  [ /(vert|ind)ices$/i, '$1ex' ],
+  [ /(analy|diagno|hypothe|synop|parenthe|the|ellip|ba|cri|a)ses$/i, '$1sis' ],
+  [ /(criteri|phenomen|polyhedr)a$/i, '$1on' ],
+  [ /(quiz)zes$/i, '$1' ],
+]
+
+// singular => plural, and plural => singular
+const irregularPlurals = new Map()
+const irregularSingulars = new Map()
+
+const uncountables = new Set([
+  'aircraft', 'data', 'deer', 'equipment', 'feedback', 'fish', 'information', 'metadata',
+  'money', 'moose', 'news', 'police', 'rice', 'series', 'sheep', 'software', 'species', 'traffic', 'weather',
+])
+
+// Add your own inflection rules - they take priority over the built-in ones.
+//
+//    addPluralRule(/(ox)$/i, '$1en')
+//    addSingularRule(/(ox)en$/i, '$1')
+//    addIrregular('cul-de-sac', 'culs-de-sac')
+//    addUncountable('pokemon')
+//
+export const addPluralRule = (rule, replacement) => pluralRules.push([ rule, replacement ])
+export const addSingularRule = (rule, replacement) => singularRules.push([ rule, replacement ])
+export const addUncountable = (word) => uncountables.add(word.toLowerCase())
+export const addIrregular = (singular, plural) => {
+  irregularPlurals.set(singular.toLowerCase(), plural.toLowerCase())
+  irregularSingulars.set(plural.toLowerCase(), singular.toLowerCase())
+}
+
+;[
+  [ 'person', 'people' ], [ 'man', 'men' ], [ 'woman', 'women' ], [ 'child', 'children' ],
+  [ 'tooth', 'teeth' ], [ 'foot', 'feet' ], [ 'goose', 'geese' ], [ 'mouse', 'mice' ],
+  [ 'ox', 'oxen' ], [ 'die', 'dice' ], [ 'medium', 'media' ], [ 'genus', 'genera' ],
+  [ 'axis', 'axes' ], [ 'leaf', 'leaves' ], [ 'this', 'these' ], [ 'that', 'those' ],
+].forEach(([ singular, plural ]) => addIrregular(singular, plural))
+
+// give `word` the same casing as `original` - UPPER, Title or lower
+const matchCase = (original, word) => {
+  if (original === original.toUpperCase() && original !== original.toLowerCase() && [ ...original ].length > 1) return word.toUpperCase()
+  if (original === upperFirst(original.toLowerCase()) && original !== original.toLowerCase()) return upperFirst(word)
+  return word
+}
+
+// inflect the last word of a string (e.g. 'selectedFeature', 'bus_stop' or
+// 'Data Point'), keeping the rest of the string and the casing as they are
+const inflectLastWord = (str, rules, irregulars, others) => {
+  const all = words(str)
+  const last = all[all.length - 1]
+  if (!last) return str
+
+  const lower = last.toLowerCase()
+  let inflected
+  if (uncountables.has(lower) || others.has(lower)) inflected = lower
+  else if (irregulars.has(lower)) inflected = irregulars.get(lower)
+  else {
+    const rule = rules.findLast(([ re ]) => re.test(lower))
+    inflected = rule ? lower.replace(rule[0], rule[1]) : lower
+  }
+
+  const at = str.lastIndexOf(last)
+  return str.slice(0, at) + matchCase(last, inflected) + str.slice(at + last.length)
+}
+
+const pluralRulesCache = new Map()
+
+// get a cached Intl.PluralRules for the given locale and type ('cardinal' or 'ordinal')
+const getPluralRules = (locale, type = 'cardinal') => {
+  const key = `${locale}|${type}`
+  if (!pluralRulesCache.has(key)) pluralRulesCache.set(key, new Intl.PluralRules(locale, { type }))
+  return pluralRulesCache.get(key)
+}
+
+// Get the singular form of an English word (or of the last word in the string).
+//
+//    singularize('features');       // 'feature'
+//    singularize('People');         // 'Person'
+//    singularize('selectedItems');  // 'selectedItem'
+//
+export const singularize = (str) => inflectLastWord(str, singularRules, irregularSingulars, irregularPlurals)
+
+// Get the plural form of an English word (or of the last word in the string).
+// If `count` is given, gets the singular or plural form to match it, using the
+// plural rules of the given locale. Use `inclusive` to include the count.
+//
+//    pluralize('feature');                           // 'features'
+//    pluralize('Quartile', 1);                       // 'Quartile'
+//    pluralize('feature', 3, { inclusive: true });   // '3 features'
+//    pluralize('PERSON', 1234, { inclusive: true }); // '1,234 PEOPLE'
+//    pluralize('bus_stop', 2);                       // 'bus_stops'
+//
+export const pluralize = (str, count, { inclusive = false, locale = 'en' } = {}) => {
+  const isOne = count !== undefined && getPluralRules(locale).select(count) === 'one'
+  const word = isOne ? singularize(str) : inflectLastWord(str, pluralRules, irregularPlurals, irregularSingulars)
+  return inclusive && count !== undefined ? `${count.toLocaleString(locale)} ${word}` : word
+}
+
+// ordinal suffixes for each "plural category" of a few languages
+const ordinalSuffixes = {
+  en: { one: 'st', two: 'nd', few: 'rd', other: 'th' },
+  fr: { one: 'er', other: 'e' },
+  de: { other: '.' },
+  nl: { other: 'e' },
+}
+
+// Get the ordinal of a number, for the given locale (English by default), or
+// using your own suffixes for each plural category ('one', 'two', 'few', 'other' etc).
+//
+//    ordinal(1);                          // '1st'
+//    ordinal(22);                         // '22nd'
+//    ordinal(111);                        // '111th'
+//    ordinal(1, { locale: 'fr' });        // '1er'
+//
+export const ordinal = (n, { locale = 'en', suffixes } = {}) => {
+  const table = suffixes || ordinalSuffixes[locale.split(/[-_]/)[0].toLowerCase()] || ordinalSuffixes.en
+  const category = getPluralRules(locale, 'ordinal').select(n)
+  return `${n}${table[category] ?? table.other ?? ''}`
+}
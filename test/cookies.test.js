@@ -0,0 +1,92 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+  parseCookieHeader, serializeCookie, getAllCookies, getCookie, setCookie, removeCookie, clearCookies,
+} from '../cookies.js';
+
+describe('cookie headers', () => {
+  test('parseCookieHeader() decodes names and values', () => {
+    assert.deepEqual(parseCookieHeader('theme=dark; cart=%7B%22items%22%3A2%7D'), { theme: 'dark', cart: '{"items":2}' });
+    assert.deepEqual(parseCookieHeader('theme=dark; cart=%7B%22items%22%3A2%7D', { json: true }), { theme: null, cart: { items: 2 } });
+    assert.deepEqual(parseCookieHeader('a="quoted"; b=%E0%A4%A; c=x=y; novalue; =empty; a=second'), { a: 'quoted', b: '%E0%A4%A', c: 'x=y' });
+    assert.deepEqual(parseCookieHeader(undefined), {});
+    assert.equal(Object.getPrototypeOf(parseCookieHeader('__proto__=1')), Object.prototype);
+  });
+
+  test('serializeCookie() encodes the cookie and its options', () => {
+    assert.equal(serializeCookie('theme', 'dark', { maxAge: 60 * 60 * 24 * 365, path: '/', sameSite: 'lax' }), 'theme=dark; Max-Age=31536000; Path=/; SameSite=Lax');
+    assert.equal(serializeCookie('cart', { items: 2 }, { json: true, secure: true, httpOnly: true }), 'cart=%7B%22items%22%3A2%7D; Secure; HttpOnly');
+    assert.equal(serializeCookie('a b', 'x;y (z)'), 'a%20b=x%3By%20%28z%29');
+    assert.equal(serializeCookie('old', null, { expires: new Date(0), domain: 'example.com' }), 'old=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Domain=example.com');
+    assert.match(serializeCookie('week', 1, { expires: 7 }), /^week=1; Expires=\w{3}, \d{2} \w{3} \d{4}/);
+  });
+
+  test('serializeCookie() rejects invalid options', () => {
+    assert.throws(() => serializeCookie('', 'x'), /needs a name/);
+    assert.throws(() => serializeCookie('a', 'x', { expires: 'soon' }), /Invalid cookie expiry date/);
+    assert.throws(() => serializeCookie('a', 'x', { maxAge: 'long' }), /Invalid cookie max age/);
+    assert.throws(() => serializeCookie('a', 'x', { sameSite: 'sometimes' }), /Invalid SameSite policy/);
+    assert.throws(() => serializeCookie('a', 'x', { sameSite: 'none' }), /must be secure/);
+    for (const path of [ '/; Domain=evil.example', '/a b', '/a\tb', '/\n', '/caf\u{e9}' ]) {
+      assert.throws(() => serializeCookie('a', 'x', { path }), /Invalid cookie path/, path);
+    }
+    for (const domain of [ 'example.com; Secure', 'example .com', 'example.com\r\n' ]) {
+      assert.throws(() => serializeCookie('a', 'x', { domain }), /Invalid cookie domain/, domain);
+    }
+    assert.equal(serializeCookie('a', 'x', { path: '/shop/cart-2024', domain: '.example.com' }), 'a=x; Domain=.example.com; Path=/shop/cart-2024');
+  });
+
+  test('values round-trip through serializeCookie() and parseCookieHeader()', () => {
+    const values = { plain: 'abc', spaces: 'a b;c,d', unicode: 'Crème brûlée 🍮', quote: '"x"' };
+    const header = Object.entries(values).map(([ name, value ]) => serializeCookie(name, value)).join('; ');
+    assert.deepEqual(parseCookieHeader(header), values);
+  });
+});
+
+describe('document.cookie', () => {
+  let dom;
+  beforeEach(() => {
+    dom = new JSDOM('', { url: 'https://a.example.com/shop/cart/' });
+    globalThis.document = dom.window.document;
+    globalThis.location = dom.window.location;
+  });
+  afterEach(() => {
+    delete globalThis.document;
+    delete globalThis.location;
+    dom.window.close();
+  });
+
+  test('setCookie(), getCookie() and getAllCookies()', () => {
+    setCookie('theme', 'dark', { sameSite: 'lax' });
+    setCookie('cart', { items: 2 }, { json: true, secure: true });
+    assert.equal(getCookie('theme'), 'dark');
+    assert.deepEqual(getCookie('cart', { json: true }), { items: 2 });
+    assert.equal(getCookie('missing'), null);
+    assert.deepEqual(getAllCookies(), { theme: 'dark', cart: '{"items":2}' });
+  });
+
+  test('removeCookie() removes cookies set with any path and domain', () => {
+    document.cookie = 'a=1; path=/shop';
+    document.cookie = 'b=2; path=/shop/cart/';
+    document.cookie = 'c=3; domain=example.com; path=/';
+    document.cookie = 'd=4';
+    for (const name of [ 'a', 'b', 'c', 'd' ]) assert.equal(removeCookie(name), true, name);
+    assert.equal(document.cookie, '');
+  });
+
+  test('removeCookie() with a path and domain only removes that cookie', () => {
+    document.cookie = 'a=1; path=/shop';
+    document.cookie = 'a=2; path=/';
+    assert.equal(removeCookie('a', { path: '/shop' }), false);
+    assert.equal(getCookie('a'), '2');
+  });
+
+  test('clearCookies() removes all the cookies', () => {
+    document.cookie = 'a=1; path=/shop';
+    document.cookie = 'b=2; domain=.example.com; path=/';
+    setCookie('c', '3');
+    clearCookies();
+    assert.deepEqual(getAllCookies(), {});
+  });
+});
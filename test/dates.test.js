@@ -0,0 +1,385 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toZone, fromZone, getZoneOffset, daysInMonth, startOf, endOf, addToDate, addDays, addMonths, addYears,
+  getCalendarDayDiff, getISOWeek, formatDate, parseDate, isDateValid,
+  getDurationUnit, parseISODuration, formatISODuration, parseDuration, formatDuration, formatRelativeTime,
+  getEasterSunday, holidayRules, createCalendar, parseRRule, formatRRule, createRRule,
+} from '../dates.js';
+
+const iso = date => date.toISOString();
+
+describe('time zone aware date arithmetic', () => {
+  test('toZone() and fromZone() convert between instants and wall times', () => {
+    const zoned = toZone(new Date('2024-06-01T12:00:00Z'), 'Europe/London');
+    assert.deepEqual(zoned, {
+      year: 2024, month: 6, day: 1, hour: 13, minute: 0, second: 0, millisecond: 0, weekday: 6, offset: 60, timeZone: 'Europe/London',
+    });
+    assert.equal(iso(fromZone(zoned, 'Europe/London')), '2024-06-01T12:00:00.000Z');
+    assert.equal(iso(fromZone({ year: 2024, month: 1, day: 32 }, 'UTC')), '2024-02-01T00:00:00.000Z');
+    assert.equal(getZoneOffset(new Date('2024-01-15T00:00:00Z'), 'America/New_York'), -300);
+  });
+
+  test('fromZone() handles daylight saving changes', () => {
+    // 01:30 happens twice in London on 27th Oct 2024 - the earlier one is used
+    assert.equal(iso(fromZone({ year: 2024, month: 10, day: 27, hour: 1, minute: 30 }, 'Europe/London')), '2024-10-27T00:30:00.000Z');
+    // 01:30 doesn't happen on 31st Mar 2024 - it's moved forward by an hour
+    assert.equal(iso(fromZone({ year: 2024, month: 3, day: 31, hour: 1, minute: 30 }, 'Europe/London')), '2024-03-31T01:30:00.000Z');
+  });
+
+  test('daysInMonth() knows about leap years', () => {
+    assert.deepEqual([ 2023, 2024, 1900, 2000, 2100 ].map(year => daysInMonth(year, 2)), [ 28, 29, 28, 29, 28 ]);
+    assert.equal(daysInMonth(2023, 1), 31);
+    assert.equal(daysInMonth(2023, 4), 30);
+    assert.equal(daysInMonth(0, 2), 29);
+    assert.equal(daysInMonth(99, 2), 28);
+  });
+
+  test('years 0 to 99 are not treated as 1900 to 1999', () => {
+    assert.equal(toZone(fromZone({ year: 50, month: 2, day: 29 }, 'UTC'), 'UTC').day, 1);
+    assert.equal(fromZone({ year: 50, month: 6, day: 1 }, 'UTC').getUTCFullYear(), 50);
+    assert.equal(fromZone({ year: 50, month: 6, day: 1 }).getFullYear(), 50);
+    assert.equal(fromZone({ year: 2023, month: 2, day: 29 }).getDate(), 1);
+  });
+
+  test('addDays() keeps the wall time across daylight saving changes', () => {
+    assert.equal(iso(addDays(new Date('2024-03-30T12:00:00Z'), 1, 'Europe/London')), '2024-03-31T11:00:00.000Z');
+    assert.equal(iso(addDays(new Date('2023-02-28T12:00:00Z'), 1, 'UTC')), '2023-03-01T12:00:00.000Z');
+    assert.equal(iso(addDays(new Date('2024-02-28T12:00:00Z'), 1, 'UTC')), '2024-02-29T12:00:00.000Z');
+  });
+
+  test('addMonths() and addYears() use the last day of shorter months', () => {
+    assert.equal(iso(addMonths(new Date('2023-01-31T00:00:00Z'), 1, 'UTC')), '2023-02-28T00:00:00.000Z');
+    assert.equal(iso(addMonths(new Date('2024-01-31T00:00:00Z'), 1, 'UTC')), '2024-02-29T00:00:00.000Z');
+    assert.equal(iso(addMonths(new Date('2024-03-15T00:00:00Z'), -14, 'UTC')), '2023-01-15T00:00:00.000Z');
+    assert.equal(iso(addYears(new Date('2024-02-29T00:00:00Z'), 1, 'UTC')), '2025-02-28T00:00:00.000Z');
+    assert.equal(iso(addToDate(new Date('2023-11-30T00:00:00Z'), 1, 'quarter', 'UTC')), '2024-02-29T00:00:00.000Z');
+    assert.throws(() => addToDate(new Date(), 1, 'fortnight'), /Invalid unit/);
+  });
+
+  test('startOf() and endOf() use the calendar of the time zone', () => {
+    const date = new Date('2023-02-15T03:00:00Z');
+    assert.equal(iso(startOf(date, 'day', 'America/New_York')), '2023-02-14T05:00:00.000Z');
+    assert.equal(iso(startOf(date, 'week', 'UTC')), '2023-02-13T00:00:00.000Z');
+    assert.equal(iso(startOf(date, 'week', 'UTC', { weekStartsOn: 0 })), '2023-02-12T00:00:00.000Z');
+    assert.equal(iso(startOf(date, 'quarter', 'UTC')), '2023-01-01T00:00:00.000Z');
+    assert.equal(iso(endOf(date, 'month', 'UTC')), '2023-02-28T23:59:59.999Z');
+    assert.equal(iso(endOf(date, 'year', 'UTC')), '2023-12-31T23:59:59.999Z');
+  });
+
+  test('getCalendarDayDiff() counts calendar days in the time zone', () => {
+    assert.equal(getCalendarDayDiff(new Date('2023-02-28T23:59:00Z'), new Date('2023-03-01T00:01:00Z'), 'UTC'), 1);
+    assert.equal(getCalendarDayDiff(new Date('2023-03-01T00:00:00Z'), new Date('2023-02-01T00:00:00Z'), 'UTC'), -28);
+    assert.equal(getCalendarDayDiff(new Date('2024-03-30T12:00:00Z'), new Date('2024-04-01T12:00:00Z'), 'Europe/London'), 2);
+  });
+
+  test('getISOWeek() gives the week-numbering year', () => {
+    assert.deepEqual(getISOWeek(new Date('2021-01-01T12:00:00Z'), 'UTC'), { year: 2020, week: 53 });
+    assert.deepEqual(getISOWeek(new Date('2024-12-30T12:00:00Z'), 'UTC'), { year: 2025, week: 1 });
+    assert.deepEqual(getISOWeek(new Date('2023-03-01T12:00:00Z'), 'UTC'), { year: 2023, week: 9 });
+  });
+});
+
+describe('formatDate and parseDate', () => {
+  const utc = { timeZone: 'UTC', locale: 'en-GB' };
+
+  test('formatDate() formats each token', () => {
+    const date = new Date('2024-06-03T14:05:09.007Z');
+    assert.equal(formatDate(date, 'YYYY YY Q MMMM MMM MM M DD D DDDD', utc), '2024 24 2 June Jun 06 6 03 3 155');
+    assert.equal(formatDate(date, 'dddd ddd d GGGG WW W', utc), 'Monday Mon 1 2024 23 23');
+    assert.equal(formatDate(date, 'HH H hh h mm m ss s SSS', utc), '14 14 02 2 05 5 09 9 007');
+    assert.equal(formatDate(date, 'Z ZZ X x', utc), '+00:00 +0000 1717423509 1717423509007');
+    assert.equal(formatDate(date, 'h A a', { ...utc, locale: 'en-US' }), '2 PM pm');
+    assert.equal(formatDate(date, '[Week] W [of] GGGG', utc), 'Week 23 of 2024');
+    assert.equal(formatDate('foo', 'YYYY'), 'Invalid Date');
+  });
+
+  test('formatDate() uses the time zone and locale', () => {
+    const date = new Date('2024-06-03T23:30:00Z');
+    assert.equal(formatDate(date, undefined, { timeZone: 'Europe/Paris' }), '2024-06-04T01:30:00+02:00');
+    assert.equal(formatDate(date, 'dddd D MMMM', { locale: 'fr', timeZone: 'Europe/Paris' }), 'mardi 4 juin');
+    assert.equal(formatDate(date, 'HH:mm Z', { timeZone: 'Asia/Kolkata' }), '05:00 +05:30');
+  });
+
+  test('formatDate() gives the day of the year in non-leap years', () => {
+    assert.equal(formatDate(new Date('2023-03-01T00:00:00Z'), 'DDDD', utc), '060');
+    assert.equal(formatDate(new Date('2024-03-01T00:00:00Z'), 'DDDD', utc), '061');
+    assert.equal(formatDate(new Date('2023-12-31T00:00:00Z'), 'DDDD', utc), '365');
+  });
+
+  test('parseDate() parses ISO 8601 dates', () => {
+    const parse = str => parseDate(str, undefined, { timeZone: 'UTC' }).toISOString();
+    assert.equal(parse('2023-02-15'), '2023-02-15T00:00:00.000Z');
+    assert.equal(parse('20230215'), '2023-02-15T00:00:00.000Z');
+    assert.equal(parse('2023-02'), '2023-02-01T00:00:00.000Z');
+    assert.equal(parse('2024-06-03T14:05:30.123+01:00'), '2024-06-03T13:05:30.123Z');
+    assert.equal(parse('2024-06-03 14:05Z'), '2024-06-03T14:05:00.000Z');
+    assert.equal(parse('2024-W23-1T09:00Z'), '2024-06-03T09:00:00.000Z');
+    assert.equal(parse('2020W537'), '2021-01-03T00:00:00.000Z');
+    assert.equal(parse('2023-155'), '2023-06-04T00:00:00.000Z');
+    assert.equal(parse('2024-155'), '2024-06-03T00:00:00.000Z');
+    assert.equal(parse('2023-365'), '2023-12-31T00:00:00.000Z');
+    assert.equal(parse('2024-06-03T24:00'), '2024-06-04T00:00:00.000Z');
+  });
+
+  test('parseDate() rejects dates that do not exist', () => {
+    const invalid = [ '2023-02-29', '2100-02-29', '2023-366', '2023-04-31', '2023-13-01', '2020-W54', '2024-06-03T25:00', 'June 3rd', '' ];
+    for (const str of invalid) assert.equal(isDateValid(parseDate(str, undefined, { timeZone: 'UTC' })), false, str);
+    assert.equal(isDateValid(parseDate('2024-02-29', undefined, { timeZone: 'UTC' })), true);
+    assert.equal(isDateValid(parseDate('2024-366', undefined, { timeZone: 'UTC' })), true);
+  });
+
+  test('parseDate() parses dates in the given format', () => {
+    assert.equal(parseDate('Mon 3 Jun 2024 14:05', 'ddd D MMM YYYY HH:mm', utc).toISOString(), '2024-06-03T14:05:00.000Z');
+    assert.equal(parseDate('3 juin 2024', 'D MMMM YYYY', { locale: 'fr', timeZone: 'Europe/Paris' }).toISOString(), '2024-06-02T22:00:00.000Z');
+    assert.equal(parseDate('15/02/23 9:30 pm', 'DD/MM/YY h:mm a', utc).toISOString(), '2023-02-15T21:30:00.000Z');
+    assert.equal(parseDate('12:00 AM 01/01/70', 'hh:mm A DD/MM/YY', utc).toISOString(), '1970-01-01T00:00:00.000Z');
+    assert.equal(parseDate('1717423509', 'X').getTime(), 1717423509000);
+    assert.equal(parseDate('[2024]', '[[]YYYY]', utc).getUTCFullYear(), 2024);
+    assert.equal(isDateValid(parseDate('29/02/2023', 'DD/MM/YYYY', utc)), false);
+    assert.equal(isDateValid(parseDate('Tue 3 Jun 2024', 'ddd D MMM YYYY', utc)), false);
+    assert.throws(() => parseDate('2024', 'GGGG'), /Can't parse the format token: GGGG/);
+  });
+
+  test('parseDate() tries each format in turn', () => {
+    const formats = [ 'DD/MM/YYYY', 'D MMM YYYY', 'YYYY-MM-DD' ];
+    const dates = [ '15/02/2023', '15 Feb 2023', '2023-02-15' ].map(str => parseDate(str, formats, utc).toISOString());
+    assert.deepEqual(dates, Array(3).fill('2023-02-15T00:00:00.000Z'));
+    assert.equal(isDateValid(parseDate('Feb 15, 2023', formats, utc)), false);
+  });
+
+  test('formatDate() and parseDate() round-trip', () => {
+    const date = new Date('2023-02-28T23:59:59.999Z');
+    const format = 'YYYY-MM-DD HH:mm:ss.SSS Z';
+    assert.equal(parseDate(formatDate(date, format, { timeZone: 'America/New_York' }), format).getTime(), date.getTime());
+  });
+});
+
+describe('durations and relative times', () => {
+  test('getDurationUnit() accepts short names', () => {
+    assert.equal(getDurationUnit('h'), 'hours');
+    assert.equal(getDurationUnit('Mins'), 'minutes');
+    assert.equal(getDurationUnit('month'), 'months');
+    assert.throws(() => getDurationUnit('fortnight'), /Invalid unit: fortnight/);
+  });
+
+  test('parseISODuration() and formatISODuration()', () => {
+    assert.deepEqual(parseISODuration('P3DT4H'), { years: 0, months: 0, weeks: 0, days: 3, hours: 4, minutes: 0, seconds: 0 });
+    assert.equal(parseISODuration('-PT1,5M').minutes, -1.5);
+    assert.equal(parseISODuration('P'), null);
+    assert.equal(parseISODuration('PT'), null);
+    assert.equal(parseISODuration('1 day'), null);
+    assert.equal(formatISODuration(93784), 'P1DT2H3M4S');
+    assert.equal(formatISODuration(-90.5), '-PT1M30.5S');
+    assert.equal(formatISODuration(0), 'PT0S');
+    assert.equal(formatISODuration({ months: 1, days: 2 }), 'P1M2D');
+    assert.equal(formatISODuration(Infinity), 'Invalid Duration');
+  });
+
+  test('parseDuration() accepts ISO durations, times and units', () => {
+    assert.equal(parseDuration('1h 30m'), 5400);
+    assert.equal(parseDuration('P3DT4H'), 273600);
+    assert.equal(parseDuration('1:30:15'), 5415);
+    assert.equal(parseDuration('1:30'), 5400);
+    assert.equal(parseDuration('2 days, 3 hours and 5 mins'), 2 * 86400 + 3 * 3600 + 300);
+    assert.equal(parseDuration('-1.5 hrs'), -5400);
+    assert.equal(parseDuration('90'), 90);
+    assert.equal(parseDuration(42), 42);
+    assert.equal(parseDuration('250ms'), 0.25);
+    for (const str of [ '', '1:60', '3 parsecs', '1h foo', 'abc' ]) assert.ok(Number.isNaN(parseDuration(str)), str);
+  });
+
+  test('formatDuration() formats in each style', () => {
+    assert.equal(formatDuration(93784, { locale: 'en' }), '1 day, 2 hours, 3 minutes, 4 seconds');
+    assert.equal(formatDuration(93784, { style: 'narrow', smallest: 'minutes', locale: 'en' }), '1d 2h 3m');
+    assert.equal(formatDuration(93784, { largest: 'hours', locale: 'de' }), '26 Stunden, 3 Minuten und 4 Sekunden');
+    assert.equal(formatDuration(93784, { style: 'digital' }), '26:03:04');
+    assert.equal(formatDuration(-61.25, { style: 'digital', smallest: 'ms' }), '-00:01:01.250');
+    assert.equal(formatDuration(0, { locale: 'en' }), '0 seconds');
+    assert.equal(formatDuration(89, { smallest: 'minutes', locale: 'en' }), '1 minute');
+    assert.equal(formatDuration(NaN), 'Invalid Duration');
+    assert.throws(() => formatDuration(60, { largest: 'seconds', smallest: 'hours' }), /smaller than the smallest unit/);
+  });
+
+  test('formatRelativeTime() picks the best unit', () => {
+    const now = new Date('2024-06-03T12:00:00Z');
+    const rel = (seconds, options) => formatRelativeTime(now.getTime() + seconds * 1000, { now, locale: 'en', ...options });
+    assert.equal(rel(-3 * 86400), '3 days ago');
+    assert.equal(rel(86400), 'tomorrow');
+    assert.equal(rel(86400, { numeric: 'always' }), 'in 1 day');
+    assert.equal(rel(59.6), 'in 1 minute');
+    assert.equal(rel(-14 * 86400), '2 weeks ago');
+    assert.equal(rel(-5 * 3600, { locale: 'es', unit: 'h' }), 'hace 5 horas');
+    assert.equal(rel(0), 'now');
+    assert.equal(formatRelativeTime('foo'), 'Invalid Date');
+  });
+});
+
+describe('business days', () => {
+  const day = str => new Date(`${str}T12:00:00Z`);
+  const ymd = date => date.toISOString().slice(0, 10);
+  const uk = createCalendar({ holidays: holidayRules.uk, timeZone: 'Europe/London' });
+  const us = createCalendar({ holidays: holidayRules.us, timeZone: 'America/New_York' });
+
+  test('getEasterSunday() gives Easter in the Gregorian calendar', () => {
+    assert.deepEqual([ 2019, 2023, 2024, 2025, 2038 ].map(year => ymd(getEasterSunday(year, 'UTC'))),
+      [ '2019-04-21', '2023-04-09', '2024-03-31', '2025-04-20', '2038-04-25' ]);
+  });
+
+  test('getHolidays() lists the holidays of a year, with substitute days', () => {
+    assert.deepEqual(uk.getHolidays(2022).map(h => [ formatDate(h.date, 'YYYY-MM-DD', { timeZone: 'Europe/London' }), h.name, h.observed ]), [
+      [ '2022-01-03', 'New Year\'s Day', true ],
+      [ '2022-04-15', 'Good Friday', false ],
+      [ '2022-04-18', 'Easter Monday', false ],
+      [ '2022-05-02', 'Early May bank holiday', false ],
+      [ '2022-05-30', 'Spring bank holiday', false ],
+      [ '2022-08-29', 'Summer bank holiday', false ],
+      [ '2022-12-26', 'Boxing Day', false ],
+      [ '2022-12-27', 'Christmas Day', true ],
+    ]);
+  });
+
+  test('US holidays are observed on the nearest weekday, and follow since', () => {
+    assert.deepEqual(us.getHoliday(day('2021-12-31')), { name: 'New Year\'s Day', observed: true });
+    assert.deepEqual(us.getHoliday(day('2020-07-03')), { name: 'Independence Day', observed: true });
+    assert.equal(us.isHoliday(day('2020-06-19')), false);
+    assert.equal(us.isHoliday(day('2023-06-19')), true);
+    assert.equal(us.isHoliday(day('2023-11-23')), true);
+    assert.equal(us.isHoliday(day('2023-02-20')), true);
+    // (New Year's Day 2022 was observed in 2021)
+    assert.equal(us.getHolidays(2022).length, 10);
+  });
+
+  test('isBusinessDay() skips weekends and holidays', () => {
+    assert.equal(uk.isBusinessDay(day('2024-12-26')), false);
+    assert.equal(uk.isBusinessDay(day('2024-12-28')), false);
+    assert.equal(uk.isBusinessDay(day('2024-12-27')), true);
+    assert.equal(uk.isHoliday(day('2024-12-28')), false);
+  });
+
+  test('addBusinessDays() keeps the time of day', () => {
+    assert.equal(uk.addBusinessDays(day('2024-12-23'), 2).toISOString(), '2024-12-27T12:00:00.000Z');
+    assert.equal(ymd(uk.addBusinessDays(day('2024-12-27'), -2)), '2024-12-23');
+    assert.equal(ymd(uk.nextBusinessDay(day('2024-03-28'))), '2024-04-02');
+    assert.equal(ymd(uk.previousBusinessDay(day('2024-04-02'))), '2024-03-28');
+    assert.equal(ymd(uk.addBusinessDays(day('2024-12-28'), 0)), '2024-12-28');
+    // across the end of February in a non-leap year
+    assert.equal(ymd(uk.addBusinessDays(day('2023-02-27'), 3)), '2023-03-02');
+  });
+
+  test('businessDaysBetween() counts the days from one date up to another', () => {
+    assert.equal(uk.businessDaysBetween(day('2024-12-23'), day('2025-01-06')), 7);
+    assert.equal(uk.businessDaysBetween(day('2025-01-06'), day('2024-12-23')), -7);
+    assert.equal(uk.businessDaysBetween(day('2023-02-01'), day('2023-03-01')), 20);
+    assert.equal(uk.businessDaysBetween(day('2024-02-01'), day('2024-03-01')), 21);
+  });
+
+  test('custom weekends, one-off dates and rule functions', () => {
+    const calendar = createCalendar({
+      weekend: [ 5, 6 ],
+      holidays: [ '2024-04-10', { name: 'Founding Day', month: 2, day: 22, since: 2022 }, year => year === 2024 ? { name: 'Extra', month: 3, day: 3 } : [] ],
+      timeZone: 'UTC',
+    });
+    assert.equal(calendar.isBusinessDay(day('2024-04-12')), false);
+    assert.equal(calendar.isBusinessDay(day('2024-04-14')), true);
+    assert.equal(calendar.isHoliday(day('2024-04-10')), true);
+    assert.deepEqual(calendar.getHoliday(day('2023-02-22')), { name: 'Founding Day', observed: false });
+    assert.equal(calendar.isHoliday(day('2021-02-22')), false);
+    assert.equal(calendar.isHoliday(day('2024-03-03')), true);
+    assert.equal(calendar.isHoliday(day('2023-03-03')), false);
+    assert.throws(() => createCalendar({ weekend: [ 0, 1, 2, 3, 4, 5, 6 ] }), /at least one day/);
+    assert.throws(() => createCalendar({ holidays: [ '2023-02-29' ] }).isHoliday(day('2023-02-28')), /Invalid holiday date/);
+  });
+});
+
+describe('recurrence rules', () => {
+  const ymd = dates => dates.map(date => date.toISOString().slice(0, 10));
+  const dtStart = new Date('2023-01-04T09:00:00Z'); // a Wednesday
+
+  test('parseRRule() and formatRRule() read and write iCalendar rules', () => {
+    const text = 'DTSTART;TZID=Europe/London:20240101T090000\nRRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3\nEXDATE;TZID=Europe/London:20240329T090000';
+    const options = parseRRule(text);
+    assert.equal(options.freq, 'MONTHLY');
+    assert.deepEqual(options.byDay, [ 'MO', 'TU', 'WE', 'TH', 'FR' ]);
+    assert.deepEqual(options.bySetPos, [ -1 ]);
+    assert.equal(options.count, 3);
+    assert.equal(options.timeZone, 'Europe/London');
+    assert.equal(options.dtStart.toISOString(), '2024-01-01T09:00:00.000Z');
+    assert.equal(options.exDates[0].toISOString(), '2024-03-29T09:00:00.000Z');
+    assert.equal(formatRRule(options), text);
+    // (an UNTIL date without a time is the end of that day)
+    assert.equal(parseRRule('DTSTART;TZID=UTC:20240101T090000\nRRULE:FREQ=DAILY;UNTIL=20240105').until.toISOString(), '2024-01-05T23:59:59.999Z');
+    assert.equal(parseRRule('FREQ=DAILY;UNTIL=20240105T090000Z').until.toISOString(), '2024-01-05T09:00:00.000Z');
+    assert.equal(formatRRule({ freq: 'WEEKLY', byDay: [ 'MO', 'WE' ], count: 10 }), 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10');
+  });
+
+  test('parseRRule() rejects what it does not support', () => {
+    assert.throws(() => parseRRule('FREQ=DAILY;BYHOUR=9'), /Unsupported part of RRULE: BYHOUR=9/);
+    assert.throws(() => parseRRule('RDATE:20240101'), /Unsupported line/);
+    assert.throws(() => parseRRule('DTSTART:20240101'), /No RRULE found/);
+    assert.throws(() => parseRRule('DTSTART:2024-01-01\nRRULE:FREQ=DAILY'), /Invalid date in RRULE/);
+    assert.throws(() => createRRule('FREQ=HOURLY'), /Unsupported FREQ/);
+    assert.throws(() => createRRule('FREQ=DAILY;INTERVAL=0'), /Invalid INTERVAL/);
+    assert.throws(() => createRRule('FREQ=WEEKLY;BYDAY=XX'), /Invalid BYDAY/);
+  });
+
+  test('daily and weekly rules', () => {
+    assert.deepEqual(ymd(createRRule({ freq: 'DAILY', interval: 2, count: 4, dtStart: new Date('2023-02-25T09:00:00Z'), timeZone: 'UTC' }).all()),
+      [ '2023-02-25', '2023-02-27', '2023-03-01', '2023-03-03' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=4', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-01-06', '2023-01-09', '2023-01-13', '2023-01-16' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=WEEKLY;INTERVAL=2;COUNT=3', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-01-04', '2023-01-18', '2023-02-01' ]);
+  });
+
+  test('weekly rules with BYMONTH but no BYDAY keep to the weekday of DTSTART', () => {
+    const rule = createRRule('FREQ=WEEKLY;BYMONTH=2,3;COUNT=6', { dtStart, timeZone: 'UTC' });
+    assert.deepEqual(ymd(rule.all()), [ '2023-02-01', '2023-02-08', '2023-02-15', '2023-02-22', '2023-03-01', '2023-03-08' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=WEEKLY;BYMONTH=2;BYDAY=TU,TH;COUNT=3', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-02-02', '2023-02-07', '2023-02-09' ]);
+  });
+
+  test('monthly rules, including the last weekday of February', () => {
+    const lastWeekday = createRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', { dtStart, timeZone: 'UTC' });
+    assert.deepEqual(ymd(lastWeekday.all(4)), [ '2023-01-31', '2023-02-28', '2023-03-31', '2023-04-28' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-01-31', '2023-02-28', '2023-03-31' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=MONTHLY;BYMONTHDAY=29,30;COUNT=3', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-01-29', '2023-01-30', '2023-03-29' ]);
+    // months without the start day are skipped
+    assert.deepEqual(ymd(createRRule('FREQ=MONTHLY;COUNT=3', { dtStart: new Date('2023-01-31T09:00:00Z'), timeZone: 'UTC' }).all()),
+      [ '2023-01-31', '2023-03-31', '2023-05-31' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=MONTHLY;BYDAY=1MO,-1FR;COUNT=4', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-01-27', '2023-02-06', '2023-02-24', '2023-03-06' ]);
+  });
+
+  test('yearly rules', () => {
+    assert.deepEqual(ymd(createRRule('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=2', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-11-23', '2024-11-28' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=YEARLY;BYDAY=-1SU;COUNT=2', { dtStart, timeZone: 'UTC' }).all()),
+      [ '2023-12-31', '2024-12-29' ]);
+    assert.deepEqual(ymd(createRRule('FREQ=YEARLY;COUNT=3', { dtStart: new Date('2024-02-29T09:00:00Z'), timeZone: 'UTC' }).all()),
+      [ '2024-02-29', '2028-02-29', '2032-02-29' ]);
+  });
+
+  test('occurrences keep the local time of day, and skip EXDATEs', () => {
+    const rule = createRRule({ freq: 'DAILY', dtStart: new Date('2024-03-30T09:00:00Z'), timeZone: 'Europe/London', count: 3, exDates: [ new Date('2024-03-31T08:00:00Z') ] });
+    assert.deepEqual(rule.all().map(d => d.toISOString()), [ '2024-03-30T09:00:00.000Z', '2024-04-01T08:00:00.000Z' ]);
+  });
+
+  test('between(), next(), iterating and UNTIL', () => {
+    const rule = createRRule('FREQ=WEEKLY', { dtStart, timeZone: 'UTC' });
+    const feb1 = new Date('2023-02-01T09:00:00Z'), feb15 = new Date('2023-02-15T09:00:00Z');
+    assert.deepEqual(ymd(rule.between(feb1, feb15)), [ '2023-02-08' ]);
+    assert.deepEqual(ymd(rule.between(feb1, feb15, { inclusive: true })), [ '2023-02-01', '2023-02-08', '2023-02-15' ]);
+    assert.equal(rule.next(feb1).toISOString(), '2023-02-08T09:00:00.000Z');
+    assert.throws(() => rule.all(), /pass a limit/);
+    const first = [];
+    for (const date of rule) if (first.push(date) === 2) break;
+    assert.deepEqual(ymd(first), [ '2023-01-04', '2023-01-11' ]);
+    const until = createRRule('FREQ=WEEKLY;UNTIL=20230118T090000Z', { dtStart, timeZone: 'UTC' });
+    assert.deepEqual(ymd(until.all()), [ '2023-01-04', '2023-01-11', '2023-01-18' ]);
+    assert.equal(until.next(new Date('2023-01-18T09:00:00Z')), null);
+    assert.equal(rule.toString(), 'DTSTART;TZID=UTC:20230104T090000\nRRULE:FREQ=WEEKLY');
+  });
+});
@@ -0,0 +1,308 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { domDiff, diffPatches, applyPatches, mount } from '../dom.js';
+
+// get a new document, and an element in it made from some HTML
+const setup = (html) => {
+  const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+  const doc = window.document;
+  doc.body.innerHTML = html;
+  return { window, doc, el: doc.body.firstElementChild };
+};
+
+const list = items => `<ul>${items.map(i => `<li data-key="${i}">${i}</li>`).join('')}</ul>`;
+
+describe('keyed diffing', () => {
+  test('moves keyed children instead of rebuilding them', () => {
+    const { el } = setup(list([ 'a', 'b', 'c', 'd' ]));
+    const before = Object.fromEntries([ ...el.children ].map(n => [ n.dataset.key, n ]));
+    assert.equal(domDiff(el, list([ 'd', 'a', 'c', 'b' ])), true);
+    assert.equal(el.outerHTML, list([ 'd', 'a', 'c', 'b' ]));
+    for (const n of el.children) assert.equal(n, before[n.dataset.key]);
+  });
+
+  test('only moves the children which are out of order', () => {
+    const { el } = setup(list([ 'a', 'b', 'c', 'd', 'e' ]));
+    const patches = diffPatches(el, list([ 'b', 'c', 'd', 'e', 'a' ]));
+    assert.deepEqual(patches, [ { op: 'move', path: [], from: 0, to: 5 } ]);
+    assert.deepEqual(diffPatches(el, list([ 'a', 'b', 'c', 'd', 'e' ])), []);
+  });
+
+  test('adds, removes and updates keyed children', () => {
+    const { el } = setup(list([ 'a', 'b', 'c' ]));
+    const [ a, , c ] = el.children;
+    domDiff(el, '<ul><li data-key="c" class="x">C</li><li data-key="new">new</li><li data-key="a">a</li></ul>');
+    assert.equal(el.outerHTML, '<ul><li data-key="c" class="x">C</li><li data-key="new">new</li><li data-key="a">a</li></ul>');
+    assert.equal(el.children[0], c);
+    assert.equal(el.children[2], a);
+  });
+
+  test('uses ids as keys, and matches unkeyed children in order', () => {
+    const { el } = setup('<div><p id="one">1</p><span>x</span><p id="two">2</p><span>y</span></div>');
+    const [ one, x, two ] = el.children;
+    domDiff(el, '<div><p id="two">2</p><span>x!</span><p id="one">1</p></div>');
+    assert.equal(el.outerHTML, '<div><p id="two">2</p><span>x!</span><p id="one">1</p></div>');
+    assert.deepEqual([ ...el.children ], [ two, x, one ]);
+  });
+
+  test('rebuilds children whose tag changed, and handles duplicate keys', () => {
+    const { el } = setup('<div><p data-key="a">a</p><p data-key="a">a2</p></div>');
+    const first = el.children[0];
+    domDiff(el, '<div><p data-key="a">a2</p><section data-key="a">b</section></div>');
+    assert.equal(el.outerHTML, '<div><p data-key="a">a2</p><section data-key="a">b</section></div>');
+    assert.equal(el.children[0], first);
+
+    const replaced = setup('<div><p data-key="x">x</p></div>');
+    domDiff(replaced.el, '<div><h2 data-key="x">x</h2></div>');
+    assert.equal(replaced.el.innerHTML, '<h2 data-key="x">x</h2>');
+  });
+
+  test('keeps the focus and text selection of a moved input', () => {
+    const { el, doc } = setup('<form><input data-key="a" value="hello"><input data-key="b"></form>');
+    const input = el.children[0];
+    input.focus();
+    input.setSelectionRange(1, 3);
+    domDiff(el, '<form><input data-key="b"><input data-key="a" value="hello"></form>');
+    assert.equal(doc.activeElement, input);
+    assert.deepEqual([ input.selectionStart, input.selectionEnd ], [ 1, 3 ]);
+  });
+
+  test('leaves elements with data-diff-ignore alone, and diffs SVG', () => {
+    const { el } = setup('<div><div data-diff-ignore><canvas></canvas></div><svg><circle r="1"></circle></svg></div>');
+    domDiff(el, '<div><div data-diff-ignore></div><svg><circle r="2"></circle><rect></rect></svg></div>');
+    assert.equal(el.querySelector('canvas') !== null, true);
+    assert.equal(el.querySelector('circle').getAttribute('r'), '2');
+    assert.equal(el.querySelector('rect').namespaceURI, 'http://www.w3.org/2000/svg');
+  });
+
+  test('patches text, comments and attributes', () => {
+    const { el } = setup('<p class="a" title="t">hi<!-- x --></p>');
+    assert.deepEqual(diffPatches(el, '<p class="b">bye<!-- y --></p>'), [
+      { op: 'removeAttr', path: [], name: 'title' },
+      { op: 'setAttr', path: [], name: 'class', value: 'b' },
+      { op: 'setText', path: [ 0 ], text: 'bye' },
+      { op: 'setText', path: [ 1 ], text: ' y ' },
+    ]);
+    assert.throws(() => diffPatches(el, '  '), /The target HTML is empty/);
+  });
+});
+
+describe('form state', () => {
+  // type into an input, like a user would (which changes its value, but not its markup)
+  const type = (input, text) => {
+    input.value = text;
+    input.dispatchEvent(new input.ownerDocument.defaultView.Event('input', { bubbles: true }));
+  };
+
+  test('keeps what the user typed when the markup is the same as before', () => {
+    const { el } = setup('<form><input name="q" value="a"><textarea>notes</textarea><p>0</p></form>');
+    const [ input, textarea ] = el.children;
+    type(input, 'abc');
+    type(textarea, 'my notes');
+    domDiff(el, '<form><input name="q" value="a"><textarea>notes</textarea><p>1</p></form>');
+    assert.equal(input.value, 'abc');
+    assert.equal(textarea.value, 'my notes');
+    assert.equal(el.querySelector('p').textContent, '1');
+  });
+
+  test('sets the value when the markup changes', () => {
+    const { el } = setup('<form><input value="a"><textarea>notes</textarea></form>');
+    const [ input, textarea ] = el.children;
+    type(input, 'abc');
+    type(textarea, 'my notes');
+    domDiff(el, '<form><input value="reset"><textarea></textarea></form>');
+    assert.equal(input.value, 'reset');
+    assert.equal(textarea.value, '');
+    // (and not when the live value is already the same)
+    type(input, 'same');
+    assert.deepEqual(diffPatches(input, '<input value="same">'), [ { op: 'setAttr', path: [], name: 'value', value: 'same' } ]);
+  });
+
+  test('keeps checkboxes and options the user picked, unless the markup changes', () => {
+    const { el } = setup('<form><input type="checkbox"><select><option>a</option><option selected>b</option><option>c</option></select></form>');
+    const [ checkbox, select ] = el.children;
+    checkbox.checked = true;
+    select.value = 'c';
+    domDiff(el, '<form><input type="checkbox"><select><option>a</option><option selected>b</option><option>c</option></select><p></p></form>');
+    assert.equal(checkbox.checked, true);
+    assert.equal(select.value, 'c');
+
+    domDiff(el, '<form><input type="checkbox"><select><option selected>a</option><option>b</option><option>c</option></select></form>');
+    assert.equal(select.value, 'a');
+    checkbox.checked = false;
+    domDiff(el, '<form><input type="checkbox" checked><select><option selected>a</option><option>b</option><option>c</option></select></form>');
+    assert.equal(checkbox.checked, true);
+  });
+
+  test('keeps the value of the focused input when its parent re-renders', () => {
+    const { el, doc } = setup('<div><label>Name <input data-key="name" value=""></label><span>0 chars</span></div>');
+    const input = el.querySelector('input');
+    input.focus();
+    type(input, 'Ada');
+    input.setSelectionRange(3, 3);
+    domDiff(el, '<div><label>Name <input data-key="name" value=""></label><span>3 chars</span></div>');
+    assert.equal(input.value, 'Ada');
+    assert.equal(doc.activeElement, input);
+    assert.equal(input.selectionStart, 3);
+  });
+});
+
+describe('diffPatches and applyPatches', () => {
+  test('patches are plain objects, which can be applied to a copy of the node', () => {
+    const { el } = setup(list([ 'a', 'b', 'c' ]));
+    const target = '<ul class="done"><li data-key="c">C</li><li data-key="a">a</li><li>new</li></ul>';
+    const patches = JSON.parse(JSON.stringify(diffPatches(el, target)));
+    const copy = setup(el.outerHTML).el;
+    assert.deepEqual(applyPatches(copy, patches), []);
+    assert.equal(copy.outerHTML, target);
+    // the original isn't changed
+    assert.equal(el.outerHTML, list([ 'a', 'b', 'c' ]));
+  });
+
+  test('calls the hooks, which can skip patches', () => {
+    const { el } = setup('<ul><li data-key="a">a</li><li data-key="b">b</li><li data-key="c">c</li></ul>');
+    const removed = [], added = [], updated = [];
+    const errors = applyPatches(el, diffPatches(el, '<ul><li data-key="a">A</li><li data-key="c">c</li><li data-key="d">d</li></ul>'), {
+      onBeforeUpdate: (node, patch) => { updated.push(patch.op); },
+      // keep the removed node, to animate it out
+      onBeforeRemove: (node) => { removed.push(node.textContent); return false; },
+      onAdded: (node) => added.push(node.textContent),
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(removed, [ 'b' ]);
+    assert.deepEqual(added, [ 'd' ]);
+    assert.deepEqual(updated, [ 'setText' ]);
+    // (the kept node is still there, but ignored when finding the others)
+    assert.equal(el.outerHTML, '<ul><li data-key="a">A</li><li data-key="b">b</li><li data-key="c">c</li><li data-key="d">d</li></ul>');
+
+    const skipped = setup('<p class="a">x</p>').el;
+    applyPatches(skipped, diffPatches(skipped, '<p class="b">y</p>'), { onBeforeUpdate: () => false });
+    assert.equal(skipped.outerHTML, '<p class="a">x</p>');
+  });
+
+  test('returns the patches which failed, and carries on', () => {
+    const { el } = setup('<div><p>a</p></div>');
+    const seen = [];
+    const errors = applyPatches(el, [
+      { op: 'setText', path: [ 5 ], text: 'x' },
+      { op: 'explode', path: [] },
+      { op: 'move', path: [], from: 3, to: 0 },
+      { op: 'setAttr', path: [ 0 ], name: 'class', value: 'ok' },
+    ], { onError: (error, patch) => seen.push(patch.op) });
+    assert.deepEqual(errors.map(e => e.error.message), [ 'No node at path [5]', 'Unknown patch: explode', 'No node to move at index 3' ]);
+    assert.deepEqual(seen, [ 'setText', 'explode', 'move' ]);
+    assert.equal(el.innerHTML, '<p class="ok">a</p>');
+  });
+
+  test('replaces the root, if it has a parent', () => {
+    const { el, doc } = setup('<p>a</p>');
+    applyPatches(el, diffPatches(el, '<h1>b</h1>'));
+    assert.equal(doc.body.innerHTML, '<h1>b</h1>');
+
+    const detached = doc.createElement('p');
+    const [ { error } ] = applyPatches(detached, diffPatches(detached, '<h1>b</h1>'));
+    assert.match(error.message, /has no parent/);
+  });
+
+  test('domDiff() falls back to innerHTML if a patch fails', () => {
+    const { el } = setup('<div><p>a</p></div>');
+    const errors = [];
+    const failing = { onBeforeUpdate: () => { throw new Error('protected'); }, onError: error => errors.push(error.message) };
+    assert.equal(domDiff(el, '<div><p>b</p></div>', failing), true);
+    assert.equal(el.innerHTML, '<p>b</p>');
+    assert.deepEqual(errors, [ 'protected' ]);
+    assert.equal(domDiff(el, '<div><p>c</p></div>', { ...failing, fallback: false }), false);
+    assert.equal(el.innerHTML, '<p>b</p>');
+  });
+});
+
+describe('mount', () => {
+  // wait for a batched render (there's no requestAnimationFrame in jsdom, so it's a timer)
+  const nextFrame = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  const counter = (el, options) => {
+    let renders = 0;
+    const view = ({ count }) => {
+      renders++;
+      return `<button data-on-click="add">+1</button> <span>${count}</span>`;
+    };
+    const app = mount(el, view, { count: 0, name: 'x' }, {
+      handlers: { add: (event, { setState }) => setState(state => ({ count: state.count + 1 })) },
+      ...options,
+    });
+    return { app, renders: () => renders };
+  };
+
+  test('renders the view, and re-renders once per frame when the state changes', async () => {
+    const { el } = setup('<div></div>');
+    const { app, renders } = counter(el);
+    assert.equal(el.querySelector('span').textContent, '0');
+    const button = el.querySelector('button');
+    app.setState({ count: 5 });
+    app.setState(state => ({ count: state.count * 2 }));
+    assert.equal(el.querySelector('span').textContent, '0');
+    await nextFrame();
+    assert.equal(el.querySelector('span').textContent, '10');
+    assert.equal(renders(), 2);
+    assert.deepEqual(app.getState(), { count: 10, name: 'x' });
+    // (the button is kept, not rebuilt)
+    assert.equal(el.querySelector('button'), button);
+  });
+
+  test('delegates events to the named handlers', async () => {
+    const { el } = setup('<div></div>');
+    const { app } = counter(el);
+    el.querySelector('button').click();
+    el.querySelector('button').click();
+    await nextFrame();
+    assert.equal(el.querySelector('span').textContent, '2');
+    app.render();
+    assert.equal(el.querySelector('span').textContent, '2');
+  });
+
+  test('calls handlers for events which do not bubble, with the element', () => {
+    const { el, window } = setup('<div></div>');
+    const calls = [];
+    mount(el, () => '<input data-on-focus="focused" data-key="a"><p data-on-click="clicked"><b>x</b></p>', null, {
+      handlers: {
+        focused: (event, { el: input }) => calls.push([ event.type, input.tagName ]),
+        clicked: (event, { el: p, getState }) => calls.push([ event.type, p.tagName, getState() ]),
+      },
+    });
+    el.querySelector('input').dispatchEvent(new window.FocusEvent('focus'));
+    el.querySelector('b').click();
+    assert.deepEqual(calls, [ [ 'focus', 'INPUT' ], [ 'click', 'P', null ] ]);
+  });
+
+  test('keeps what the user typed when something else changes', async () => {
+    const { el } = setup('<div></div>');
+    const app = mount(el, ({ saved }) => `<input value="${saved}"><p>${saved || 'nothing'} saved</p>`, { saved: '' });
+    const input = el.querySelector('input');
+    input.value = 'typing...';
+    app.setState({ other: 1 });
+    await nextFrame();
+    assert.equal(input.value, 'typing...');
+    // until the view gives it a new value
+    app.setState({ saved: 'done' });
+    await nextFrame();
+    assert.equal(input.value, 'done');
+    assert.equal(el.querySelector('p').textContent, 'done saved');
+  });
+
+  test('replaces state which is not a plain object, and stops after destroy()', async () => {
+    const { el } = setup('<div></div>');
+    let renders = 0;
+    const app = mount(el, items => { renders++; return `<ul>${items.map(i => `<li>${i}</li>`).join('')}</ul>`; }, [ 'a' ]);
+    app.setState([ 'a', 'b' ]);
+    await nextFrame();
+    assert.equal(el.querySelectorAll('li').length, 2);
+    app.setState([ 'c' ]);
+    app.destroy();
+    await nextFrame();
+    app.setState([ 'd' ]);
+    app.render();
+    assert.equal(el.textContent, 'ab');
+    assert.equal(renders, 2);
+  });
+});
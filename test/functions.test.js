@@ -0,0 +1,384 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setFlagsFromString } from 'node:v8';
+import { runInNewContext } from 'node:vm';
+import {
+  createWorkerPool, executeAsWorker, memo, debounce, throttle, rafThrottle, createFakeClock,
+  sleep, retry, withTimeout, mapConcurrent, circuitBreaker,
+} from '../functions.js';
+
+describe('createWorkerPool', () => {
+  test('runs functions in workers, with their arguments', async () => {
+    const pool = createWorkerPool({ size: 2 });
+    try {
+      assert.equal(await pool.run((a, b) => a + b, [ 2, 3 ]), 5);
+      assert.equal(await pool.run(async n => n * 2, [ 21 ]), 42);
+      const results = await Promise.all([ 1, 2, 3, 4, 5 ].map(n => pool.run(x => x * x, [ n ])));
+      assert.deepEqual(results, [ 1, 4, 9, 16, 25 ]);
+      assert.ok(pool.size <= 2);
+    } finally {
+      pool.terminate();
+    }
+  });
+
+  test('rejects with the error thrown in the worker', async () => {
+    const pool = createWorkerPool({ size: 1 });
+    try {
+      await assert.rejects(pool.run(() => { throw new TypeError('bad input'); }), { name: 'TypeError', message: 'bad input' });
+      // the worker can still be used afterwards
+      assert.equal(await pool.run(() => 'ok'), 'ok');
+    } finally {
+      pool.terminate();
+    }
+  });
+
+  test('times out tasks, and replaces their worker', async () => {
+    const pool = createWorkerPool({ size: 1, timeout: 100 });
+    try {
+      await assert.rejects(pool.run(() => { for (;;) {} }), { name: 'TimeoutError' });
+      assert.equal(await pool.run(() => 'next', [], { timeout: 0 }), 'next');
+    } finally {
+      pool.terminate();
+    }
+  });
+
+  test('cancels tasks with an AbortSignal', async () => {
+    const pool = createWorkerPool({ size: 1 });
+    try {
+      const controller = new AbortController();
+      const task = pool.run(() => new Promise(() => {}), [], { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      await assert.rejects(task, { name: 'AbortError' });
+
+      const aborted = new AbortController();
+      aborted.abort();
+      await assert.rejects(pool.run(() => 1, [], { signal: aborted.signal }), { name: 'AbortError' });
+    } finally {
+      pool.terminate();
+    }
+  });
+
+  test('terminate() rejects running and queued tasks', async () => {
+    const pool = createWorkerPool({ size: 1 });
+    const running = pool.run(() => new Promise(() => {}));
+    const queued = pool.run(() => 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(pool.pending, 1);
+    pool.terminate();
+    await assert.rejects(running, { name: 'AbortError' });
+    await assert.rejects(queued, { name: 'AbortError' });
+    await assert.rejects(pool.run(() => 1), /terminated/);
+  });
+
+  test('executeAsWorker() uses a shared pool', async () => {
+    assert.equal(await executeAsWorker((arr, k) => arr.map(v => v * k), [ 1, 2 ], 3).then(r => r.join()), '3,6');
+  });
+});
+
+describe('memo', () => {
+  const counted = (fn) => {
+    const wrapped = (...args) => { wrapped.calls++; return fn(...args); };
+    wrapped.calls = 0;
+    return wrapped;
+  };
+
+  test('caches primitives by value, and objects and symbols by identity', () => {
+    const fn = counted((...args) => args.length);
+    const m = memo(fn);
+    const obj = { a: 1 }, sym = Symbol('s');
+    m(1, 'a'); m(1, 'a'); m('1', 'a');
+    m(obj); m(obj); m({ a: 1 });
+    m(sym); m(sym); m(Symbol('s'));
+    m(Symbol.for('shared')); m(Symbol.for('shared'));
+    assert.equal(fn.calls, 7);
+    assert.deepEqual(m.cache.stats(), { hits: 4, misses: 7, evictions: 0, size: 7 });
+  });
+
+  test('evicts the least recently used results', () => {
+    const fn = counted(n => n * 2);
+    const m = memo(fn, { max: 2 });
+    m(1); m(2); m(1); m(3);
+    assert.equal(m.cache.has(1), true);
+    assert.equal(m.cache.has(2), false);
+    assert.equal(m.cache.stats().evictions, 1);
+  });
+
+  test('expires results after the ttl', () => {
+    let time = 0;
+    const fn = counted(n => n);
+    const m = memo(fn, { ttl: 100, now: () => time });
+    m(1); time = 99; m(1);
+    assert.equal(fn.calls, 1);
+    time = 100; m(1);
+    assert.equal(fn.calls, 2);
+  });
+
+  test('uses a custom resolver, and can delete and clear results', () => {
+    const fn = counted(feature => feature.name);
+    const m = memo(fn, { resolver: ([ feature ]) => feature.id });
+    m({ id: 1, name: 'a' });
+    assert.equal(m({ id: 1, name: 'b' }), 'a');
+    m.cache.delete({ id: 1 });
+    assert.equal(m({ id: 1, name: 'b' }), 'b');
+    m.cache.clear();
+    assert.equal(m.cache.stats().size, 0);
+  });
+
+  test('shares pending promises, and forgets rejected ones', async () => {
+    let fail = true;
+    const fn = counted(async n => {
+      if (fail) throw new Error('nope');
+      return n;
+    });
+    const m = memo(fn);
+    assert.equal(m(1), m(1));
+    await assert.rejects(m(1), /nope/);
+    assert.equal(m.cache.has(1), false);
+    fail = false;
+    assert.equal(await m(1), 1);
+    assert.equal(fn.calls, 2);
+  });
+
+  test('keeps object arguments apart by identity and position', () => {
+    const fn = counted((...args) => args.length);
+    const m = memo(fn);
+    const a = {}, b = {};
+    m(a, b); m(b, a); m(a, 1); m(1, a); m(a); m(a, undefined);
+    m(a, b); m(1, a);
+    assert.equal(fn.calls, 6);
+    assert.equal(m.cache.delete(a, b), true);
+    assert.equal(m.cache.has(a, b), false);
+    assert.equal(m.cache.has(b, a), true);
+    assert.equal(m.cache.stats().size, 5);
+  });
+
+  test('lets results go once their object arguments are garbage collected', async () => {
+    setFlagsFromString('--expose-gc');
+    const gc = runInNewContext('gc');
+    const m = memo(obj => ({ copy: { ...obj } }));
+    const cacheFor = () => {
+      const arg = { big: 'x'.repeat(1000) };
+      return new WeakRef(m(arg));
+    };
+    const result = cacheFor();
+    assert.equal(m.cache.stats().size, 1);
+    await new Promise(resolve => setImmediate(resolve));
+    gc();
+    assert.equal(result.deref(), undefined);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(m.cache.stats().size, 0);
+  });
+});
+
+describe('debounce, throttle and rafThrottle', () => {
+  const recorder = () => {
+    const calls = [];
+    const fn = (...args) => { calls.push(args); return args[0]; };
+    return { calls, fn };
+  };
+
+  test('debounce() calls once the calls stop, with the last arguments', () => {
+    const clock = createFakeClock();
+    const { calls, fn } = recorder();
+    const d = debounce(fn, 100, { clock });
+    d(1); clock.tick(50); d(2); clock.tick(99);
+    assert.deepEqual(calls, []);
+    assert.equal(d.pending(), true);
+    clock.tick(1);
+    assert.deepEqual(calls, [ [ 2 ] ]);
+    assert.equal(d.pending(), false);
+  });
+
+  test('debounce() can call on the leading edge, and at least every maxWait ms', () => {
+    const clock = createFakeClock();
+    const { calls, fn } = recorder();
+    const d = debounce(fn, 100, { leading: true, maxWait: 250, clock });
+    for (let i = 1; i <= 10; i++) {
+      d(i);
+      clock.tick(50);
+    }
+    clock.tick(100);
+    assert.deepEqual(calls.map(([ n ]) => n), [ 1, 5, 10 ]);
+  });
+
+  test('debounce() can be cancelled and flushed', () => {
+    const clock = createFakeClock();
+    const { calls, fn } = recorder();
+    const d = debounce(fn, 100, { clock });
+    d(1); d.cancel(); clock.tick(200);
+    assert.deepEqual(calls, []);
+    d(2);
+    assert.equal(d.flush(), 2);
+    assert.deepEqual(calls, [ [ 2 ] ]);
+    assert.equal(clock.pending(), 0);
+  });
+
+  test('throttle() calls at most once every wait ms', () => {
+    const clock = createFakeClock();
+    const { calls, fn } = recorder();
+    const t = throttle(fn, 100, { clock });
+    for (let i = 1; i <= 7; i++) {
+      t(i);
+      clock.tick(40);
+    }
+    clock.tick(100);
+    assert.deepEqual(calls.map(([ n ]) => n), [ 1, 3, 6, 7 ]);
+  });
+
+  test('rafThrottle() calls once per frame, with the latest arguments', () => {
+    const clock = createFakeClock();
+    const { calls, fn } = recorder();
+    const r = rafThrottle(fn, { clock });
+    r(1); r(2); r(3);
+    assert.equal(r.pending(), true);
+    clock.tick(16);
+    r(4); r.cancel(); clock.tick(16);
+    r(5);
+    assert.equal(r.flush(), 5);
+    assert.deepEqual(calls, [ [ 3 ], [ 5 ] ]);
+  });
+});
+
+describe('createFakeClock', () => {
+  test('runs timers in order, as time moves', () => {
+    const clock = createFakeClock(1000);
+    const order = [];
+    clock.setTimeout(() => order.push('b'), 20);
+    clock.setTimeout(() => order.push('a'), 10);
+    const id = clock.setTimeout(() => order.push('never'), 15);
+    clock.clearTimeout(id);
+    clock.tick(15);
+    assert.deepEqual(order, [ 'a' ]);
+    assert.equal(clock.now(), 1015);
+    clock.tick(5);
+    assert.deepEqual(order, [ 'a', 'b' ]);
+    assert.equal(clock.pending(), 0);
+  });
+});
+
+describe('async control flow', () => {
+  test('sleep() waits, and rejects when aborted', async () => {
+    const clock = createFakeClock();
+    let done = false;
+    const p = sleep(100, { clock }).then(() => { done = true; });
+    await clock.tickAsync(99);
+    assert.equal(done, false);
+    await clock.tickAsync(1);
+    await p;
+    assert.equal(done, true);
+
+    const controller = new AbortController();
+    const aborted = sleep(100, { clock, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+  });
+
+  test('retry() retries with backoff, until it succeeds', async () => {
+    const clock = createFakeClock();
+    const delays = [];
+    const p = retry((attempt) => {
+      if (attempt < 3) throw new Error(`fail ${attempt}`);
+      return 'ok';
+    }, { delay: 100, clock, onRetry: (err, attempt, ms) => delays.push(ms) });
+    await clock.tickAsync(1000);
+    assert.equal(await p, 'ok');
+    assert.deepEqual(delays, [ 100, 200, 400 ]);
+  });
+
+  test('retry() gives up after `retries`, or when shouldRetry() says so', async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const p = retry(() => { calls++; throw new Error('always'); }, { retries: 2, backoff: 'fixed', clock });
+    const rejected = assert.rejects(p, /always/);
+    await clock.tickAsync(1000);
+    await rejected;
+    assert.equal(calls, 3);
+
+    calls = 0;
+    await assert.rejects(retry(() => { calls++; throw new SyntaxError('bad'); }, { shouldRetry: err => err.name !== 'SyntaxError', clock }), SyntaxError);
+    assert.equal(calls, 1);
+  });
+
+  test('retry() uses linear backoff, maxDelay and jitter', async () => {
+    const clock = createFakeClock();
+    const delays = [];
+    const p = retry((attempt) => {
+      if (attempt < 4) throw new Error('fail');
+    }, { retries: 4, backoff: 'linear', delay: 100, maxDelay: 300, jitter: 'equal', random: () => 0, clock, onRetry: (e, a, ms) => delays.push(ms) });
+    await clock.tickAsync(1000);
+    await p;
+    assert.deepEqual(delays, [ 50, 100, 150, 150 ]);
+  });
+
+  test('withTimeout() rejects slow tasks, and aborts their signal', async () => {
+    const clock = createFakeClock();
+    assert.equal(await withTimeout(Promise.resolve(1), 100, { clock }), 1);
+
+    let signal;
+    const p = withTimeout((s) => { signal = s; return new Promise(() => {}); }, 100, { clock });
+    const rejected = assert.rejects(p, { name: 'TimeoutError' });
+    clock.tick(100);
+    await rejected;
+    assert.equal(signal.aborted, true);
+  });
+
+  test('mapConcurrent() keeps to the limit, and keeps the order', async () => {
+    let running = 0, most = 0;
+    const results = await mapConcurrent([ 30, 10, 20, 5, 15 ], async (ms, i) => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return i;
+    }, 2);
+    assert.deepEqual(results, [ 0, 1, 2, 3, 4 ]);
+    assert.equal(most, 2);
+    assert.deepEqual(await mapConcurrent([], x => x, 2), []);
+  });
+
+  test('mapConcurrent() stops after a failure, and aborts the running calls', async () => {
+    const started = [];
+    let signal;
+    const p = mapConcurrent([ 1, 2, 3, 4 ], async (n, i, options) => {
+      started.push(n);
+      if (n === 1) {
+        signal = options.signal;
+        return new Promise(() => {});
+      }
+      throw new Error(`failed ${n}`);
+    }, 2);
+    await assert.rejects(p, /failed 2/);
+    assert.deepEqual(started, [ 1, 2 ]);
+    assert.equal(signal.aborted, true);
+  });
+
+  test('mapConcurrent() rejects a limit of less than 1', async () => {
+    for (const limit of [ 0, -1, NaN ]) {
+      await assert.rejects(mapConcurrent([ 1, 2 ], x => x, limit), /Invalid concurrency limit/);
+    }
+  });
+
+  test('circuitBreaker() opens after `threshold` failures, then lets a trial call through', async () => {
+    const clock = createFakeClock();
+    let fail = true;
+    const fn = circuitBreaker(async () => {
+      if (fail) throw new Error('down');
+      return 'up';
+    }, { threshold: 2, resetTimeout: 1000, clock });
+
+    await assert.rejects(fn(), /down/);
+    await assert.rejects(fn(), /down/);
+    assert.equal(fn.state(), 'open');
+    await assert.rejects(fn(), { name: 'CircuitOpenError' });
+
+    clock.tick(1000);
+    assert.equal(fn.state(), 'half-open');
+    await assert.rejects(fn(), /down/);
+    assert.equal(fn.state(), 'open');
+
+    clock.tick(1000);
+    fail = false;
+    assert.equal(await fn(), 'up');
+    assert.equal(fn.state(), 'closed');
+  });
+});
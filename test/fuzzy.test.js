@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { levenshtein, damerauLevenshtein, jaroWinkler, ngramSimilarity, fuzzyIndex, fuzzySearch } from '../fuzzy.js';
+
+describe('string distances', () => {
+  test('levenshtein()', () => {
+    assert.equal(levenshtein('kitten', 'sitting'), 3);
+    assert.equal(levenshtein('', 'abc'), 3);
+    assert.equal(levenshtein('same', 'same'), 0);
+  });
+
+  test('damerauLevenshtein() counts swapped letters as one edit', () => {
+    assert.equal(levenshtein('Gloucester', 'Glouecster'), 2);
+    assert.equal(damerauLevenshtein('Gloucester', 'Glouecster'), 1);
+  });
+
+  test('jaroWinkler() favours strings that start the same way', () => {
+    assert.equal(jaroWinkler('Dixon', 'Dixon'), 1);
+    assert.ok(Math.abs(jaroWinkler('Dixon', 'Dicksonx') - 0.813) < 0.01);
+    assert.ok(jaroWinkler('martha', 'marhta') > jaroWinkler('martha', 'amrtha'));
+    assert.equal(jaroWinkler('abc', 'xyz'), 0);
+  });
+
+  test('ngramSimilarity() ignores the order of words', () => {
+    assert.ok(ngramSimilarity('New York', 'York New') > 0.8);
+    assert.equal(ngramSimilarity('abc', 'abc'), 1);
+    assert.equal(ngramSimilarity('ab', 'cd'), 0);
+  });
+});
+
+describe('fuzzySearch and fuzzyIndex', () => {
+  const places = [
+    { name: 'Edinburgh', county: 'Midlothian' },
+    { name: 'Aberdeen', county: 'Aberdeenshire' },
+    { name: 'St Andrews', county: 'Fife' },
+    { name: 'Zürich', county: 'Zürich' },
+  ];
+
+  test('finds items despite typos, best first', () => {
+    const results = fuzzySearch(places, 'edinbrugh', { keys: [ 'name' ] });
+    assert.equal(results[0].item.name, 'Edinburgh');
+    assert.deepEqual(fuzzySearch([ 'Aberdeen', 'Aberystwyth', 'Abingdon' ], 'abrdeen').map(r => r.item), [ 'Aberdeen' ]);
+  });
+
+  test('matches partial words, ignoring case and accents', () => {
+    assert.equal(fuzzySearch(places, 'st and', { keys: [ 'name' ] })[0].item.name, 'St Andrews');
+    assert.equal(fuzzySearch(places, 'ZURICH', { keys: [ 'name' ] })[0].item.name, 'Zürich');
+  });
+
+  test('weights keys, and respects the threshold and limit', () => {
+    const index = fuzzyIndex(places, { keys: [ 'name', { name: 'county', weight: 0.5 } ] });
+    const [ fife ] = index.search('fife', { threshold: 0 });
+    assert.equal(fife.item.name, 'St Andrews');
+    assert.equal(fife.score, 0.5);
+    assert.equal(index.search('fife').length, 0);
+    assert.equal(index.search('a', { threshold: 0, limit: 2 }).length, 2);
+    assert.deepEqual(index.search('  '), []);
+  });
+
+  test('gives the ranges of the matched text', () => {
+    const [ { matches } ] = fuzzySearch(places, 'st andr', { keys: [ 'name' ] });
+    assert.deepEqual(matches[0].indices, [ [ 0, 2 ], [ 3, 7 ] ]);
+  });
+
+  test('highlight ranges are in the original text, when normalizing changes the length', () => {
+    const highlight = (items, query) => fuzzySearch(items, query).flatMap(r => r.matches[0].indices.map(([ start, end ]) => r.matches[0].value.slice(start, end)));
+    assert.deepEqual(highlight([ 'Crème Brûlée' ], 'creme bru'), [ 'Crème', 'Brû' ]);
+    assert.deepEqual(highlight([ 'ﬁle system' ], 'fi'), [ 'ﬁ' ]);
+    // decomposed accents, in the query and in the text
+    assert.deepEqual(highlight([ 'Zürich' ], 'Zu\u{308}r'), [ 'Zür' ]);
+    assert.deepEqual(highlight([ 'Cre\u{300}me' ], 'cre'), [ 'Cre\u{300}' ]);
+  });
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortByProp } from '../geojson.js';
+
+const collection = () => ({
+  type: 'FeatureCollection',
+  features: [ 'Leeds', 'York', 'Hull' ].map((name, i) => ({ type: 'Feature', properties: { name, population: [ 800, 200, 270 ][i], info: { rank: i } } })),
+});
+const names = features => features.map(f => f.properties.name);
+
+test('sortByProp() sorts features in descending order by default', () => {
+  assert.deepEqual(names(sortByProp(collection(), 'population')), [ 'Leeds', 'Hull', 'York' ]);
+  assert.deepEqual(names(sortByProp(collection(), 'name')), [ 'York', 'Leeds', 'Hull' ]);
+  assert.deepEqual(names(sortByProp(collection(), 'population', 'asc')), [ 'York', 'Hull', 'Leeds' ]);
+});
+
+test('sortByProp() takes dot paths and sort specs', () => {
+  assert.deepEqual(names(sortByProp(collection(), 'info.rank', 'asc')), [ 'Leeds', 'York', 'Hull' ]);
+  assert.deepEqual(names(sortByProp(collection(), [ { key: p => p.name.length }, { key: 'name', order: 'desc' } ])), [ 'York', 'Hull', 'Leeds' ]);
+});
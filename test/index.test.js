@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+test('importing the library has no side effects', async () => {
+  const writes = [];
+  globalThis.document = {
+    get cookie() { return 'a=1; b=2'; },
+    set cookie(value) { writes.push(value); },
+  };
+  try {
+    const utils = await import('../index.js');
+    assert.deepEqual(writes, []);
+    assert.deepEqual(Object.keys(utils).sort(), [
+      'arrays', 'cookies', 'dates', 'dom', 'functions', 'fuzzy', 'geo', 'geojson', 'intervals',
+      'numbers', 'objects', 'sorting', 'stats', 'strings', 'timeseries', 'types',
+    ]);
+  } finally {
+    delete globalThis.document;
+  }
+});
+
+test('re-exported functions are the canonical versions', async () => {
+  const { numbers, geo, types, objects, dates, arrays, stats, cookies, dom } = await import('../index.js');
+  assert.equal(geo.rad, numbers.rad);
+  assert.equal(objects.type, types.type);
+  assert.equal(numbers.isEven, types.isEven);
+  assert.equal(dates.isDate, types.isDate);
+  assert.equal(dates.isDateValid, types.isDateValid);
+  assert.equal(stats.shuffleArray, arrays.shuffledArray);
+  assert.equal(dom.clearCookies, cookies.clearCookies);
+});
+
+test('dates.isDateValid takes Dates, date strings and timestamps', async () => {
+  const { dates, types } = await import('../index.js');
+  assert.equal(dates.isDateValid(new Date()), true);
+  assert.equal(dates.isDateValid('2021-01-11'), true);
+  assert.equal(dates.isDateValid(0), true);
+  assert.equal(dates.isDateValid('not a date'), false);
+  assert.equal(dates.isDateValid(new Date('foo')), false);
+});
+
+test('dates.isDate and isDateRange accept Dates', async () => {
+  const { dates, types } = await import('../index.js');
+  assert.equal(types.type(new Date()), 'date');
+  assert.equal(dates.isDate(new Date()), true);
+  assert.equal(dates.isDate(Date.now()), false);
+  assert.equal(dates.isDateRange([ new Date(2021, 0, 1), new Date(2021, 0, 31) ]), true);
+  assert.equal(dates.isDateRange([ new Date(2021, 0, 1), '2021-01-31' ]), false);
+});
+
+test('stats.shuffleArray leaves the given array alone', async () => {
+  const { stats } = await import('../index.js');
+  const arr = Array.from({ length: 50 }, (_, i) => i);
+  const shuffled = stats.shuffleArray(arr);
+  assert.notEqual(shuffled, arr);
+  assert.deepEqual(arr, Array.from({ length: 50 }, (_, i) => i));
+  assert.deepEqual([ ...shuffled ].sort((a, b) => a - b), arr);
+});
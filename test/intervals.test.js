@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  intervalLength, overlaps, contains, intersection, mergeIntervals, unionIntervals, intersectIntervals,
+  subtractIntervals, findGaps, iterateInterval, splitInterval,
+} from '../intervals.js';
+
+// [ 'YYYY-MM-DD', 'YYYY-MM-DD' ] => an interval from midnight to midnight UTC, and back
+const iv = (start, end) => [ new Date(`${start}T00:00:00Z`), new Date(`${end}T00:00:00Z`) ];
+const ymd = intervals => intervals.map(([ start, end ]) => [ start.toISOString().slice(0, 10), end.toISOString().slice(0, 10) ]);
+
+describe('date intervals', () => {
+  test('overlaps(), contains() and intersection() treat the end as not included', () => {
+    assert.equal(intervalLength(iv('2024-01-01', '2024-01-02')), 864e5);
+    assert.equal(overlaps(iv('2024-01-01', '2024-01-10'), iv('2024-01-05', '2024-02-01')), true);
+    assert.equal(overlaps(iv('2024-01-01', '2024-01-02'), iv('2024-01-02', '2024-01-03')), false);
+    assert.equal(contains(iv('2024-01-01', '2024-02-01'), new Date('2024-01-15')), true);
+    assert.equal(contains(iv('2024-01-01', '2024-02-01'), new Date('2024-02-01')), false);
+    assert.equal(contains(iv('2024-01-01', '2024-02-01'), iv('2024-01-10', '2024-02-01')), true);
+    assert.deepEqual(ymd([ intersection(iv('2024-01-01', '2024-01-10'), iv('2024-01-05', '2024-02-01')) ]), [ [ '2024-01-05', '2024-01-10' ] ]);
+    assert.equal(intersection(iv('2024-01-01', '2024-01-02'), iv('2024-01-02', '2024-01-03')), null);
+  });
+
+  test('mergeIntervals() merges overlapping and touching intervals', () => {
+    const intervals = [ iv('2024-02-01', '2024-02-02'), iv('2024-01-03', '2024-01-08'), iv('2024-01-01', '2024-01-05'), iv('2024-01-08', '2024-01-09'), iv('2024-03-01', '2024-03-01') ];
+    assert.deepEqual(ymd(mergeIntervals(intervals)), [ [ '2024-01-01', '2024-01-09' ], [ '2024-02-01', '2024-02-02' ] ]);
+    // the given intervals aren't changed
+    assert.deepEqual(ymd([ intervals[2] ]), [ [ '2024-01-01', '2024-01-05' ] ]);
+    assert.throws(() => mergeIntervals([ iv('2024-01-02', '2024-01-01') ]), /Invalid interval/);
+    assert.throws(() => mergeIntervals([ [ new Date(), 'tomorrow' ] ]), /Invalid interval/);
+  });
+
+  test('unionIntervals(), intersectIntervals() and subtractIntervals()', () => {
+    const a = [ iv('2024-01-01', '2024-01-10'), iv('2024-01-20', '2024-01-31') ];
+    const b = [ iv('2024-01-05', '2024-01-25') ];
+    assert.deepEqual(ymd(unionIntervals(a, b)), [ [ '2024-01-01', '2024-01-31' ] ]);
+    assert.deepEqual(ymd(intersectIntervals(a, b)), [ [ '2024-01-05', '2024-01-10' ], [ '2024-01-20', '2024-01-25' ] ]);
+    assert.deepEqual(ymd(subtractIntervals(a, b)), [ [ '2024-01-01', '2024-01-05' ], [ '2024-01-25', '2024-01-31' ] ]);
+    assert.deepEqual(ymd(subtractIntervals([ iv('2024-01-01', '2024-01-31') ], [ iv('2024-01-10', '2024-01-20') ])),
+      [ [ '2024-01-01', '2024-01-10' ], [ '2024-01-20', '2024-01-31' ] ]);
+    assert.deepEqual(subtractIntervals(b, [ iv('2024-01-01', '2024-02-01') ]), []);
+  });
+
+  test('findGaps() finds the time not in any interval', () => {
+    const covered = [ iv('2024-01-05', '2024-01-10'), iv('2024-01-15', '2024-01-20') ];
+    assert.deepEqual(ymd(findGaps(covered)), [ [ '2024-01-10', '2024-01-15' ] ]);
+    assert.deepEqual(ymd(findGaps(covered, iv('2024-01-01', '2024-02-01'))),
+      [ [ '2024-01-01', '2024-01-05' ], [ '2024-01-10', '2024-01-15' ], [ '2024-01-20', '2024-02-01' ] ]);
+    assert.deepEqual(findGaps([]), []);
+  });
+
+  test('splitInterval() splits by calendar month, including a non-leap February', () => {
+    assert.deepEqual(ymd(splitInterval(iv('2023-01-15', '2023-04-15'), 'month', { timeZone: 'UTC' })), [
+      [ '2023-01-15', '2023-02-01' ], [ '2023-02-01', '2023-03-01' ], [ '2023-03-01', '2023-04-01' ], [ '2023-04-01', '2023-04-15' ],
+    ]);
+    assert.equal(splitInterval(iv('2023-02-01', '2023-03-01'), 'day', { timeZone: 'UTC' }).length, 28);
+    assert.equal(splitInterval(iv('2024-02-01', '2024-03-01'), 'day', { timeZone: 'UTC' }).length, 29);
+    assert.equal(splitInterval(iv('2023-01-01', '2024-01-01'), 'quarter', { timeZone: 'UTC' }).length, 4);
+  });
+
+  test('iterateInterval() steps by weeks and local days', () => {
+    assert.deepEqual(ymd(splitInterval(iv('2024-01-03', '2024-01-17'), 'week', { timeZone: 'UTC', weekStartsOn: 0 })),
+      [ [ '2024-01-03', '2024-01-07' ], [ '2024-01-07', '2024-01-14' ], [ '2024-01-14', '2024-01-17' ] ]);
+    // the day the clocks go forward in London is 23 hours long
+    const london = [ ...iterateInterval([ new Date('2024-03-30T00:00:00Z'), new Date('2024-04-01T00:00:00Z') ], 'day', { timeZone: 'Europe/London' }) ];
+    assert.deepEqual(london.map(intervalLength), [ 864e5, 23 * 36e5, 36e5 ]);
+    assert.deepEqual(splitInterval(iv('2024-01-01', '2024-01-01'), 'day', { timeZone: 'UTC' }), []);
+  });
+
+  test('iterateInterval() keeps days starting at midnight after a day that starts at 1am', () => {
+    // in Santiago the clocks go forward at midnight, so 8 September 2024 starts at 1am (-03:00)
+    const days = splitInterval([ new Date('2024-09-06T04:00:00Z'), new Date('2024-09-11T03:00:00Z') ], 'day', { timeZone: 'America/Santiago' });
+    assert.deepEqual(days.map(([ start ]) => start.toISOString()), [
+      '2024-09-06T04:00:00.000Z', '2024-09-07T04:00:00.000Z', '2024-09-08T04:00:00.000Z', '2024-09-09T03:00:00.000Z', '2024-09-10T03:00:00.000Z',
+    ]);
+    assert.deepEqual(days.map(intervalLength), [ 864e5, 864e5, 23 * 36e5, 864e5, 864e5 ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapKeys, transformKeys, toCamelKeys, toSnakeKeys, toKebabKeys, toPascalKeys } from '../objects.js';
+import { camelCase, snakeCase } from '../strings.js';
+
+describe('mapKeys, transformKeys and the key presets', () => {
+  test('transformKeys() converts nested objects and objects in arrays', () => {
+    const payload = { feature_id: 1, geo_data: { bbox_min: [ 0, 0 ] }, tag_list: [ { tag_name: 'a' } ] };
+    assert.deepEqual(transformKeys(payload, camelCase), {
+      featureId: 1, geoData: { bboxMin: [ 0, 0 ] }, tagList: [ { tagName: 'a' } ],
+    });
+    assert.deepEqual(transformKeys(payload, camelCase, { deep: false }).geoData, { bbox_min: [ 0, 0 ] });
+  });
+
+  test('transformKeys() supports exclude and preserveArrays', () => {
+    const payload = { '@type': 'x', foo_bar: [ { baz_qux: 1 } ] };
+    const result = transformKeys(payload, camelCase, { exclude: [ /^@/ ], preserveArrays: true });
+    assert.deepEqual(result, { '@type': 'x', fooBar: [ { baz_qux: 1 } ] });
+    assert.equal(result.fooBar, payload.foo_bar);
+  });
+
+  test('leaves Dates and Maps alone, and keeps circular references', () => {
+    const date = new Date(0), map = new Map([ [ 'a_b', 1 ] ]);
+    const obj = { created_at: date, lookup_map: map };
+    obj.self_ref = obj;
+    const result = toCamelKeys(obj);
+    assert.equal(result.createdAt, date);
+    assert.equal(result.lookupMap, map);
+    assert.equal(result.selfRef, result);
+  });
+
+  test('keeps leading and trailing underscores, dashes and dollar signs', () => {
+    assert.deepEqual(Object.keys(toCamelKeys({ _id: 1, __type_name: 2, $ref: 3, last_: 4 })), [ '_id', '__typeName', '$ref', 'last_' ]);
+    assert.deepEqual(Object.keys(toKebabKeys({ fooBar: 1 })), [ 'foo-bar' ]);
+    assert.deepEqual(Object.keys(toPascalKeys({ foo_bar: 1 })), [ 'FooBar' ]);
+  });
+
+  test('toSnakeKeys(toCamelKeys(obj)) gives back the same snake_case keys', () => {
+    const keys = [ 'x_y_z', 'field2_name', 'utf8_text', 'k8s_pod', 'a__b', 'address_line_1', '_id', 'id', '__typename' ];
+    const obj = Object.fromEntries(keys.map((k, i) => [ k, { [k]: i } ]));
+    const camel = toCamelKeys(obj);
+    assert.deepEqual(Object.keys(camel), [ 'xYZ', 'field2Name', 'utf8Text', 'k8sPod', 'a__b', 'addressLine_1', '_id', 'id', '__typename' ]);
+    assert.deepEqual(toSnakeKeys(camel), obj);
+  });
+
+  test('the presets use camelCase() and snakeCase() from strings.js', () => {
+    for (const key of [ 'x_y_z', 'field2_name', 'k8s_pod', 'a__b', 'address_line_1', 'kebab-key' ]) {
+      assert.deepEqual(Object.keys(toCamelKeys({ [key]: 1 })), [ camelCase(key) ]);
+    }
+    assert.equal(snakeCase(camelCase('field2_name')), 'field2_name');
+    assert.equal(camelCase('Hello World'), 'helloWorld');
+    assert.equal(snakeCase('Hello World'), 'hello_world');
+    assert.equal(snakeCase('HELLO_WORLD'), 'hello_world');
+    assert.equal(snakeCase('Hello_World'), 'hello_world');
+  });
+
+  test('toSnakeKeys() converts camelCase and PascalCase keys', () => {
+    assert.deepEqual(toSnakeKeys({ featureId: 1, GeoData: 2, userID: 3 }), { feature_id: 1, geo_data: 2, user_i_d: 3 });
+  });
+
+  test('throws if two keys would become the same key', () => {
+    assert.throws(() => toCamelKeys({ a_b: 1, aB: 2 }), /"a_b" and "aB" both become "aB"/);
+    assert.throws(() => toSnakeKeys({ nested: [ { fooBar: 1, foo_bar: 2 } ] }), /both become "foo_bar"/);
+    assert.deepEqual(toCamelKeys({ a_b: 1, aB: 2 }, { collisions: 'overwrite' }), { aB: 2 });
+    assert.deepEqual(mapKeys({ a: 1, b: 2 }, () => 'c'), { c: 2 });
+  });
+
+  test('mapKeys() does not let a "__proto__" key set the prototype', () => {
+    const result = mapKeys({ proto: { polluted: true } }, () => '__proto__');
+    assert.equal(Object.getPrototypeOf(result), Object.prototype);
+    assert.deepEqual(result.__proto__, { polluted: true });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ascending, descending, compareValues, sortBy, sortOrder, topK, bottomK, nthElement, bisectLeft, bisectRight, SortedArray,
+  collator, localeSort, stringsIntl,
+} from '../sorting.js';
+
+describe('compareValues and sortBy', () => {
+  test('ascending() groups values by type, with missing values last', () => {
+    const date = new Date('2024-01-01');
+    const values = [ 'b', null, true, 10, date, NaN, 'a', 2, undefined, new Date('foo'), false ];
+    assert.deepEqual(values.sort(ascending).slice(0, 7), [ 2, 10, 'a', 'b', date, false, true ]);
+    assert.deepEqual([ 3, null, 1 ].sort(descending), [ 3, 1, null ]);
+  });
+
+  test('compareValues() supports order, nulls, natural and locale', () => {
+    assert.equal(compareValues('Zone 10', 'Zone 2'), -1);
+    assert.equal(compareValues('Zone 10', 'Zone 2', { natural: true }), 1);
+    assert.deepEqual([ 3, null, 1 ].sort((a, b) => compareValues(a, b, { order: 'desc', nulls: 'first' })), [ null, 3, 1 ]);
+    assert.deepEqual([ 'b', 'a', 'B' ].sort((a, b) => compareValues(a, b)), [ 'B', 'a', 'b' ]);
+    assert.deepEqual([ 'b', 'a', 'B' ].sort((a, b) => compareValues(a, b, { locale: 'en' })), [ 'a', 'b', 'B' ]);
+    assert.deepEqual([ 'z', 'ä', 'a' ].sort((a, b) => compareValues(a, b, { locale: 'sv' })), [ 'a', 'z', 'ä' ]);
+    assert.equal(compareValues({}, []), 0);
+  });
+
+  test('sortBy() sorts by dot paths and functions, with more than one key', () => {
+    const rows = [
+      { id: 1, properties: { name: 'Zone 10', date: new Date('2024-01-02') } },
+      { id: 2, properties: { name: 'Zone 2', date: new Date('2024-01-01') } },
+      { id: 3, properties: { name: 'Zone 2', date: new Date('2024-01-03') } },
+      { id: 4, properties: { name: null, date: new Date('2024-01-04') } },
+    ];
+    const ids = compare => [ ...rows ].sort(compare).map(r => r.id);
+    assert.deepEqual(ids(sortBy('properties.date', 'desc')), [ 4, 3, 1, 2 ]);
+    assert.deepEqual(ids(sortBy([
+      { key: 'properties.name', natural: true },
+      { key: r => r.properties.date, order: 'desc' },
+    ])), [ 3, 2, 1, 4 ]);
+    assert.deepEqual(ids(sortBy({ key: 'properties.name', nulls: 'first' })), [ 4, 1, 2, 3 ]);
+    assert.deepEqual(ids(sortBy('id')), [ 1, 2, 3, 4 ]);
+  });
+
+  test('sortOrder() applies sort functions in turn', () => {
+    const rows = [ { a: 1, b: 2 }, { a: 0, b: 2 }, { a: 5, b: 1 } ];
+    assert.deepEqual(rows.sort(sortOrder(sortBy('b'), sortBy('a', 'desc'))), [ { a: 5, b: 1 }, { a: 1, b: 2 }, { a: 0, b: 2 } ]);
+  });
+});
+
+describe('topK, nthElement, bisect and SortedArray', () => {
+  // a list of numbers in a shuffled but repeatable order
+  const shuffled = n => Array.from({ length: n }, (_, i) => (i * 37) % n);
+
+  test('topK() and bottomK() get the first and last items, without changing the array', () => {
+    const arr = [ 5, 1, 9, 3, 7 ];
+    assert.deepEqual(topK(arr, 2), [ 9, 7 ]);
+    assert.deepEqual(bottomK(arr, 2), [ 1, 3 ]);
+    assert.deepEqual(topK(arr, 10), [ 9, 7, 5, 3, 1 ]);
+    assert.deepEqual(topK(arr, 0), []);
+    assert.deepEqual(arr, [ 5, 1, 9, 3, 7 ]);
+    assert.deepEqual(topK(shuffled(1000), 3), [ 999, 998, 997 ]);
+  });
+
+  test('topK() keeps the order of items which sort the same', () => {
+    const rows = [ { id: 'a', n: 1 }, { id: 'b', n: 2 }, { id: 'c', n: 2 }, { id: 'd', n: 2 }, { id: 'e', n: 0 } ];
+    assert.deepEqual(topK(rows, 2, sortBy('n')).map(r => r.id), [ 'b', 'c' ]);
+    assert.deepEqual(bottomK(rows, 3, sortBy('n')).map(r => r.id), [ 'e', 'a', 'b' ]);
+  });
+
+  test('nthElement() gets the item at a sorted index', () => {
+    assert.equal(nthElement([ 5, 1, 9, 3, 7 ], 1), 3);
+    assert.equal(nthElement([ 5, 1, 9, 3, 7 ], -1), 9);
+    assert.equal(nthElement([ 5, 1, 9, 3, 7 ], 5), undefined);
+    assert.equal(nthElement([ 2, 2, 2, 1 ], 2), 2);
+    assert.equal(nthElement(shuffled(1001), 500), 500);
+    assert.equal(nthElement([ 'b', 'c', 'a' ], 0, descending), 'c');
+  });
+
+  test('bisectLeft() and bisectRight() find where to insert a value', () => {
+    assert.equal(bisectLeft([ 1, 2, 2, 3 ], 2), 1);
+    assert.equal(bisectRight([ 1, 2, 2, 3 ], 2), 3);
+    assert.equal(bisectLeft([ 1, 2, 2, 3 ], 0), 0);
+    assert.equal(bisectRight([ 1, 2, 2, 3 ], 4), 4);
+    assert.equal(bisectLeft([ 3, 2, 1 ], 2, descending), 1);
+  });
+
+  test('SortedArray keeps its items sorted', () => {
+    const scores = new SortedArray([ 5, 1, 9 ]);
+    assert.equal(scores.insert(3), 1);
+    assert.deepEqual(scores.toArray(), [ 1, 3, 5, 9 ]);
+    assert.deepEqual(scores.range(2, 6), [ 3, 5 ]);
+    assert.deepEqual(scores.range(3, 9, { inclusive: [ false, true ] }), [ 5, 9 ]);
+    assert.deepEqual(scores.range(undefined, 5, { inclusive: false }), [ 1, 3 ]);
+    assert.deepEqual(scores.range(6, 2), []);
+    assert.equal(scores.count(1, 9), 4);
+    assert.equal(scores.remove(5), true);
+    assert.equal(scores.remove(5), false);
+    assert.equal(scores.has(9), true);
+    assert.equal(scores.at(-1), 9);
+    assert.equal(scores.length, 3);
+    assert.deepEqual([ ...scores ], [ 1, 3, 9 ]);
+  });
+
+  test('SortedArray finds objects by a key', () => {
+    const a = { id: 'a', date: new Date('2024-01-05') }, b = { id: 'b', date: new Date('2024-01-05') }, c = { id: 'c', date: new Date('2024-02-01') };
+    const events = new SortedArray([ c, a ], sortBy('date'));
+    events.insert(b);
+    assert.deepEqual(events.toArray(), [ a, b, c ]);
+    assert.equal(events.indexOf(b), 1);
+    assert.equal(events.indexOf({ date: b.date }), -1);
+    assert.equal(events.has({ date: new Date('2024-01-05') }), true);
+    assert.deepEqual(events.range({ date: new Date('2024-01-01') }, { date: new Date('2024-02-01') }, { inclusive: [ true, false ] }), [ a, b ]);
+    // removes the same item, or else the first which sorts the same
+    assert.equal(events.remove(b), true);
+    assert.deepEqual(events.toArray(), [ a, c ]);
+    assert.equal(events.remove({ date: c.date }), true);
+    assert.deepEqual(events.toArray(), [ a ]);
+  });
+});
+
+describe('collator, localeSort and stringsIntl', () => {
+  test('collator() compares strings using the rules of a locale', () => {
+    assert.deepEqual([ 'item 10', 'item 9' ].sort(collator({ numeric: true })), [ 'item 9', 'item 10' ]);
+    assert.deepEqual([ 'Zoë', 'zoe', 'Zoe' ].sort(collator({ locale: 'en', caseFirst: 'upper' })), [ 'Zoe', 'zoe', 'Zoë' ]);
+    assert.equal(collator({ locale: 'sv', sensitivity: 'base' })('a', 'A'), 0);
+    assert.equal(collator({ locale: 'en' }), collator({ locale: 'en' }));
+    // (invalid locales fall back to the user's locale)
+    assert.equal(typeof collator({ locale: 'not a locale!' }), 'function');
+  });
+
+  test('collator() passes any Intl.Collator options through', () => {
+    assert.deepEqual([ 'Mü', 'Mud' ].sort(collator({ locale: 'de' })), [ 'Mü', 'Mud' ]);
+    assert.deepEqual([ 'Mü', 'Mud' ].sort(collator({ locale: 'de', collation: 'phonebk' })), [ 'Mud', 'Mü' ]);
+    assert.equal(collator({ locale: 'en', usage: 'search', sensitivity: 'base' })('é', 'e'), 0);
+  });
+
+  // (collators are cached by their options, as JSON - so count how often that's made)
+  test('stringsIntl() gets the collator once for each options object', (t) => {
+    const opts = { locale: 'de', collation: 'phonebk' };
+    const stringify = t.mock.method(JSON, 'stringify');
+    const names = [ 'Mü', 'Mud', 'Ma', 'Mz', 'Mö' ];
+    assert.deepEqual(names.sort((a, b) => stringsIntl(a, b, opts)), [ 'Ma', 'Mö', 'Mud', 'Mü', 'Mz' ]);
+    names.reverse().sort((a, b) => stringsIntl(a, b, opts));
+    assert.equal(stringify.mock.callCount(), 1);
+    assert.equal(stringsIntl('a', 'b'), -1);
+  });
+
+  test('sortBy() gets the collator of each key once, not on every comparison', (t) => {
+    const stringify = t.mock.method(JSON, 'stringify');
+    const rows = [ 'Zone 10', 'Zone 2', 'zone 1', 'Zone 3' ].map(name => ({ name }));
+    const compare = sortBy([ { key: 'name', natural: true, locale: 'en' }, { key: 'id', locale: 'en' } ]);
+    assert.deepEqual(rows.sort(compare).map(r => r.name), [ 'zone 1', 'Zone 2', 'Zone 3', 'Zone 10' ]);
+    assert.equal(stringify.mock.callCount(), 2);
+  });
+
+  test('localeSort() sorts by a key, with missing values last', () => {
+    const people = [ { name: 'Östen' }, { name: 'Anna' }, { name: null }, { name: 'Zed' } ];
+    assert.deepEqual(localeSort(people, { key: 'name', locale: 'sv' }).map(p => p.name), [ 'Anna', 'Zed', 'Östen', null ]);
+    assert.deepEqual(localeSort(people, { key: p => p.name, locale: 'de', order: 'desc' }).map(p => p.name), [ 'Zed', 'Östen', 'Anna', null ]);
+    assert.deepEqual(localeSort([ 'b', 'a' ]), [ 'a', 'b' ]);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  stripDiacritics, transliterate, slugify, graphemes, displayWidth, truncate, wordWrap,
+  pluralize, singularize, ordinal, addPluralRule, addSingularRule, addIrregular, addUncountable,
+} from '../strings.js';
+
+describe('slugify, transliterate and stripDiacritics', () => {
+  test('stripDiacritics() removes accents', () => {
+    assert.equal(stripDiacritics('Crème Brûlée'), 'Creme Brulee');
+    assert.equal(stripDiacritics('Ångström Ñandú'), 'Angstrom Nandu');
+  });
+
+  test('transliterate() converts Latin, Cyrillic and Greek letters', () => {
+    assert.equal(transliterate('Straße'), 'Strasse');
+    assert.equal(transliterate('Москва'), 'Moskva');
+    assert.equal(transliterate('ЖУК Жук'), 'ZHUK Zhuk');
+    assert.equal(transliterate('Αθήνα'), 'Athina');
+    assert.equal(transliterate('Łódź'), 'Lodz');
+    assert.equal(transliterate('東京 🚆'), '東京 🚆');
+  });
+
+  test('transliterate() uses language specific spellings', () => {
+    assert.equal(transliterate('Müller'), 'Muller');
+    assert.equal(transliterate('Müller', { locale: 'de' }), 'Mueller');
+    assert.equal(transliterate('Ørsted', { locale: 'da-DK' }), 'Oersted');
+  });
+
+  test('slugify() makes URL friendly slugs', () => {
+    assert.equal(slugify('Crème Brûlée Straße'), 'creme-brulee-strasse');
+    assert.equal(slugify('Zürich Hauptbahnhof 🚆', { locale: 'de' }), 'zuerich-hauptbahnhof');
+    assert.equal(slugify('Αθήνα', { separator: '_' }), 'athina');
+    assert.equal(slugify('Hello, World!', { lowercase: false }), 'Hello-World');
+    assert.equal(slugify('İstanbul', { locale: 'tr' }), 'istanbul');
+    assert.equal(slugify(''), '');
+  });
+
+  test('slugify() cuts long slugs at a word boundary', () => {
+    assert.equal(slugify('Lake District National Park', { maxLength: 15 }), 'lake-district');
+    assert.equal(slugify('Supercalifragilistic', { maxLength: 5 }), 'super');
+  });
+});
+
+describe('graphemes, displayWidth, truncate and wordWrap', () => {
+  test('graphemes() keeps emoji, flags and accented letters whole', () => {
+    assert.deepEqual(graphemes('\u{1f468}\u{200d}\u{1f469}\u{200d}\u{1f467} cafe\u{301}'), [ '\u{1f468}\u{200d}\u{1f469}\u{200d}\u{1f467}', ' ', 'c', 'a', 'f', 'e\u{301}' ]);
+    assert.deepEqual(graphemes('\u{1f1ec}\u{1f1e7}\u{1f44d}\u{1f3fd}'), [ '\u{1f1ec}\u{1f1e7}', '\u{1f44d}\u{1f3fd}' ]);
+    assert.deepEqual(graphemes(''), []);
+  });
+
+  test('graphemes() falls back to a regex without Intl.Segmenter', async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(Intl, 'Segmenter');
+    delete Intl.Segmenter;
+    try {
+      // a fresh copy of the module, which hasn't seen Intl.Segmenter yet
+      const { graphemes } = await import('../strings.js?no-segmenter');
+      assert.equal(Intl.Segmenter, undefined);
+      assert.deepEqual(graphemes('\u{1f468}\u{200d}\u{1f469}\u{200d}\u{1f467} cafe\u{301}'), [ '\u{1f468}\u{200d}\u{1f469}\u{200d}\u{1f467}', ' ', 'c', 'a', 'f', 'e\u{301}' ]);
+      assert.deepEqual(graphemes('\u{1f1ec}\u{1f1e7}\u{1f1eb}\u{1f1f7}\u{1f44d}\u{1f3fd}'), [ '\u{1f1ec}\u{1f1e7}', '\u{1f1eb}\u{1f1f7}', '\u{1f44d}\u{1f3fd}' ]);
+      assert.deepEqual(graphemes('a\r\nb\u{fe0f}'), [ 'a', '\r\n', 'b\u{fe0f}' ]);
+      assert.deepEqual(graphemes(''), []);
+    } finally {
+      Object.defineProperty(Intl, 'Segmenter', descriptor);
+    }
+  });
+
+  test('displayWidth() counts wide characters as two columns', () => {
+    assert.equal(displayWidth('abc'), 3);
+    assert.equal(displayWidth('東京'), 4);
+    assert.equal(displayWidth('\u{1f1ec}\u{1f1e7}'), 2);
+    assert.equal(displayWidth('cafe\u{301}'), 4);
+    assert.equal(displayWidth('a\u{200b}b'), 2);
+  });
+
+  test('truncate() cuts to a number of columns, adding an ellipsis', () => {
+    assert.equal(truncate('Sheffield City Centre', 12), 'Sheffield C…');
+    assert.equal(truncate('Sheffield City Centre', 12, { wordBoundary: true }), 'Sheffield…');
+    assert.equal(truncate('東京都千代田区', 7, { ellipsis: '...' }), '東京...');
+    assert.equal(truncate('short', 10), 'short');
+    assert.equal(truncate('\u{1f44d}\u{1f3fd}\u{1f44d}\u{1f3fd}\u{1f44d}\u{1f3fd}', 5), '\u{1f44d}\u{1f3fd}\u{1f44d}\u{1f3fd}…');
+    assert.equal(truncate('abcdef', 2, { ellipsis: '...' }), '..');
+    assert.equal(truncate('Wait, what?!', 6), 'Wait,…');
+    assert.equal(truncate('Sheffield. City Centre', 14, { wordBoundary: true }), 'Sheffield.…');
+  });
+
+  test('wordWrap() breaks lines at whitespace, and breaks up long words', () => {
+    assert.equal(wordWrap('The quick brown fox jumps over the lazy dog', 15), 'The quick brown\nfox jumps over\nthe lazy dog');
+    assert.equal(wordWrap('abcdefghij', 4), 'abcd\nefgh\nij');
+    assert.equal(wordWrap('abcdefghij', 4, { breakWords: false }), 'abcdefghij');
+    assert.equal(wordWrap('one two\nthree', 20), 'one two\nthree');
+    assert.equal(wordWrap('東京 東京', 4), '東京\n東京');
+  });
+});
+
+describe('pluralize, singularize and ordinal', () => {
+  test('pluralize() handles regular, irregular and uncountable words', () => {
+    const plurals = {
+      feature: 'features', bus: 'buses', box: 'boxes', city: 'cities', day: 'days', knife: 'knives',
+      potato: 'potatoes', cactus: 'cacti', matrix: 'matrices', index: 'indices', analysis: 'analyses',
+      criterion: 'criteria', quiz: 'quizzes', person: 'people', child: 'children', sheep: 'sheep', data: 'data',
+    };
+    for (const [ singular, plural ] of Object.entries(plurals)) {
+      assert.equal(pluralize(singular), plural);
+      assert.equal(singularize(plural), singular);
+    }
+  });
+
+  test('keeps the casing, and only inflects the last word', () => {
+    assert.equal(pluralize('PERSON'), 'PEOPLE');
+    assert.equal(singularize('People'), 'Person');
+    assert.equal(pluralize('selectedFeature'), 'selectedFeatures');
+    assert.equal(pluralize('bus_stop'), 'bus_stops');
+    assert.equal(singularize('Data Points'), 'Data Point');
+    assert.equal(pluralize(''), '');
+  });
+
+  test('pluralize() matches the count', () => {
+    assert.equal(pluralize('Quartile', 1), 'Quartile');
+    assert.equal(pluralize('features', 1), 'feature');
+    assert.equal(pluralize('feature', 0), 'features');
+    assert.equal(pluralize('feature', 3, { inclusive: true }), '3 features');
+    assert.equal(pluralize('PERSON', 1234, { inclusive: true }), '1,234 PEOPLE');
+    assert.equal(pluralize('feature', 1, { inclusive: true, locale: 'fr' }), '1 feature');
+    assert.equal(pluralize('feature', 1.5, { locale: 'fr' }), 'feature');
+  });
+
+  test('custom rules take priority over the built-in ones', () => {
+    addPluralRule(/(vort)ex$/i, '$1ices');
+    addSingularRule(/(vort)ices$/i, '$1ex');
+    addIrregular('octopus', 'octopodes');
+    addUncountable('Pokemon');
+    assert.equal(pluralize('vortex'), 'vortices');
+    assert.equal(singularize('vortices'), 'vortex');
+    assert.equal(pluralize('pokemon'), 'pokemon');
+    assert.equal(pluralize('Octopus'), 'Octopodes');
+    assert.equal(singularize('octopodes'), 'octopus');
+  });
+
+  test('ordinal() uses the plural rules of the locale', () => {
+    assert.deepEqual([ 1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 101, 111, 112 ].map(n => ordinal(n)),
+      [ '1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '23rd', '101st', '111th', '112th' ]);
+    assert.equal(ordinal(1, { locale: 'fr' }), '1er');
+    assert.equal(ordinal(2, { locale: 'fr-CA' }), '2e');
+    assert.equal(ordinal(3, { locale: 'de' }), '3.');
+    assert.equal(ordinal(5, { locale: 'xx' }), '5th');
+    assert.equal(ordinal(1, { suffixes: { other: 'º' } }), '1º');
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregators, resample, rolling } from '../timeseries.js';
+
+const iso = date => date.toISOString();
+
+describe('resample and rolling', () => {
+  test('aggregators skip empty values', () => {
+    const values = [ 3, '5', null, undefined, '', 'x', 1 ];
+    assert.equal(aggregators.count(values), 4);
+    assert.equal(aggregators.sum(values), 9);
+    assert.equal(aggregators.mean(values), 3);
+    assert.equal(aggregators.median(values), 3);
+    assert.equal(aggregators.min(values), 1);
+    assert.equal(aggregators.max(values), 5);
+    assert.equal(aggregators.first([ null, 'a', 'b' ]), 'a');
+    assert.equal(aggregators.last([ 'a', 'b', undefined ]), 'b');
+    for (const name of [ 'mean', 'median', 'mode', 'min', 'max' ]) assert.equal(aggregators[name]([ null, '' ]), null, name);
+  });
+
+  test('min and max work with big buckets', () => {
+    const values = Array.from({ length: 300000 }, (_, i) => (i * 7919) % 300007 - 1000);
+    assert.equal(aggregators.min(values), -1000);
+    assert.equal(aggregators.max(values), 299006);
+    const start = Date.UTC(2024, 0, 1);
+    const rows = values.map((temp, i) => ({ time: start + i * 250, temp }));
+    const [ day ] = resample(rows, { dateKey: 'time', every: '1d', tz: 'UTC', aggregations: { low: [ 'temp', 'min' ], high: [ 'temp', 'max' ], n: [ 'temp', 'count' ] } });
+    assert.equal(day.low, -1000);
+    assert.equal(day.high, 299006);
+    assert.equal(day.n, 300000);
+  });
+
+  test('resample() buckets rows by calendar day and fills empty buckets', () => {
+    const readings = [
+      { time: '2024-01-01T09:00:00Z', temp: 2 },
+      { time: '2024-01-01T15:00:00Z', temp: 4 },
+      { time: '2024-01-04T12:00:00Z', temp: 9 },
+      { time: 'not a date', temp: 100 },
+    ];
+    const options = { dateKey: 'time', tz: 'UTC', aggregations: { temp: 'mean', n: [ 'temp', 'count' ] } };
+    assert.deepEqual(resample(readings, options).map(r => [ iso(r.time), r.temp, r.n ]), [
+      [ '2024-01-01T00:00:00.000Z', 3, 2 ],
+      [ '2024-01-02T00:00:00.000Z', null, null ],
+      [ '2024-01-03T00:00:00.000Z', null, null ],
+      [ '2024-01-04T00:00:00.000Z', 9, 1 ],
+    ]);
+    assert.deepEqual(resample(readings, { ...options, fill: 'linear' }).map(r => r.temp), [ 3, 5, 7, 9 ]);
+    assert.deepEqual(resample(readings, { ...options, fill: 'ffill' }).map(r => r.temp), [ 3, 3, 3, 9 ]);
+    assert.deepEqual(resample(readings, { ...options, fill: { temp: 'zero', n: 'ffill' } }).map(r => [ r.temp, r.n ]), [ [ 3, 2 ], [ 0, 2 ], [ 0, 2 ], [ 9, 1 ] ]);
+    assert.throws(() => resample(readings, { ...options, fill: 'backfill' }), /Unknown fill policy/);
+  });
+
+  test('resample() lines up multi-unit buckets, and uses calendar months', () => {
+    const rows = [ '2024-01-01T00:20:00Z', '2024-01-01T00:44:00Z', '2024-01-01T01:05:00Z' ].map(time => ({ time }));
+    const quarterHours = resample(rows, { dateKey: 'time', every: '15m', tz: 'UTC', aggregations: { n: [ 'time', 'count' ] } });
+    assert.deepEqual(quarterHours.map(r => [ iso(r.time).slice(11, 16), r.n ]), [ [ '00:15', 1 ], [ '00:30', 1 ], [ '00:45', null ], [ '01:00', 1 ] ]);
+
+    const months = resample([ { d: '2023-01-31' }, { d: '2023-02-28' }, { d: '2023-03-01' } ], {
+      dateKey: 'd', every: '1mo', tz: 'UTC', aggregations: { n: [ 'd', 'count' ] },
+    });
+    assert.deepEqual(months.map(r => [ iso(r.d).slice(0, 10), r.n ]), [ [ '2023-01-01', 1 ], [ '2023-02-01', 1 ], [ '2023-03-01', 1 ] ]);
+  });
+
+  test('resample() keeps buckets lined up after a day that starts at 1am', () => {
+    // in Santiago the clocks go forward at midnight, so 8 September 2024 starts at 1am (-03:00)
+    const rows = [];
+    for (let time = Date.parse('2024-09-06T04:00:00Z'); time < Date.parse('2024-09-11T03:00:00Z'); time += 36e5) rows.push({ time });
+    const options = { dateKey: 'time', tz: 'America/Santiago', aggregations: { n: [ 'time', 'count' ] } };
+    assert.deepEqual(resample(rows, options).map(r => [ iso(r.time), r.n ]), [
+      [ '2024-09-06T04:00:00.000Z', 24 ], [ '2024-09-07T04:00:00.000Z', 24 ], [ '2024-09-08T04:00:00.000Z', 23 ],
+      [ '2024-09-09T03:00:00.000Z', 24 ], [ '2024-09-10T03:00:00.000Z', 24 ],
+    ]);
+    const sixHours = resample(rows, { ...options, every: '6h' });
+    assert.deepEqual(sixHours.slice(7, 11).map(r => [ iso(r.time), r.n ]), [
+      [ '2024-09-07T22:00:00.000Z', 6 ], [ '2024-09-08T04:00:00.000Z', 5 ], [ '2024-09-08T09:00:00.000Z', 6 ], [ '2024-09-08T15:00:00.000Z', 6 ],
+    ]);
+    // and when the clocks go back at midnight, the repeated hour gets its own bucket
+    const hours = [ 2, 3, 4, 5 ].map(h => ({ time: Date.UTC(2024, 3, 7, h) }));
+    assert.deepEqual(resample(hours, { ...options, every: '1h' }).map(r => [ iso(r.time), r.n ]), [
+      [ '2024-04-07T02:00:00.000Z', 1 ], [ '2024-04-07T03:00:00.000Z', 1 ], [ '2024-04-07T04:00:00.000Z', 1 ], [ '2024-04-07T05:00:00.000Z', 1 ],
+    ]);
+  });
+
+  test("resample() fills each gap between values with fill: 'linear'", () => {
+    const rows = [ [ 1, 0 ], [ 5, 40 ], [ 6, 'x' ], [ 8, 10 ] ].map(([ day, v ]) => ({ time: Date.UTC(2024, 0, day), v }));
+    const filled = resample(rows, { dateKey: 'time', tz: 'UTC', fill: 'linear', aggregations: { v: [ 'v', 'first' ] } });
+    assert.deepEqual(filled.map(r => r.v), [ 0, 10, 20, 30, 40, 'x', null, 10 ]);
+  });
+
+  test('resample() supports weeks in a time zone, start and end, and functions', () => {
+    const rows = [ { at: { time: '2024-03-31T23:30:00Z' }, v: 1 }, { at: { time: '2024-04-01T00:30:00Z' }, v: 2 } ];
+    const weeks = resample(rows, {
+      dateKey: 'at.time', every: '1w', tz: 'Europe/London', start: new Date('2024-03-18T00:00:00Z'),
+      aggregations: { total: [ 'v', 'sum' ], rows: [ 'v', (values, inBucket) => inBucket.length ] },
+    });
+    assert.deepEqual(weeks.map(r => [ iso(r['at.time']), r.total, r.rows ]), [
+      [ '2024-03-18T00:00:00.000Z', null, null ],
+      [ '2024-03-25T00:00:00.000Z', null, null ],
+      [ '2024-03-31T23:00:00.000Z', 3, 2 ],
+    ]);
+    assert.deepEqual(resample([], { dateKey: 'time', aggregations: {} }), []);
+    assert.throws(() => resample(rows, { dateKey: 'at.time', aggregations: { v: 'average' } }), /Unknown aggregation: average/);
+    assert.throws(() => resample(rows, { dateKey: 'at.time', every: '0d', aggregations: { v: 'sum' } }), /Invalid bucket size/);
+  });
+
+  test('rolling() aggregates the rows in a window up to each row', () => {
+    const rows = [
+      { time: '2024-01-03', temp: 6 },
+      { time: '2024-01-01', temp: 2 },
+      { time: '2024-01-02', temp: 4 },
+      { time: '2024-01-02', temp: 8 },
+      { time: '2024-01-10', temp: 1 },
+    ];
+    const result = rolling(rows, { dateKey: 'time', window: '2d', aggregations: { avg: [ 'temp', 'mean' ], n: [ 'temp', 'count' ] } });
+    assert.deepEqual(result.map(r => [ r.time, r.avg, r.n ]), [
+      [ '2024-01-01', 2, 1 ],
+      [ '2024-01-02', 14 / 3, 3 ],
+      [ '2024-01-02', 14 / 3, 3 ],
+      [ '2024-01-03', 6, 3 ],
+      [ '2024-01-10', 1, 1 ],
+    ]);
+    const withMin = rolling(rows, { dateKey: 'time', window: 172800, minPeriods: 2, aggregations: { n: [ 'temp', 'count' ] } });
+    assert.deepEqual(withMin.map(r => r.n), [ null, 3, 3, 3, null ]);
+    assert.throws(() => rolling(rows, { dateKey: 'time', window: 'soon', aggregations: {} }), /Invalid window/);
+  });
+});
@@ -0,0 +1,224 @@
+//
+// Functions for working with time series - arrays of objects with a date, like
+// [ { time: '2024-01-01T09:00:00Z', temp: 3.2 }, ... ]
+//
+
+import { startOf, addToDate, toZone, fromZone, getDurationUnit, parseDuration } from './dates.js';
+import { sum, mean, median, mode } from './statistics.js';
+import { getByPath } from './objects.js';
+
+// get the numbers in a list of values, skipping empty values
+const numbers = values => values.filter(v => v !== null && v !== undefined && v !== '' && !Number.isNaN(+v)).map(Number);
+
+// call `fn` with the numbers in a list of values, or get null if there aren't any
+const ofNumbers = fn => (values) => {
+  const nums = numbers(values);
+  return nums.length ? fn(nums) : null;
+};
+
+// Functions which aggregate the values of a key - used by name in resample() and rolling().
+// Empty values (null, undefined or '') are skipped, and all but 'count', 'first' and
+// 'last' only use numbers. Each is given the values, and the rows they came from.
+export const aggregators = {
+  count: values => values.filter(v => v !== null && v !== undefined && v !== '').length,
+  sum: values => sum(numbers(values)),
+  mean: ofNumbers(mean),
+  median: ofNumbers(median),
+  mode: ofNumbers(mode),
+  // (not Math.min(...nums), which runs out of stack space with big buckets)
+  min: ofNumbers(nums => nums.reduce((a, b) => b < a ? b : a)),
+  max: ofNumbers(nums => nums.reduce((a, b) => b > a ? b : a)),
+  first: values => values.find(v => v !== null && v !== undefined) ?? null,
+  last: values => values.findLast(v => v !== null && v !== undefined) ?? null,
+};
+
+// get a function which gets a value from a row, using a dot path or a function
+const getter = key => typeof key === 'function' ? key : row => getByPath(row, key);
+
+// Turn aggregations like { temp: 'mean', maxTemp: [ 'temp', 'max' ], n: rows => rows.length }
+// into a list of { name, get, aggregate } - functions are given the values and the rows
+const parseAggregations = aggregations => Object.entries(aggregations).map(([ name, spec ]) => {
+  const [ key, how ] = Array.isArray(spec) ? spec : [ name, spec ];
+  const aggregate = typeof how === 'function' ? how : aggregators[how];
+  if (!aggregate) throw new Error(`Unknown aggregation: ${how}`);
+  return { name, get: getter(key), aggregate };
+});
+
+// get the dates of the rows, as timestamps - rows with invalid dates are skipped
+const withTimes = (rows, dateKey) => {
+  const getDate = getter(dateKey);
+  return rows
+    .map(row => ({ row, time: new Date(getDate(row)).getTime() }))
+    .filter(({ time }) => !Number.isNaN(time))
+    .sort((a, b) => a.time - b.time);
+};
+
+// parse the size of a bucket, like '1w', '15m', '3 months' or '1d', into an amount and a unit
+const parseEvery = (every) => {
+  const match = String(every).trim().match(/^(\d*)\s*([a-z]+)$/i);
+  if (!match) throw new Error(`Invalid bucket size: ${every}`);
+  const unit = getDurationUnit(match[2]).slice(0, -1);
+  const amount = match[1] ? +match[1] : 1;
+  if (!(amount >= 1)) throw new Error(`Invalid bucket size: ${every}`);
+  return { amount, unit };
+};
+
+// buckets of more than one unit line up with the start of the next unit up: 15 minute
+// buckets start on the hour, 6 hour buckets start at midnight, and 3 month buckets start on 1st Jan
+const alignTo = { second: 'minute', minute: 'hour', hour: 'day', month: 'year' };
+
+// Get the start of the bucket the given date is in. Buckets are lined up by the local
+// time (see alignTo), not counted from the first bucket, so they can't drift: after a
+// day which starts at 1am (when the clocks go forward at midnight), 6 hour buckets
+// still start at 06:00, and daily buckets at midnight.
+const zoneFields = [ 'year', 'month', 'day', 'hour', 'minute', 'second' ];
+const bucketStart = (date, amount, unit, tz, weekStartsOn) => {
+  if (amount === 1 || !alignTo[unit]) return startOf(date, unit, tz, { weekStartsOn });
+  const zoned = toZone(date, tz);
+  const parts = Object.fromEntries(zoneFields.slice(0, zoneFields.indexOf(unit) + 1).map(field => [ field, zoned[field] ]));
+  const first = unit === 'month' ? 1 : 0;
+  parts[unit] = first + Math.floor((zoned[unit] - first) / amount) * amount;
+  return fromZone(parts, tz);
+};
+
+// fill the empty buckets (those without a value) in a list of values
+const fillValues = (values, times, policy) => {
+  if (!policy || policy === 'null') return values;
+  if (policy === 'zero') return values.map(v => v ?? 0);
+  if (policy === 'ffill') {
+    let last = null;
+    return values.map(v => v === null ? last : (last = v));
+  }
+  if (policy === 'linear') {
+    // fill the gap between each value and the one before it, in one pass
+    const filled = [ ...values ];
+    let before = -1;
+    values.forEach((v, after) => {
+      if (v === null) return;
+      if (before >= 0 && typeof values[before] === 'number' && typeof v === 'number') {
+        for (let i = before + 1; i < after; i++) {
+          const ratio = (times[i] - times[before]) / (times[after] - times[before]);
+          filled[i] = values[before] + (v - values[before]) * ratio;
+        }
+      }
+      before = after;
+    });
+    return filled;
+  }
+  throw new Error(`Unknown fill policy: ${policy}`);
+};
+
+/**
+ * Group rows by calendar day, week, month (etc) of their date, and aggregate the
+ * values in each group. Returns one row per bucket - from the first row's bucket
+ * to the last row's - with the date of the start of the bucket.
+ *
+ * Buckets without any rows are filled using the `fill` policy: null, 'zero',
+ * 'ffill' (the value of the previous bucket) or 'linear' (interpolated from the
+ * buckets either side). Give an object to use different policies for each key.
+ *
+ * Aggregations are the name of an aggregator (see `aggregators`), or a function
+ * given the values and the rows. Use [ key, aggregation ] to give the result a
+ * different name to the key.
+ *
+ * Usage:
+ *
+ *    resample(readings, {
+ *      dateKey: 'time',
+ *      every: '1w',
+ *      tz: 'Europe/London',
+ *      aggregations: { temp: 'mean', maxTemp: [ 'temp', 'max' ], count: 'sum' },
+ *      fill: { temp: 'linear', maxTemp: 'linear', count: 'zero' },
+ *    });
+ *    // [ { time: Date, temp: 3.7, maxTemp: 8.1, count: 112 }, ... ]
+ *
+ * @param {Object[]} rows - The rows
+ * @param {Object} options
+ * @param {string|Function} options.dateKey - The key (or dot path) of the date of each row, or a function which gets it
+ * @param {string} [options.every] - The size of each bucket: an amount and a unit, like '1d', '1w', '1mo', '15m' or '3 months' (default: '1d')
+ * @param {Object} options.aggregations - The values to get for each bucket
+ * @param {string|Object} [options.fill] - How to fill empty buckets (default: null)
+ * @param {string} [options.tz] - An IANA time zone, like 'Europe/London' (default: the local time zone)
+ * @param {number} [options.weekStartsOn] - The first day of the week, 0 is Sunday (default: 1)
+ * @param {Date} [options.start] - The start of the first bucket, to include buckets before the first row
+ * @param {Date} [options.end] - The end of the last bucket, to include buckets after the last row
+ * @returns {Object[]} - The rows of each bucket
+ */
+export const resample = (rows, { dateKey, every = '1d', aggregations, fill = null, tz, weekStartsOn, start, end } = {}) => {
+  const { amount, unit } = parseEvery(every);
+  const aggs = parseAggregations(aggregations);
+  const sorted = withTimes(rows, dateKey);
+  if (!sorted.length && (!start || !end)) return [];
+
+  const first = start ? new Date(start) : new Date(sorted[0].time);
+  const last = end ? new Date(end).getTime() - 1 : sorted[sorted.length - 1].time;
+
+  // put the rows in buckets
+  const buckets = [];
+  let bucket = bucketStart(first, amount, unit, tz, weekStartsOn);
+  for (let i = 0; bucket.getTime() <= last;) {
+    // (when the clocks go back, the start of the next bucket can be the same time as this
+    // one - like a repeated hour - so then it's just `amount` units after this one)
+    const stepped = addToDate(bucket, amount, unit, tz);
+    const aligned = bucketStart(stepped, amount, unit, tz, weekStartsOn);
+    const next = aligned > bucket ? aligned : stepped;
+    const inBucket = [];
+    while (i < sorted.length && sorted[i].time < next.getTime()) {
+      if (sorted[i].time >= bucket.getTime()) inBucket.push(sorted[i].row);
+      i++;
+    }
+    buckets.push({ date: bucket, rows: inBucket });
+    bucket = next;
+  }
+
+  // aggregate each key, then fill the empty buckets
+  const times = buckets.map(b => b.date.getTime());
+  const columns = aggs.map(({ name, get, aggregate }) => {
+    const values = buckets.map(b => b.rows.length ? aggregate(b.rows.map(get), b.rows) : null);
+    return fillValues(values, times, fill && typeof fill === 'object' ? fill[name] : fill);
+  });
+
+  const dateName = typeof dateKey === 'string' ? dateKey : 'date';
+  return buckets.map((b, i) => aggs.reduce((row, { name }, a) => {
+    row[name] = columns[a][i];
+    return row;
+  }, { [dateName]: b.date }));
+};
+
+/**
+ * Add "rolling window" aggregations to each row: the values of all the rows
+ * with a date in the time window up to (and including) the row's date. Rows are
+ * returned in date order, as copies with the aggregated values added.
+ *
+ * Usage:
+ *
+ *    // the mean temperature over the last 7 days, and the number of readings in them
+ *    rolling(readings, { dateKey: 'time', window: '7d', aggregations: { temp7d: [ 'temp', 'mean' ], n: [ 'temp', 'count' ] } });
+ *
+ * @param {Object[]} rows - The rows
+ * @param {Object} options
+ * @param {string|Function} options.dateKey - The key (or dot path) of the date of each row, or a function which gets it
+ * @param {string|number} options.window - The length of the window, like '7d' or '1h 30m', or a number of seconds
+ * @param {Object} options.aggregations - The values to get for each window (see resample())
+ * @param {number} [options.minPeriods] - The fewest rows a window needs, or its values are null (default: 1)
+ * @returns {Object[]} - The rows, with the aggregated values added
+ */
+export const rolling = (rows, { dateKey, window, aggregations, minPeriods = 1 } = {}) => {
+  const length = parseDuration(window) * 1000;
+  if (!(length > 0)) throw new Error(`Invalid window: ${window}`);
+  const aggs = parseAggregations(aggregations);
+  const sorted = withTimes(rows, dateKey);
+
+  let from = 0;
+  return sorted.map(({ row, time }, i) => {
+    while (sorted[from].time <= time - length) from++;
+    // (rows with the same date as this one are in the window too)
+    let to = i;
+    while (to + 1 < sorted.length && sorted[to + 1].time === time) to++;
+    const inWindow = sorted.slice(from, to + 1).map(s => s.row);
+    return aggs.reduce((result, { name, get, aggregate }) => {
+      result[name] = inWindow.length >= minPeriods ? aggregate(inWindow.map(get), inWindow) : null;
+      return result;
+    }, { ...row });
+  });
+};